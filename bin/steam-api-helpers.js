@@ -0,0 +1,373 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const createSteamAPI = require('../index');
+
+/**
+ * Usage shown for --help and when the arguments are invalid.
+ * @private
+ * @type {string}
+ */
+const USAGE = `Usage: steam-api-helpers <command> [arguments] [options]
+
+Commands:
+  player-summaries <steamid...>              Get player summaries
+  inventory <steamid> <appid> [contextid]    Get an inventory, contextid defaults to 2
+  backpack <steamid> <appid>                 Get a backpack
+  asset-class-infos <appid> <classid...>     Get classinfos, classids can be given as classid_instanceid
+  ugc-file-details <appid> <ugcid> [steamid] Get UGC file details
+  trade-history                              Get your trade history
+
+Steam IDs can be given in any format, including account ids, e.g. 22202.
+
+Options:
+  --format <format>    Output format, one of json, ndjson or csv (default: json)
+  --all                Get all pages, for inventory and trade-history
+  --param <name=value> Parameter to send with the request, can be given more than once
+  --normalize          Normalize inventory and backpack items
+  --timeout <ms>       Milliseconds the command can take before failing
+  --key <key>          API key, instead of the one from the environment or the config file
+  --config <path>      Config file containing {"apiKey": "..."} (default: ~/.steam-api-helpers.json)
+  --help               Show this message
+
+The API key is read from --key, the STEAM_API_KEY environment variable, or the config file.`;
+
+/**
+ * Error for invalid arguments. The usage is shown with these.
+ * @private
+ * @extends Error
+ */
+class UsageError extends Error {
+    /**
+     * @param {string} message - Message.
+     */
+    constructor(message) {
+        super(message);
+        
+        this.name = this.constructor.name;
+    }
+}
+
+/**
+ * Gets the API key from the arguments, the environment or the config file.
+ * @private
+ * @param {object} values - Parsed options.
+ * @param {string} [values.key] - API key.
+ * @param {string} [values.config] - Path to config file.
+ * @returns {Promise.<string>} Resolves with the API key.
+ */
+async function getAPIKey({ key, config: configPath }) {
+    if (key) {
+        return key;
+    }
+    
+    if (process.env.STEAM_API_KEY) {
+        return process.env.STEAM_API_KEY;
+    }
+    
+    const filepath = configPath || path.join(os.homedir(), '.steam-api-helpers.json');
+    let config = {};
+    
+    try {
+        config = JSON.parse(await fs.promises.readFile(filepath, 'utf8'));
+    } catch (error) {
+        // the default config file is optional
+        if (error.code !== 'ENOENT' || configPath) {
+            throw error;
+        }
+    }
+    
+    if (!config.apiKey) {
+        throw new UsageError('No API key. Set STEAM_API_KEY or add "apiKey" to the config file.');
+    }
+    
+    return config.apiKey;
+}
+
+/**
+ * Parses --param values into request parameters.
+ * @private
+ * @param {string[]} values - Values, e.g. ["language=en"].
+ * @returns {object} Parameters.
+ */
+function parseParams(values) {
+    return values.reduce((params, value) => {
+        const index = value.indexOf('=');
+        
+        if (index === -1) {
+            throw new UsageError(`Invalid parameter "${value}", expected name=value.`);
+        }
+        
+        params[value.slice(0, index)] = value.slice(index + 1);
+        
+        return params;
+    }, {});
+}
+
+/**
+ * Parses the --timeout value.
+ * @private
+ * @param {string} [value] - Value, in milliseconds.
+ * @returns {(number|undefined)} Timeout.
+ */
+function parseTimeout(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    
+    if (!/^\d+$/.test(value) || Number(value) <= 0) {
+        throw new UsageError(`Invalid timeout "${value}", expected a positive number of milliseconds.`);
+    }
+    
+    return Number(value);
+}
+
+/**
+ * Gets a SteamID from an argument. Arguments are always strings, and the library reads numeric
+ * strings only as 64-bit SteamIDs, so those small enough to be account ids are given as numbers.
+ * @private
+ * @param {string} [value] - Argument.
+ * @returns {(string|number|undefined)} SteamID.
+ */
+function parseSteamIDArg(value) {
+    if (value !== undefined && /^\d+$/.test(value) && Number(value) <= 0xFFFFFFFF) {
+        return Number(value);
+    }
+    
+    return value;
+}
+
+/**
+ * Commands, with the number of required arguments and a function which gets the records to output
+ * one page at a time.
+ * @private
+ * @type {object.<string, object>}
+ */
+const COMMANDS = {
+    'player-summaries': {
+        minArgs: 1,
+        async* getRecords(api, steamids, options) {
+            const { players } = await api.getPlayerSummaries(steamids.map(parseSteamIDArg), 'json', {
+                timeout: options.timeout
+            });
+            
+            yield Object.values(players);
+        }
+    },
+    inventory: {
+        minArgs: 2,
+        async* getRecords(api, [steamid, appid, contextid = '2'], options) {
+            const pages = api.getInventoryPages(appid, contextid, parseSteamIDArg(steamid), {
+                ...options.params,
+                normalize: options.normalize,
+                timeout: options.timeout
+            });
+            
+            for await (const items of pages) {
+                yield items;
+                
+                if (!options.all) {
+                    break;
+                }
+            }
+        }
+    },
+    backpack: {
+        minArgs: 2,
+        async* getRecords(api, [steamid, appid], options) {
+            const backpack = await api.getBackpack(appid, parseSteamIDArg(steamid), {
+                ...options.params,
+                normalize: options.normalize,
+                timeout: options.timeout
+            });
+            
+            yield backpack.items;
+        }
+    },
+    'asset-class-infos': {
+        minArgs: 2,
+        async* getRecords(api, [appid, ...classids], options) {
+            const refs = classids.map((classid) => {
+                const [id, instanceid] = classid.split('_');
+                
+                if (instanceid === undefined) {
+                    return id;
+                }
+                
+                return {
+                    classid: id,
+                    instanceid
+                };
+            });
+            const classinfos = await api.getAssetClassInfos(appid, refs, {
+                ...options.params,
+                timeout: options.timeout
+            });
+            
+            yield Object.values(classinfos);
+        }
+    },
+    'ugc-file-details': {
+        minArgs: 2,
+        async* getRecords(api, [appid, ugcid, steamid], options) {
+            const details = await api.getUGCFileDetails(appid, ugcid, parseSteamIDArg(steamid), {
+                ...options.params,
+                timeout: options.timeout
+            });
+            
+            yield [details];
+        }
+    },
+    'trade-history': {
+        minArgs: 0,
+        async* getRecords(api, args, options) {
+            const pages = api.getTradeHistoryPages({
+                get_descriptions: 1,
+                combine_descriptions: true,
+                ...options.params,
+                timeout: options.timeout
+            });
+            
+            for await (const page of pages) {
+                yield page.trades || [];
+                
+                if (!options.all) {
+                    break;
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Escapes a value for CSV. Objects and arrays are written as JSON.
+ * @private
+ * @param {*} value - Value.
+ * @returns {string} Escaped value.
+ */
+function toCSVValue(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    
+    const string = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    
+    if (/[",\r\n]/.test(string)) {
+        return `"${string.replace(/"/g, '""')}"`;
+    }
+    
+    return string;
+}
+
+/**
+ * Writes records in the given format.
+ * @private
+ * @param {AsyncIterableIterator.<object[]>} pages - Pages of records.
+ * @param {string} format - Output format.
+ * @param {stream.Writable} output - Where to write.
+ * @returns {Promise} Resolves once everything is written.
+ */
+async function writeRecords(pages, format, output) {
+    if (format === 'ndjson') {
+        // each page is written as soon as it arrives
+        for await (const records of pages) {
+            records.forEach((record) => {
+                output.write(JSON.stringify(record) + '\n');
+            });
+        }
+        
+        return;
+    }
+    
+    let records = [];
+    
+    for await (const page of pages) {
+        records = records.concat(page);
+    }
+    
+    if (format === 'json') {
+        output.write(JSON.stringify(records, null, 2) + '\n');
+        return;
+    }
+    
+    // every key which appears in any record is a column
+    const columns = [...new Set([].concat(...records.map(Object.keys)))];
+    const lines = [columns.map(toCSVValue).join(',')].concat(records.map((record) => {
+        return columns.map(column => toCSVValue(record[column])).join(',');
+    }));
+    
+    output.write(lines.join('\n') + '\n');
+}
+
+/**
+ * Runs the command line interface.
+ * @private
+ * @param {string[]} argv - Arguments, without the node and script paths.
+ * @returns {Promise} Resolves once the command has finished.
+ */
+async function main(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            format: { type: 'string', default: 'json' },
+            all: { type: 'boolean', default: false },
+            param: { type: 'string', multiple: true, default: [] },
+            normalize: { type: 'boolean', default: false },
+            timeout: { type: 'string' },
+            key: { type: 'string' },
+            config: { type: 'string' },
+            help: { type: 'boolean', default: false }
+        }
+    });
+    const [command, ...args] = positionals;
+    
+    if (values.help || !command) {
+        process.stdout.write(USAGE + '\n');
+        return;
+    }
+    
+    if (!['json', 'ndjson', 'csv'].includes(values.format)) {
+        throw new UsageError(`Unknown format "${values.format}".`);
+    }
+    
+    const commandOptions = COMMANDS[command];
+    
+    if (!commandOptions) {
+        throw new UsageError(`Unknown command "${command}".`);
+    }
+    
+    if (args.length < commandOptions.minArgs) {
+        throw new UsageError(`Not enough arguments for "${command}".`);
+    }
+    
+    const api = createSteamAPI(await getAPIKey(values));
+    const records = commandOptions.getRecords(api, args, {
+        all: values.all,
+        normalize: values.normalize,
+        params: parseParams(values.param),
+        timeout: parseTimeout(values.timeout)
+    });
+    
+    await writeRecords(records, values.format, process.stdout);
+}
+
+main(process.argv.slice(2)).catch((error) => {
+    // argument errors from parseArgs are usage errors too
+    const isUsageError = Boolean(
+        error instanceof UsageError ||
+        /^ERR_PARSE_ARGS/.test(error.code)
+    );
+    
+    process.stderr.write(`${error.name}: ${error.message}\n`);
+    
+    if (isUsageError) {
+        process.stderr.write(`\n${USAGE}\n`);
+    }
+    
+    process.exitCode = isUsageError ? 2 : 1;
+});
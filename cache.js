@@ -0,0 +1,166 @@
+'use strict';
+
+const fs = require('fs');
+const { sleep } = require('./utils');
+
+/**
+ * Interface for caching values. Any object with these methods can be used, e.g. one which stores values in Redis.
+ * @typedef {object} Cache
+ * @property {function(string): Promise.<*>} get - Resolves with the value for a key, or undefined if the key is not cached.
+ * @property {function(string, *): Promise} set - Stores a value for a key.
+ */
+
+/**
+ * Creates an in-memory cache which removes the least recently used values once it is full.
+ * @param {object} [options={}] - Options.
+ * @param {number} [options.max=1000] - Maximum number of values to store.
+ * @param {number} [options.ttl] - Milliseconds each value is kept for after it is set. By default values are kept until they are removed to make room.
+ * @returns {Cache} Cache.
+ */
+function createMemoryCache(options = {}) {
+    const { max = 1000, ttl = Infinity } = options;
+    // maps keep their insertion order, so the first key is always the least recently used
+    const values = new Map();
+    
+    async function get(key) {
+        if (!values.has(key)) {
+            return undefined;
+        }
+        
+        const entry = values.get(key);
+        
+        values.delete(key);
+        
+        if (entry.expires <= Date.now()) {
+            return undefined;
+        }
+        
+        // move the key to the end
+        values.set(key, entry);
+        
+        return entry.value;
+    }
+    
+    async function set(key, value) {
+        values.delete(key);
+        values.set(key, {
+            value,
+            expires: Date.now() + ttl
+        });
+        
+        if (values.size > max) {
+            // remove the least recently used value
+            values.delete(values.keys().next().value);
+        }
+    }
+    
+    return {
+        get,
+        set
+    };
+}
+
+/**
+ * Creates a cache which stores values in a JSON file. The file is read on first use. Changes are
+ * written together after a short delay, and the file is replaced in one step so it is never left
+ * partly written. A file which cannot be parsed is treated as empty and replaced on the next write.
+ * @param {string} filepath - Path to JSON file.
+ * @param {object} [options={}] - Options.
+ * @param {number} [options.delay=100] - Milliseconds to collect changes for before writing them.
+ * @returns {Cache} Cache. Setting a value resolves once it has been written.
+ */
+function createFileCache(filepath, options = {}) {
+    const { delay = 100 } = options;
+    let loading = null;
+    // writes are done one at a time so they don't overlap
+    let writing = Promise.resolve();
+    // the next write, shared by every change made before it starts
+    let pending = null;
+    
+    // reads the file, if it exists
+    async function load() {
+        let data;
+        
+        try {
+            data = await fs.promises.readFile(filepath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                // the file is created on the first write
+                return {};
+            }
+            
+            throw error;
+        }
+        
+        try {
+            const values = JSON.parse(data);
+            
+            if (typeof values === 'object' && values !== null && !Array.isArray(values)) {
+                return values;
+            }
+        } catch (error) {
+            // the file is damaged, so it is started again
+        }
+        
+        return {};
+    }
+    
+    // writes to a temporary file in the same directory then moves it over the file
+    async function write(values) {
+        const tempFilepath = `${filepath}.${process.pid}.tmp`;
+        
+        await fs.promises.writeFile(tempFilepath, JSON.stringify(values));
+        await fs.promises.rename(tempFilepath, filepath);
+    }
+    
+    // changes made before the write starts are written together
+    function scheduleWrite(values) {
+        if (pending !== null) {
+            return pending;
+        }
+        
+        pending = sleep(delay).then(() => {
+            // changes made from now on go in the next write
+            pending = null;
+            writing = writing
+                .catch(() => {})
+                .then(() => write(values));
+            
+            return writing;
+        });
+        
+        return pending;
+    }
+    
+    async function getValues() {
+        if (loading === null) {
+            loading = load();
+        }
+        
+        return loading;
+    }
+    
+    async function get(key) {
+        const values = await getValues();
+        
+        return values[key];
+    }
+    
+    async function set(key, value) {
+        const values = await getValues();
+        
+        values[key] = value;
+        
+        return scheduleWrite(values);
+    }
+    
+    return {
+        get,
+        set
+    };
+}
+
+module.exports = {
+    createMemoryCache,
+    createFileCache
+};
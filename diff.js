@@ -0,0 +1,278 @@
+'use strict';
+
+const EventEmitter = require('events');
+const { indexBy } = require('./utils');
+
+/**
+ * Gets the id of an item. Backpack items use "id", inventory items use "assetid".
+ * @private
+ * @param {(InventoryItem|BackpackItem)} item - Item.
+ * @returns {string} Item id.
+ */
+function getItemID(item) {
+    if (item.assetid !== undefined) {
+        return String(item.assetid);
+    }
+    
+    return String(item.id);
+}
+
+/**
+ * Gets the quantity of an item.
+ * @private
+ * @param {(InventoryItem|BackpackItem)} item - Item.
+ * @returns {number} Quantity.
+ */
+function getItemQuantity(item) {
+    if (item.amount !== undefined) {
+        return parseInt(item.amount);
+    }
+    
+    if (item.quantity !== undefined) {
+        return item.quantity;
+    }
+    
+    return 1;
+}
+
+/**
+ * Gets the location of an item. For backpack items this is the backpack position, for inventory
+ * items it is the contextid.
+ * @private
+ * @param {(InventoryItem|BackpackItem)} item - Item.
+ * @returns {(string|number|undefined)} Location.
+ */
+function getItemLocation(item) {
+    if (item.inventory !== undefined) {
+        // the lower 16 bits are the position
+        return item.inventory & 0xFFFF;
+    }
+    
+    return item.contextid;
+}
+
+/**
+ * Differences between two snapshots of an inventory.
+ * @typedef {object} InventoryDiff
+ * @property {Array.<(InventoryItem|BackpackItem)>} added - Items which were added.
+ * @property {Array.<(InventoryItem|BackpackItem)>} removed - Items which were removed.
+ * @property {InventoryItemChange[]} moved - Items which moved to a different backpack position or contextid.
+ * @property {InventoryItemChange[]} quantityChanged - Stackable items whose quantity changed.
+ * @property {InventoryItemChange[]} idChanged - Items which got a new id, e.g. after a trade or craft. These are matched using original_id and are not included in added or removed.
+ */
+
+/**
+ * A change to an item.
+ * @typedef {object} InventoryItemChange
+ * @property {(InventoryItem|BackpackItem)} before - The item before.
+ * @property {(InventoryItem|BackpackItem)} after - The item after.
+ */
+
+/**
+ * Gets the differences between two snapshots of an inventory or backpack.
+ * @param {Array.<(InventoryItem|BackpackItem)>} before - Items before.
+ * @param {Array.<(InventoryItem|BackpackItem)>} after - Items after.
+ * @returns {InventoryDiff} Differences.
+ */
+function diffInventories(before, after) {
+    const beforeByID = indexBy(before, getItemID);
+    const afterByID = indexBy(after, getItemID);
+    const diff = {
+        added: [],
+        removed: [],
+        moved: [],
+        quantityChanged: [],
+        idChanged: []
+    };
+    
+    after.forEach((item) => {
+        const previous = beforeByID[getItemID(item)];
+        
+        if (previous === undefined) {
+            diff.added.push(item);
+            return;
+        }
+        
+        const change = {
+            before: previous,
+            after: item
+        };
+        
+        if (getItemLocation(previous) !== getItemLocation(item)) {
+            diff.moved.push(change);
+        }
+        
+        if (getItemQuantity(previous) !== getItemQuantity(item)) {
+            diff.quantityChanged.push(change);
+        }
+    });
+    
+    before.forEach((item) => {
+        if (afterByID[getItemID(item)] === undefined) {
+            diff.removed.push(item);
+        }
+    });
+    
+    // tf2 items keep their original_id when their id changes
+    const addedByOriginalID = indexBy(diff.added.filter(item => item.original_id !== undefined), 'original_id');
+    const matched = new Set();
+    
+    diff.removed = diff.removed.filter((item) => {
+        const renewed = (
+            item.original_id !== undefined &&
+            addedByOriginalID[item.original_id]
+        );
+        
+        if (!renewed) {
+            return true;
+        }
+        
+        diff.idChanged.push({
+            before: item,
+            after: renewed
+        });
+        matched.add(renewed);
+        
+        return false;
+    });
+    diff.added = diff.added.filter(item => !matched.has(item));
+    
+    return diff;
+}
+
+/**
+ * Checks whether a diff has any changes.
+ * @param {InventoryDiff} diff - Diff.
+ * @returns {boolean} Whether there are any changes.
+ */
+function hasChanges(diff) {
+    return Object.values(diff).some(changes => changes.length > 0);
+}
+
+/**
+ * Watches an inventory for changes.
+ *
+ * Emits "ready" with the items after the first fetch, "change" with the diff and items whenever a
+ * fetch differs from the previous one, and "error" when a fetch fails. Polling continues after
+ * errors. Unlike other EventEmitters, errors are ignored when there is no "error" listener.
+ * @typedef {EventEmitter} InventoryWatcher
+ * @property {function(): void} start - Starts polling. Called automatically unless autoStart is false.
+ * @property {function(): void} stop - Stops polling.
+ * @property {function(): Array} getItems - Gets the items from the last successful fetch.
+ */
+
+/**
+ * Creates a watcher which polls an inventory and emits events when it changes.
+ * @param {function(AbortSignal): Promise.<Array>} fetchItems - Function which resolves with the current items. The signal is aborted if the watcher is stopped during the fetch.
+ * @param {object} [options={}] - Options.
+ * @param {number} [options.interval=60000] - Time in milliseconds between the end of one fetch and the start of the next.
+ * @param {boolean} [options.autoStart=true] - Whether to start polling immediately.
+ * @param {AbortSignal} [options.signal] - Signal which stops the watcher when aborted.
+ * @returns {InventoryWatcher} Watcher.
+ */
+function createInventoryWatcher(fetchItems, options = {}) {
+    const {
+        interval = 60000,
+        autoStart = true,
+        signal
+    } = options;
+    const watcher = new EventEmitter();
+    let items = null;
+    let timer = null;
+    let isRunning = false;
+    let isStopped = false;
+    // controller for the fetch in progress
+    let controller = null;
+    
+    async function poll() {
+        const pollController = new AbortController();
+        // a poll is no longer current once the watcher is stopped, even if it is started again
+        const isCurrent = () => isRunning && controller === pollController;
+        
+        controller = pollController;
+        
+        try {
+            const current = await fetchItems(pollController.signal);
+            
+            if (!isCurrent()) {
+                // stopped while fetching
+                return;
+            }
+            
+            if (items === null) {
+                items = current;
+                watcher.emit('ready', current);
+            } else {
+                const diff = diffInventories(items, current);
+                
+                items = current;
+                
+                if (hasChanges(diff)) {
+                    watcher.emit('change', diff, current);
+                }
+            }
+        } catch (error) {
+            if (!isCurrent()) {
+                // the fetch was aborted by stopping the watcher
+                return;
+            }
+            
+            // emitting "error" with no listener would throw, and the next poll would not be set
+            if (watcher.listenerCount('error') > 0) {
+                watcher.emit('error', error);
+            }
+        }
+        
+        // listeners can stop the watcher
+        if (isCurrent()) {
+            timer = setTimeout(poll, interval);
+        }
+    }
+    
+    watcher.start = function() {
+        if (isRunning || (signal && signal.aborted)) {
+            return;
+        }
+        
+        isRunning = true;
+        isStopped = false;
+        poll();
+    };
+    
+    watcher.stop = function() {
+        isRunning = false;
+        isStopped = true;
+        clearTimeout(timer);
+        timer = null;
+        
+        if (controller) {
+            controller.abort();
+            controller = null;
+        }
+    };
+    
+    watcher.getItems = function() {
+        return items;
+    };
+    
+    if (signal) {
+        signal.addEventListener('abort', watcher.stop, { once: true });
+    }
+    
+    if (autoStart) {
+        // start on the next tick so listeners can be added first
+        process.nextTick(() => {
+            if (!isStopped) {
+                watcher.start();
+            }
+        });
+    }
+    
+    return watcher;
+}
+
+module.exports = {
+    diffInventories,
+    hasChanges,
+    createInventoryWatcher
+};
@@ -0,0 +1,266 @@
+'use strict';
+
+const { parseRetryAfter } = require('./utils');
+
+/**
+ * Query string parameters which should never appear in errors.
+ * @private
+ * @type {string[]}
+ */
+const REDACTED_PARAMS = [
+    'key',
+    'access_token'
+];
+
+/**
+ * Removes secrets such as the API key from a URL or a form-encoded body.
+ * @param {string} url - URL or form-encoded body.
+ * @returns {string} URL with secrets redacted.
+ */
+function redactURL(url) {
+    return REDACTED_PARAMS.reduce((url, param) => {
+        const pattern = new RegExp(`((?:^|[?&])${param}=)[^&#]*`, 'g');
+        
+        return url.replace(pattern, '$1REDACTED');
+    }, url);
+}
+
+/**
+ * Details about the request which caused an error.
+ * @typedef {object} SteamAPIErrorDetails
+ * @property {number} [statusCode] - Status code of the response.
+ * @property {string} [url] - The URL which was requested. Secrets are redacted before being stored on the error.
+ * @property {string} [endpoint] - The endpoint which was requested. Defaults to the path of the URL.
+ * @property {*} [body] - The raw body of the response.
+ */
+
+/**
+ * Base class for all errors from Steam.
+ * @extends Error
+ */
+class SteamAPIError extends Error {
+    /**
+     * @param {string} message - Message.
+     * @param {SteamAPIErrorDetails} [details={}] - Details about the request.
+     */
+    constructor(message, details = {}) {
+        super(message);
+        
+        this.name = this.constructor.name;
+        this.statusCode = details.statusCode;
+        this.url = details.url && redactURL(details.url);
+        this.endpoint = details.endpoint || (this.url && new URL(this.url).pathname);
+        this.body = details.body;
+    }
+}
+
+/**
+ * Error for responses with an unexpected status code or content type.
+ * @extends SteamAPIError
+ */
+class SteamHTTPError extends SteamAPIError {}
+
+/**
+ * Error for responses with a 429 status code.
+ * @extends SteamHTTPError
+ */
+class SteamRateLimitError extends SteamHTTPError {
+    /**
+     * @param {string} message - Message.
+     * @param {SteamAPIErrorDetails} [details={}] - Details about the request.
+     * @param {number} [details.retryAfter] - Milliseconds to wait before retrying, from the "Retry-After" header.
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        
+        this.retryAfter = details.retryAfter;
+    }
+}
+
+/**
+ * Error for when the requested resource does not exist.
+ * @extends SteamAPIError
+ */
+class SteamNotFoundError extends SteamAPIError {}
+
+/**
+ * Error for when an inventory or backpack cannot be viewed because it is private.
+ * @extends SteamAPIError
+ */
+class PrivateInventoryError extends SteamAPIError {}
+
+/**
+ * Error for when the API key was rejected.
+ * @extends SteamHTTPError
+ */
+class InvalidAPIKeyError extends SteamHTTPError {}
+
+/**
+ * Error for when a response was received but did not contain what was expected.
+ * @extends SteamAPIError
+ */
+class SteamResponseError extends SteamAPIError {}
+
+/**
+ * Error for when a response does not match the schema for its endpoint. Only thrown when the
+ * validate option is set.
+ * @extends SteamResponseError
+ */
+class SteamValidationError extends SteamResponseError {
+    /**
+     * @param {string} message - Message.
+     * @param {SteamAPIErrorDetails} [details={}] - Details about the request.
+     * @param {string} [details.path] - Path to the value which did not match, e.g. "result.items[3].defindex".
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        
+        this.path = details.path;
+    }
+}
+
+/**
+ * Error for when a request takes longer than the transport's timeout. No response was received, so
+ * the request is retried like any other network error.
+ * @extends SteamAPIError
+ */
+class SteamTimeoutError extends SteamAPIError {}
+
+/**
+ * Error for when a request is aborted using an AbortSignal.
+ * @extends SteamAPIError
+ */
+class SteamAbortError extends SteamAPIError {
+    /**
+     * @param {string} message - Message.
+     * @param {*} [reason] - The reason given to AbortController.abort.
+     */
+    constructor(message, reason) {
+        super(message);
+        
+        this.reason = reason;
+    }
+}
+
+/**
+ * Error for when a request is replayed from fixtures but there is no fixture for it. This is not
+ * retried, as it would fail the same way each time.
+ * @extends SteamAPIError
+ */
+class FixtureNotFoundError extends SteamAPIError {}
+
+/**
+ * Error for when a SteamID is malformed. This is thrown before any request is sent.
+ * @extends Error
+ */
+class InvalidSteamIDError extends Error {
+    /**
+     * @param {string} message - Message.
+     * @param {*} input - The value which could not be parsed.
+     */
+    constructor(message, input) {
+        super(`${message} Got "${input}".`);
+        
+        this.name = this.constructor.name;
+        this.input = input;
+    }
+}
+
+/**
+ * Error for when a Web API method is called without a parameter it requires. This is thrown before
+ * any request is sent.
+ * @extends Error
+ */
+class MissingParameterError extends Error {
+    /**
+     * @param {string} message - Message.
+     * @param {string[]} parameters - Names of the missing parameters.
+     */
+    constructor(message, parameters) {
+        super(message);
+        
+        this.name = this.constructor.name;
+        this.parameters = parameters;
+    }
+}
+
+/**
+ * Gets the error for a failed response.
+ * @param {http.IncomingMessage} response - Response.
+ * @param {string} url - The URL which was requested.
+ * @param {string} body - Response body.
+ * @returns {SteamHTTPError} Error for response.
+ */
+function getHTTPError(response, url, body) {
+    const { headers, statusCode, statusMessage } = response;
+    const { hostname, pathname } = new URL(url);
+    const message = String(
+        statusMessage ||
+        statusCode ||
+        body
+    );
+    const details = {
+        statusCode,
+        url,
+        body
+    };
+    const isCommunityInventory = Boolean(
+        hostname === 'steamcommunity.com' &&
+        /^\/inventory\//.test(pathname)
+    );
+    
+    if (statusCode === 429) {
+        return new SteamRateLimitError(message, {
+            ...details,
+            retryAfter: parseRetryAfter(headers['retry-after'])
+        });
+    }
+    
+    if (statusCode === 403 && isCommunityInventory) {
+        return new PrivateInventoryError(message, details);
+    }
+    
+    if (statusCode === 401 || statusCode === 403) {
+        // the web api responds with forbidden when the key is invalid
+        return new InvalidAPIKeyError(message, details);
+    }
+    
+    if (statusCode === 404) {
+        return new SteamNotFoundError(message, details);
+    }
+    
+    return new SteamHTTPError(message, details);
+}
+
+/**
+ * Gets the error for an aborted signal. Signals aborted by a timeout already have a
+ * SteamTimeoutError as their reason, any other reason is wrapped in a SteamAbortError.
+ * @param {AbortSignal} signal - The aborted signal.
+ * @returns {SteamAPIError} Error for signal.
+ */
+function getAbortError(signal) {
+    if (signal.reason instanceof SteamAPIError) {
+        return signal.reason;
+    }
+    
+    return new SteamAbortError('Request was aborted.', signal.reason);
+}
+
+module.exports = {
+    redactURL,
+    getHTTPError,
+    getAbortError,
+    SteamAPIError,
+    SteamHTTPError,
+    SteamRateLimitError,
+    SteamNotFoundError,
+    PrivateInventoryError,
+    InvalidAPIKeyError,
+    SteamResponseError,
+    SteamValidationError,
+    SteamTimeoutError,
+    SteamAbortError,
+    FixtureNotFoundError,
+    InvalidSteamIDError,
+    MissingParameterError
+};
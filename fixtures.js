@@ -0,0 +1,409 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { createHTTPTransport } = require('./transport');
+const { redactURL, FixtureNotFoundError } = require('./errors');
+
+/**
+ * Response headers which are not saved in fixtures.
+ * @private
+ * @type {string[]}
+ */
+const OMITTED_HEADERS = [
+    'set-cookie'
+];
+
+/**
+ * A response saved by the recording transport.
+ * @typedef {object} Fixture
+ * @property {object} request - The request.
+ * @property {string} request.method - The request method.
+ * @property {string} request.url - The URL which was requested, with secrets redacted.
+ * @property {string} [request.body] - The request body, with secrets redacted.
+ * @property {object} response - The response.
+ * @property {number} response.statusCode - Status code.
+ * @property {string} [response.statusMessage] - Status message.
+ * @property {object.<string, string>} response.headers - Response headers.
+ * @property {*} [response.json] - The body, if it is JSON.
+ * @property {string} [response.body] - The body, if it is not JSON.
+ */
+
+/**
+ * A response from a stub server route.
+ * @typedef {object} StubResponse
+ * @property {number} [statusCode=200] - Status code.
+ * @property {object.<string, string>} [headers] - Response headers.
+ * @property {*} [json] - Body to send as JSON.
+ * @property {string} [body] - Body to send as-is, if json is not given.
+ */
+
+/**
+ * A request received by a stub server.
+ * @typedef {object} StubRequest
+ * @property {string} method - The request method.
+ * @property {URL} url - The URL as it would have been sent to Steam.
+ * @property {object.<string, string>} query - Query string parameters.
+ * @property {string} body - Request body, e.g. the form-encoded parameters of a POST request.
+ * @property {object.<string, string>} headers - Request headers.
+ */
+
+/**
+ * A local server which stands in for Steam.
+ * @typedef {object} StubServer
+ * @property {string} url - URL of the server, e.g. "http://127.0.0.1:41234".
+ * @property {Transport} transport - Transport which sends requests to this server instead of Steam. Give this to createSteamAPI.
+ * @property {SteamAPIOptions} apiOptions - Options for createSteamAPI which send requests to this server with rate limits turned off, so tests do not wait between requests.
+ * @property {StubRequest[]} requests - Every request the server has received, in order.
+ * @property {function(): Promise} close - Stops the server.
+ */
+
+/**
+ * Gets the name of the fixture file for a request. The name is the same whichever API key is
+ * used, so fixtures recorded with one key can be replayed with any other.
+ * @param {object} request - The request.
+ * @param {string} request.method - The request method.
+ * @param {string} request.url - The URL to request.
+ * @param {string} [request.body] - The request body.
+ * @returns {string} File name, e.g. "GET_api.steampowered.com_ISteamUser_GetPlayerSummaries_v0002_2f5c3e1a9b0d.json".
+ */
+function getFixtureName(request) {
+    // parsed so that the same URL written differently has the same name
+    const url = new URL(redactURL(request.url));
+    const { hostname, pathname } = url;
+    const hash = crypto.createHash('sha1')
+        .update(`${request.method} ${url.href}`)
+        .update(request.body ? `\n${redactURL(request.body)}` : '')
+        .digest('hex')
+        .slice(0, 12);
+    const name = `${request.method} ${hostname}${pathname}`
+        .replace(/[^\w.-]+/g, '_')
+        .replace(/_+$/, '');
+    
+    return `${name}_${hash}.json`;
+}
+
+/**
+ * Reads the fixture for a request.
+ * @private
+ * @param {string} dir - Directory of fixtures.
+ * @param {object} request - The request.
+ * @returns {Promise.<(Fixture|null)>} Resolves with the fixture, or null if there is none.
+ */
+async function readFixture(dir, request) {
+    const filepath = path.join(dir, getFixtureName(request));
+    
+    try {
+        return JSON.parse(await fs.promises.readFile(filepath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        
+        throw error;
+    }
+}
+
+/**
+ * Gets the body of a fixture's response.
+ * @private
+ * @param {Fixture} fixture - Fixture.
+ * @returns {string} Body.
+ */
+function getFixtureBody(fixture) {
+    const { response } = fixture;
+    
+    if (response.json !== undefined) {
+        return JSON.stringify(response.json);
+    }
+    
+    return response.body || '';
+}
+
+/**
+ * Creates a transport which sends requests using another transport and saves each response to a
+ * fixture file in the given directory. The API key is redacted from saved URLs, and cookies are
+ * not saved. JSON bodies are saved as JSON so fixtures can be edited by hand.
+ * @param {string} dir - Directory to save fixtures in. It is created if it does not exist.
+ * @param {object} [options={}] - Options.
+ * @param {Transport} [options.transport] - Transport to send requests with. Defaults to one created with createHTTPTransport.
+ * @returns {Transport} Transport.
+ *
+ * @example
+ * const steam = createSteamAPI(apiKey, {
+ *     transport: createRecordingTransport('./test/fixtures')
+ * });
+ *
+ * // saves the response to ./test/fixtures
+ * await steam.getPlayerSummaries([steamid]);
+ */
+function createRecordingTransport(dir, options = {}) {
+    const transport = options.transport || createHTTPTransport();
+    
+    return async function record(request) {
+        // the whole body is needed to save it
+        const response = await transport({
+            ...request,
+            stream: false
+        });
+        const headers = Object.assign({}, response.headers);
+        
+        OMITTED_HEADERS.forEach((name) => {
+            delete headers[name];
+        });
+        
+        const fixture = {
+            request: {
+                method: request.method,
+                url: redactURL(request.url),
+                body: request.body && redactURL(request.body)
+            },
+            response: {
+                statusCode: response.statusCode,
+                statusMessage: response.statusMessage,
+                headers
+            }
+        };
+        
+        try {
+            fixture.response.json = JSON.parse(response.body);
+        } catch (error) {
+            fixture.response.body = response.body;
+        }
+        
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(path.join(dir, getFixtureName(request)), JSON.stringify(fixture, null, 2));
+        
+        return response;
+    };
+}
+
+/**
+ * Creates a transport which responds to requests with fixtures saved by a recording transport,
+ * without sending anything. Requests with no fixture reject with a FixtureNotFoundError, which is
+ * not retried.
+ * @param {string} dir - Directory of fixtures.
+ * @returns {Transport} Transport.
+ *
+ * @example
+ * const steam = createSteamAPI('any key', {
+ *     transport: createReplayTransport('./test/fixtures')
+ * });
+ *
+ * // responds with the fixture saved earlier
+ * await steam.getPlayerSummaries([steamid]);
+ */
+function createReplayTransport(dir) {
+    return async function replay(request) {
+        const { signal } = request;
+        
+        if (signal && signal.aborted) {
+            throw signal.reason;
+        }
+        
+        const fixture = await readFixture(dir, request);
+        
+        if (fixture === null) {
+            throw new FixtureNotFoundError(`No fixture for ${request.method} request in "${dir}".`, {
+                url: request.url
+            });
+        }
+        
+        const body = getFixtureBody(fixture);
+        
+        return {
+            statusCode: fixture.response.statusCode,
+            statusMessage: fixture.response.statusMessage,
+            headers: fixture.response.headers || {},
+            // streamed the same as a real response so the same code is used to parse it
+            body: request.stream ? Readable.from([Buffer.from(body)]) : body
+        };
+    };
+}
+
+/**
+ * Finds the route for a path. Routes are matched by path, or by the longest route ending in "/"
+ * which the path starts with.
+ * @private
+ * @param {object} routes - Routes.
+ * @param {string} pathname - Path.
+ * @returns {*} The route, if there is one.
+ */
+function findRoute(routes, pathname) {
+    if (routes[pathname] !== undefined) {
+        return routes[pathname];
+    }
+    
+    const prefix = Object.keys(routes)
+        .filter(route => route.endsWith('/') && pathname.startsWith(route))
+        .sort((a, b) => b.length - a.length)[0];
+    
+    return prefix === undefined ? undefined : routes[prefix];
+}
+
+/**
+ * Starts a local server which stands in for Steam. Requests sent using the server's transport are
+ * answered by the first of these which matches:
+ *
+ * 1. A route keyed by the path of the request, e.g. "/ISteamUser/GetPlayerSummaries/v0002/". Routes
+ *    ending in "/" also match any path starting with them, e.g. "/inventory/". A route can be a
+ *    function which is called with the StubRequest and returns a StubResponse, or any other value
+ *    which is sent as JSON.
+ * 2. A fixture saved by a recording transport, if a fixtures directory was given.
+ *
+ * Anything else gets a 404. Requests go over HTTP, so the whole library is used the same as with
+ * Steam, including retries, rate limits and streamed parsing.
+ * @param {object} [options={}] - Options.
+ * @param {object.<string, (function(StubRequest): (StubResponse|Promise.<StubResponse>)|*)>} [options.routes={}] - Routes keyed by path.
+ * @param {string} [options.fixtures] - Directory of fixtures to respond with.
+ * @param {number} [options.port=0] - Port to listen on. By default any free port is used.
+ * @returns {Promise.<StubServer>} Resolves with the server once it is listening.
+ *
+ * @example
+ * const server = await createStubServer({
+ *     routes: {
+ *         '/IEconItems_440/GetPlayerItems/v0001/': { result: { status: 15 } }
+ *     }
+ * });
+ * const steam = createSteamAPI('any key', server.apiOptions);
+ *
+ * await steam.getBackpack('440', steamid); // rejects with PrivateInventoryError
+ * await server.close();
+ */
+async function createStubServer(options = {}) {
+    const {
+        routes = {},
+        fixtures,
+        port = 0
+    } = options;
+    const requests = [];
+    
+    async function getResponse(request) {
+        const route = findRoute(routes, request.url.pathname);
+        
+        if (typeof route === 'function') {
+            return route(request);
+        }
+        
+        if (route !== undefined) {
+            return {
+                json: route
+            };
+        }
+        
+        const fixture = fixtures && await readFixture(fixtures, {
+            method: request.method,
+            url: request.url.href,
+            body: request.body
+        });
+        
+        if (fixture) {
+            return {
+                statusCode: fixture.response.statusCode,
+                headers: fixture.response.headers,
+                body: getFixtureBody(fixture)
+            };
+        }
+        
+        return null;
+    }
+    
+    const server = http.createServer(async (req, res) => {
+        // the path is the URL which would have been requested from Steam, without the protocol
+        const url = new URL(`https:/${req.url}`);
+        const chunks = [];
+        
+        for await (const chunk of req) {
+            chunks.push(chunk);
+        }
+        
+        const request = {
+            method: req.method,
+            url,
+            query: Object.fromEntries(url.searchParams),
+            body: Buffer.concat(chunks).toString('utf8'),
+            headers: req.headers
+        };
+        
+        requests.push(request);
+        
+        try {
+            const response = await getResponse(request);
+            
+            if (response === null) {
+                res.writeHead(404, `No stub for ${req.method} ${url.pathname}`, {
+                    'content-type': 'application/json'
+                });
+                res.end(JSON.stringify({ error: 'No route or fixture.' }));
+                return;
+            }
+            
+            const headers = Object.assign({}, response.headers);
+            let body = response.body || '';
+            
+            if (response.json !== undefined) {
+                headers['content-type'] = 'application/json; charset=utf-8';
+                body = JSON.stringify(response.json);
+            }
+            
+            // the body is sent as-is
+            delete headers['content-encoding'];
+            delete headers['content-length'];
+            delete headers['transfer-encoding'];
+            
+            res.writeHead(response.statusCode || 200, headers);
+            res.end(body);
+        } catch (error) {
+            res.writeHead(500, { 'content-type': 'text/plain' });
+            res.end(error.stack);
+        }
+    });
+    
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', resolve);
+    });
+    
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const httpTransport = createHTTPTransport({
+        keepAlive: false
+    });
+    
+    function transport(request) {
+        const { host, pathname, search } = new URL(request.url);
+        
+        return httpTransport({
+            ...request,
+            url: `${url}/${host}${pathname}${search}`
+        });
+    }
+    
+    return {
+        url,
+        requests,
+        transport,
+        apiOptions: {
+            transport,
+            rateLimits: {
+                api: false,
+                community: false
+            }
+        },
+        close() {
+            return new Promise((resolve) => {
+                server.close(resolve);
+                server.closeAllConnections();
+            });
+        }
+    };
+}
+
+module.exports = {
+    getFixtureName,
+    createRecordingTransport,
+    createReplayTransport,
+    createStubServer
+};
@@ -0,0 +1,1018 @@
+import { EventEmitter } from 'events';
+import { Readable } from 'stream';
+import { WebAPIInterfaces as BundledWebAPIInterfaces } from './webapi-interfaces';
+
+export = createSteamAPI;
+
+/**
+ * Creates an interface for making requests to the Steam API.
+ * @param apiKey - API key to use for requests.
+ * @param apiOptions - Options.
+ */
+declare function createSteamAPI(apiKey: string, apiOptions?: createSteamAPI.SteamAPIOptions): createSteamAPI.SteamAPI;
+
+declare namespace createSteamAPI {
+    /** States of a trade offer. */
+    enum TradeOfferState {
+        /** Invalid. */
+        Invalid = 1,
+        /** This trade offer has been sent, neither party has acted on it yet. */
+        Active = 2,
+        /** The trade offer was accepted by the recipient and items were exchanged. */
+        Accepted = 3,
+        /** The recipient made a counter offer. */
+        Countered = 4,
+        /** The trade offer was not accepted before the expiration date. */
+        Expired = 5,
+        /** The sender cancelled the offer. */
+        Canceled = 6,
+        /** The recipient declined the offer. */
+        Declined = 7,
+        /** Some of the items in the offer are no longer available. */
+        InvalidItems = 8,
+        /** The offer hasn't been sent yet and is awaiting email/mobile confirmation. */
+        CreatedNeedsConfirmation = 9,
+        /** Either party canceled the offer via email/mobile confirmation. */
+        CanceledBySecondFactor = 10,
+        /** The trade has been placed on hold. */
+        InEscrow = 11
+    }
+    
+    /** Currencies accepted by the community market. */
+    enum Currency {
+        USD = 1,
+        GBP = 2,
+        EUR = 3,
+        CHF = 4,
+        RUB = 5,
+        PLN = 6,
+        BRL = 7,
+        JPY = 8,
+        NOK = 9,
+        IDR = 10,
+        MYR = 11,
+        PHP = 12,
+        SGD = 13,
+        THB = 14,
+        VND = 15,
+        KRW = 16,
+        TRY = 17,
+        UAH = 18,
+        MXN = 19,
+        CAD = 20,
+        AUD = 21,
+        NZD = 22,
+        CNY = 23,
+        INR = 24,
+        CLP = 25,
+        PEN = 26,
+        COP = 27,
+        ZAR = 28,
+        HKD = 29,
+        TWD = 30,
+        SAR = 31,
+        AED = 32,
+        ARS = 34,
+        ILS = 35,
+        KZT = 37,
+        KWD = 38,
+        QAR = 39,
+        CRC = 40,
+        UYU = 41
+    }
+    
+    /** A SteamID in any format accepted by SteamID.parse. */
+    type SteamIDInput = string | number | bigint | SteamID.ParsedSteamID;
+    
+    namespace SteamID {
+        /** Account types. */
+        enum TYPE {
+            INVALID = 0,
+            INDIVIDUAL = 1,
+            MULTISEAT = 2,
+            GAMESERVER = 3,
+            ANON_GAMESERVER = 4,
+            PENDING = 5,
+            CONTENT_SERVER = 6,
+            CLAN = 7,
+            CHAT = 8,
+            ANON_USER = 10
+        }
+        
+        /** The parts of a SteamID. */
+        interface ParsedSteamID {
+            universe: number;
+            type: number;
+            instance: number;
+            accountid: number;
+        }
+        
+        /** Parses a SteamID in any format. Account ids must be given as numbers, numeric strings are read as 64-bit SteamIDs. Throws an InvalidSteamIDError if the input is not a valid SteamID. */
+        function parse(input: SteamIDInput): ParsedSteamID;
+        /** Checks whether the input is a valid SteamID. */
+        function isValid(input: any): boolean;
+        /** Converts a SteamID to a 64-bit SteamID, e.g. "76561197960287930". */
+        function toSteamID64(input: SteamIDInput): string;
+        /** Converts a SteamID to a Steam2 ID, e.g. "STEAM_0:0:11101". */
+        function toSteam2(input: SteamIDInput, newerFormat?: boolean): string;
+        /** Converts a SteamID to a Steam3 ID, e.g. "[U:1:22202]". */
+        function toSteam3(input: SteamIDInput): string;
+        /** Converts a SteamID to an account id, e.g. 22202. */
+        function toAccountID(input: SteamIDInput): number;
+    }
+    
+    /** Details about the request which caused an error. */
+    interface SteamAPIErrorDetails {
+        statusCode?: number;
+        url?: string;
+        endpoint?: string;
+        body?: any;
+    }
+    
+    /** Base class for all errors from Steam. */
+    class SteamAPIError extends Error {
+        constructor(message: string, details?: SteamAPIErrorDetails);
+        statusCode?: number;
+        /** The URL which was requested, with secrets redacted. */
+        url?: string;
+        endpoint?: string;
+        body?: any;
+    }
+    
+    /** Error for responses with an unexpected status code or content type. */
+    class SteamHTTPError extends SteamAPIError {}
+    
+    /** Error for responses with a 429 status code. */
+    class SteamRateLimitError extends SteamHTTPError {
+        constructor(message: string, details?: SteamAPIErrorDetails & { retryAfter?: number });
+        /** Milliseconds to wait before retrying, from the "Retry-After" header. */
+        retryAfter?: number;
+    }
+    
+    /** Error for when the requested resource does not exist. */
+    class SteamNotFoundError extends SteamAPIError {}
+    
+    /** Error for when an inventory or backpack cannot be viewed because it is private. */
+    class PrivateInventoryError extends SteamAPIError {}
+    
+    /** Error for when the API key was rejected. */
+    class InvalidAPIKeyError extends SteamHTTPError {}
+    
+    /** Error for when a response was received but did not contain what was expected. */
+    class SteamResponseError extends SteamAPIError {}
+    
+    /** Error for when a response does not match the schema for its endpoint. Only thrown when the validate option is set. */
+    class SteamValidationError extends SteamResponseError {
+        constructor(message: string, details?: SteamAPIErrorDetails & { path?: string });
+        /** Path to the value which did not match, e.g. "result.items[3].defindex". */
+        path?: string;
+    }
+    
+    /** Error for when a request takes longer than the transport's timeout. */
+    class SteamTimeoutError extends SteamAPIError {}
+    
+    /** Error for when a request is aborted using an AbortSignal. */
+    class SteamAbortError extends SteamAPIError {
+        constructor(message: string, reason?: any);
+        /** The reason given to AbortController.abort. */
+        reason: any;
+    }
+    
+    /** Error for when a request is replayed from fixtures but there is no fixture for it. */
+    class FixtureNotFoundError extends SteamAPIError {}
+    
+    /** Error for when a SteamID is malformed. This is thrown before any request is sent. */
+    class InvalidSteamIDError extends Error {
+        constructor(message: string, input: any);
+        /** The value which could not be parsed. */
+        input: any;
+    }
+    
+    /** Error for when a Web API method is called without a parameter it requires. This is thrown before any request is sent. */
+    class MissingParameterError extends Error {
+        constructor(message: string, parameters: string[]);
+        /** Names of the missing parameters. */
+        parameters: string[];
+    }
+    
+    /** Interface for caching values. Any object with these methods can be used. */
+    interface Cache {
+        /** Resolves with the value for a key, or undefined if the key is not cached. */
+        get(key: string): Promise<any>;
+        /** Stores a value for a key. */
+        set(key: string, value: any): Promise<unknown>;
+    }
+    
+    /** Options for createMemoryCache. */
+    interface MemoryCacheOptions {
+        /** Maximum number of values to store. */
+        max?: number;
+        /** Milliseconds each value is kept for after it is set. */
+        ttl?: number;
+    }
+    
+    /** Options for createFileCache. */
+    interface FileCacheOptions {
+        /** Milliseconds to collect changes for before writing them. */
+        delay?: number;
+    }
+    
+    /** Options for createRateLimiter. */
+    interface RateLimiterOptions {
+        tokensPerInterval?: number;
+        interval?: number;
+        bucketSize?: number;
+    }
+    
+    /** A token bucket rate limiter. */
+    interface RateLimiter {
+        /** Resolves once a token is available and has been taken from the bucket. */
+        removeToken(signal?: AbortSignal): Promise<void>;
+        /** Calls the given function once a token is available and resolves with its result. */
+        schedule<T>(fn: () => T | Promise<T>, signal?: AbortSignal): Promise<T>;
+        /** Gets the number of callers waiting for a token. */
+        getQueueLength(): number;
+    }
+    
+    /** Policy for retrying failed requests. */
+    interface RetryPolicy {
+        maxAttempts?: number;
+        minDelay?: number;
+        maxDelay?: number;
+        factor?: number;
+        jitter?: number;
+        retryOn?: number[] | ((statusCode: number, attempt: number) => boolean);
+        retryOnNetworkError?: boolean;
+        respectRetryAfter?: boolean;
+        maxRetryAfter?: number;
+    }
+    
+    /** A request given to a transport. */
+    interface TransportRequest {
+        method: string;
+        url: string;
+        headers: { [name: string]: string };
+        body?: string;
+        signal?: AbortSignal;
+        stream?: boolean;
+    }
+    
+    /** A response from a transport. */
+    interface TransportResponse {
+        statusCode: number;
+        statusMessage?: string;
+        headers: { [name: string]: string | string[] | undefined };
+        /** Decompressed and decoded as UTF-8. Only a stream if the request asked for one. */
+        body: string | Readable;
+    }
+    
+    /** A function which sends a request and resolves with the response. */
+    type Transport = (request: TransportRequest) => Promise<TransportResponse>;
+    
+    /** Options for createHTTPTransport. */
+    interface HTTPTransportOptions {
+        keepAlive?: boolean;
+        maxSockets?: number;
+        socketTimeout?: number;
+        responseTimeout?: number;
+        compress?: boolean;
+        proxy?: string;
+        communityProxies?: string[];
+    }
+    
+    /** A response from a stub server route. */
+    interface StubResponse {
+        statusCode?: number;
+        headers?: { [name: string]: string };
+        /** Body to send as JSON. */
+        json?: any;
+        /** Body to send as-is, if json is not given. */
+        body?: string;
+    }
+    
+    /** A request received by a stub server. */
+    interface StubRequest {
+        method: string;
+        /** The URL as it would have been sent to Steam. */
+        url: URL;
+        query: { [name: string]: string };
+        /** Request body, e.g. the form-encoded parameters of a POST request. */
+        body: string;
+        headers: { [name: string]: string | string[] | undefined };
+    }
+    
+    /** A route for a stub server. Values which are not functions are sent as JSON. */
+    type StubRoute = ((request: StubRequest) => StubResponse | Promise<StubResponse>) | any;
+    
+    /** Options for createStubServer. */
+    interface StubServerOptions {
+        /** Routes keyed by path. Routes ending in "/" also match any path starting with them. */
+        routes?: { [pathname: string]: StubRoute };
+        /** Directory of fixtures to respond with. */
+        fixtures?: string;
+        port?: number;
+    }
+    
+    /** A local server which stands in for Steam. */
+    interface StubServer {
+        url: string;
+        /** Transport which sends requests to this server instead of Steam. */
+        transport: Transport;
+        /** Options for createSteamAPI which send requests to this server with rate limits turned off. */
+        apiOptions: SteamAPIOptions;
+        /** Every request the server has received, in order. */
+        requests: StubRequest[];
+        close(): Promise<void>;
+    }
+    
+    /** Options for createSteamAPI. */
+    interface SteamAPIOptions {
+        retry?: RetryPolicy;
+        rateLimits?: {
+            /** False turns the rate limit off. */
+            api?: RateLimiter | RateLimiterOptions | false;
+            community?: RateLimiter | RateLimiterOptions | false;
+        };
+        /** Cache for classinfos. Values which cannot be stored are left out without failing the call. */
+        cache?: Cache;
+        profileCache?: Cache;
+        /** Whether to check responses from every endpoint against a bundled schema. */
+        validate?: boolean;
+        transport?: Transport | HTTPTransportOptions;
+        /** Response from ISteamWebAPIUtil/GetSupportedAPIList to create the Web API interfaces from. Defaults to supported-api-list.json, a bundled subset of the list with the most used interfaces. */
+        apiList?: SupportedAPIList;
+    }
+    
+    /** Options accepted by every method which makes requests. */
+    interface SignalOptions {
+        /** Signal which cancels the call. */
+        signal?: AbortSignal;
+        /** Milliseconds the whole call can take before it fails. */
+        timeout?: number;
+    }
+    
+    /** Options which are sent to Steam as parameters. */
+    interface RequestParams extends SignalOptions {
+        [param: string]: any;
+    }
+    
+    /** Number of requests waiting on the rate limit for each host. */
+    interface QueueLength {
+        api: number;
+        community: number;
+    }
+    
+    /** Player summary. */
+    interface PlayerSummary {
+        steamid: string;
+        personaname: string;
+        profileurl: string;
+        avatar: string;
+        avatarmedium: string;
+        avatarfull: string;
+        personastate: number;
+        communityvisibilitystate: number;
+        profilestate: number;
+        lastlogoff: number;
+        commentpermission: number;
+        realname?: string;
+        primaryclanid?: string;
+        timecreated?: number;
+        gameid?: string;
+        gameserverip?: string;
+        gameextrainfo?: string;
+        cityid?: number;
+        loccountrycode?: string;
+        locstatecode?: number;
+        loccityid?: number;
+    }
+    
+    /** A profile from resolveProfile. */
+    interface Profile {
+        steamid: string;
+        summary: PlayerSummary;
+    }
+    
+    /** Player summaries from getPlayerSummaries. */
+    interface PlayerSummariesResult {
+        /** Player summaries keyed by steamid. */
+        players: { [steamid: string]: PlayerSummary };
+        /** Steamids which Steam did not return a summary for. */
+        missing: string[];
+    }
+    
+    /** An action belonging to a classinfo. */
+    interface ClassInfoAction {
+        name: string;
+        link: string;
+    }
+    
+    /** A description belonging to a classinfo. */
+    interface ClassInfoDescription {
+        type: string;
+        value: string;
+        app_data: any;
+        color?: string;
+    }
+    
+    /** A tag belonging to a classinfo. */
+    interface ClassInfoTag {
+        internal_name: string;
+        name: string;
+        category: string;
+        category_name: string;
+        color?: string;
+    }
+    
+    /** Definition for an item class. */
+    interface ClassInfo {
+        classid: string;
+        instanceid?: string;
+        type?: string;
+        icon_url: string;
+        icon_url_large: string;
+        name: string;
+        market_name: string;
+        market_hash_name: string;
+        background_color: string;
+        name_color: string;
+        fraudwarnings: string;
+        currency: string | number;
+        tradable: string | number;
+        commodity: string | number;
+        marketable: string | number;
+        market_tradable_restriction: string;
+        market_marketable_restriction: string;
+        actions: ClassInfoAction[];
+        market_actions: ClassInfoAction[];
+        descriptions?: ClassInfoDescription[];
+        tags?: ClassInfoTag[];
+        appdata?: any;
+    }
+    
+    /** Identifies a class by its classid and instanceid. */
+    interface ClassInfoID {
+        classid: string;
+        instanceid?: string;
+    }
+    
+    /** Classinfos keyed by classid, or "classid_instanceid" for classes requested with an instanceid. */
+    interface ClassInfoContainer {
+        [key: string]: ClassInfo;
+    }
+    
+    /** Attributes for a backpack item. */
+    interface BackpackItemAttribute {
+        defindex: number;
+        value: number;
+        float_value: number;
+        attributes: BackpackItemAttribute[];
+    }
+    
+    /** An item from a backpack. */
+    interface BackpackItem {
+        id: number;
+        original_id: number;
+        defindex: number;
+        level: number;
+        quality: number;
+        inventory: number;
+        quantity: number;
+        origin: number;
+        flag_cannot_trade: boolean;
+        flag_cannot_craft: boolean;
+        attributes: BackpackItemAttribute[];
+    }
+    
+    /** A user's backpack. Items are normalized when the normalize option is set. */
+    interface Backpack<T = BackpackItem | NormalizedItem> {
+        items: T[];
+        status: number;
+        num_backpack_items: number;
+    }
+    
+    /** An item from a user's inventory, which is the asset merged with its description. */
+    interface InventoryItem extends ClassInfo {
+        appid: number;
+        contextid: string;
+        assetid: string;
+        instanceid: string;
+        amount: string;
+    }
+    
+    /** A user's inventory. */
+    type Inventory = InventoryItem[];
+    
+    /** An item in the same shape from either getBackpack or getInventory. */
+    interface NormalizedItem {
+        id: string;
+        original_id?: string;
+        appid: number | string;
+        contextid?: string;
+        classid?: string;
+        instanceid?: string;
+        defindex?: number;
+        name: string | null;
+        market_hash_name: string | null;
+        quality: string | null;
+        craftable: boolean;
+        tradable: boolean;
+        marketable: boolean;
+        quantity: number;
+        /** Tag names keyed by category, e.g. { Quality: "Strange" }. */
+        tags: { [category: string]: string };
+        /** Attribute values keyed by defindex. Only backpack items have attributes. */
+        attributes: { [defindex: string]: number | string };
+        icon_url: string | null;
+    }
+    
+    /** A target for getInventories. */
+    interface InventoryTarget {
+        steamid: SteamIDInput;
+        appid: string;
+        contextid?: string;
+        backpack?: boolean;
+    }
+    
+    /** The result for a target from getInventories. */
+    interface InventoryResult {
+        target: InventoryTarget;
+        items?: InventoryItem[] | BackpackItem[];
+        error?: Error;
+    }
+    
+    /** Count of an item across all results from getInventories. */
+    interface CombinedInventoryItem {
+        market_hash_name: string;
+        count: number;
+    }
+    
+    /** Results from getInventories. */
+    interface InventoriesResult {
+        results: InventoryResult[];
+        /** Items from all inventories grouped by market hash name. */
+        combined: { [market_hash_name: string]: CombinedInventoryItem };
+    }
+    
+    /** Differences between two sets of items. */
+    interface InventoryDiff<T = InventoryItem | BackpackItem> {
+        added: T[];
+        removed: T[];
+        moved: InventoryItemChange<T>[];
+        quantityChanged: InventoryItemChange<T>[];
+        idChanged: InventoryItemChange<T>[];
+    }
+    
+    /** An item which changed between fetches. */
+    interface InventoryItemChange<T = InventoryItem | BackpackItem> {
+        before: T;
+        after: T;
+    }
+    
+    /** Options for createInventoryWatcher. */
+    interface InventoryWatcherOptions {
+        interval?: number;
+        autoStart?: boolean;
+        /** Signal which stops the watcher when aborted. */
+        signal?: AbortSignal;
+    }
+    
+    /** Options for watchInventory and watchBackpack. */
+    interface WatchOptions extends InventoryWatcherOptions {
+        /** Any additional options to send to request as parameters. */
+        params?: RequestParams;
+    }
+    
+    /** An event emitter which polls for items and emits "ready", "change" and "error". */
+    interface InventoryWatcher<T = InventoryItem | BackpackItem> extends EventEmitter {
+        start(): void;
+        stop(): void;
+        /** Gets the items from the last successful fetch. */
+        getItems(): T[] | null;
+        on(event: 'ready', listener: (items: T[]) => void): this;
+        on(event: 'change', listener: (diff: InventoryDiff<T>, items: T[]) => void): this;
+        on(event: 'error', listener: (error: Error) => void): this;
+        on(event: string | symbol, listener: (...args: any[]) => void): this;
+    }
+    
+    /** Prices of an item on the community market. Prices are in cents of the requested currency. */
+    interface PriceOverview {
+        market_hash_name: string;
+        lowest_price: number | null;
+        median_price: number | null;
+        volume: number;
+    }
+    
+    /** A point in an item's price history. */
+    interface PriceHistoryPoint {
+        date: Date;
+        price: number;
+        volume: number;
+    }
+    
+    /** The value of an item from valueInventory. */
+    interface InventoryItemValue {
+        appid: number | string;
+        market_hash_name: string;
+        quantity: number;
+        price: number | null;
+        total: number;
+        error?: Error;
+    }
+    
+    /** Results from valueInventory. */
+    interface InventoryValue {
+        total: number;
+        currency: number;
+        items: InventoryItemValue[];
+        skipped: number;
+    }
+    
+    /** UGC file details. */
+    interface UGCFileDetailsResponse {
+        status?: number;
+        filename?: string;
+        url?: string;
+        size?: number;
+    }
+    
+    /** An item in a trade from your trade history. */
+    interface TradeHistoryTradeItem {
+        appid: number;
+        contextid: string;
+        assetid: string;
+        amount: string;
+        classid: string;
+        instanceid: string;
+        new_assetid: string;
+        new_contextid: string;
+    }
+    
+    /** An item in a trade with its description merged, from the combine_descriptions option. */
+    type CombinedTradeHistoryTradeItem = TradeHistoryTradeItem & Partial<ClassInfo>;
+    
+    /** A trade from your trade history. */
+    interface TradeHistoryTrade<T = TradeHistoryTradeItem> {
+        tradeid: string;
+        steamid_other: string;
+        time_init: number;
+        status: number;
+        assets_received?: T[];
+        assets_given?: T[];
+    }
+    
+    /** Trade history details. */
+    interface TradeHistoryResponse<T = TradeHistoryTradeItem> {
+        trades: TradeHistoryTrade<T>[];
+        more: boolean;
+        descriptions?: ClassInfo[];
+        url?: string;
+    }
+    
+    /** An item in a trade offer. */
+    interface TradeOfferItem {
+        appid: number;
+        contextid: string;
+        assetid: string;
+        classid: string;
+        instanceid: string;
+        amount: string;
+        missing: boolean;
+    }
+    
+    /** An item in a trade offer with its description merged, from the combine_descriptions option. */
+    type CombinedTradeOfferItem = TradeOfferItem & Partial<ClassInfo>;
+    
+    /** A trade offer. */
+    interface TradeOffer<T = TradeOfferItem> {
+        tradeofferid: string;
+        accountid_other: number;
+        message: string;
+        expiration_time: number;
+        trade_offer_state: TradeOfferState;
+        items_to_give?: T[];
+        items_to_receive?: T[];
+        is_our_offer: boolean;
+        time_created: number;
+        time_updated: number;
+        tradeid?: string;
+        from_real_time_trade: boolean;
+        escrow_end_date: number;
+        confirmation_method: number;
+    }
+    
+    /** Trade offers. */
+    interface TradeOffersResponse<T = TradeOfferItem> {
+        trade_offers_sent?: TradeOffer<T>[];
+        trade_offers_received?: TradeOffer<T>[];
+        descriptions?: ClassInfo[];
+        next_cursor?: number;
+    }
+    
+    /** A single trade offer. */
+    interface TradeOfferResponse<T = TradeOfferItem> {
+        offer: TradeOffer<T>;
+        descriptions?: ClassInfo[];
+    }
+    
+    /** Counts of trade offers. */
+    interface TradeOffersSummary {
+        pending_received_count: number;
+        new_received_count: number;
+        updated_received_count: number;
+        historical_received_count: number;
+        pending_sent_count: number;
+        newly_accepted_sent_count: number;
+        updated_sent_count: number;
+        historical_sent_count: number;
+        escrow_received_count: number;
+        escrow_sent_count: number;
+    }
+    
+    /** Item schema data used for decoding. */
+    interface TF2Schema {
+        qualities?: { [name: string]: number };
+        qualityNames?: { [name: string]: string };
+        attribute_controlled_attached_particles?: any[];
+        kill_eater_score_types?: any[];
+        items?: any[];
+        [key: string]: any;
+    }
+    
+    /** A decoded TF2 item. */
+    interface TF2Item {
+        id: string;
+        original_id: string;
+        defindex: number;
+        name: string | null;
+        custom_name: string | null;
+        custom_desc: string | null;
+        quality: {
+            id: number;
+            name: string | null;
+        };
+        level: number;
+        craftable: boolean;
+        tradable: boolean;
+        craft_number: number | null;
+        effect: { id: number; name: string | null } | null;
+        paint: { color: string; name: string | null } | null;
+        killstreak: {
+            tier: number;
+            tier_name: string | null;
+            sheen: string | null;
+            killstreaker: string | null;
+        } | null;
+        strange_parts: { type: number; name: string | null; count: number }[];
+        spells: { type: string; name: string | null }[];
+    }
+    
+    /** Options for getPlayerSummaries and resolveProfile. */
+    type ProfileOptions = SignalOptions;
+    
+    /** Options for resolveVanityURL. */
+    interface ResolveVanityURLOptions extends RequestParams {
+        /** 1 for individual profiles, 2 for groups, 3 for official game groups. */
+        url_type?: number;
+    }
+    
+    /** Options for getBackpack. */
+    interface BackpackOptions extends RequestParams {
+        normalize?: boolean;
+        stream?: boolean;
+    }
+    
+    /** Options for getSchemaItems, getSchemaOverview and getSchema. */
+    interface SchemaOptions extends RequestParams {
+        language?: string;
+        stream?: boolean;
+    }
+    
+    /** Options for getInventory and getInventoryPages. */
+    interface InventoryOptions extends RequestParams {
+        count?: number;
+        start_assetid?: string;
+        normalize?: boolean;
+        stream?: boolean;
+    }
+    
+    /** Options for getInventories. */
+    interface InventoriesOptions extends SignalOptions {
+        concurrency?: number;
+        inventory?: InventoryOptions;
+        backpack?: BackpackOptions;
+    }
+    
+    /** Options for getPriceOverview and getPriceHistory. */
+    interface PriceOptions extends RequestParams {
+        currency?: Currency | number;
+        country?: string;
+    }
+    
+    /** Options for getPriceHistory. */
+    interface PriceHistoryOptions extends PriceOptions {
+        /** Cookies of a logged in session, as the value of a "Cookie" header or keyed by name. */
+        cookies?: string | { [name: string]: string };
+        headers?: { [name: string]: string };
+    }
+    
+    /** Options for valueInventory. */
+    interface ValueInventoryOptions extends SignalOptions {
+        currency?: Currency | number;
+        price?: 'lowest' | 'median';
+    }
+    
+    /** Options for getTradeHistory. */
+    interface TradeHistoryOptions extends RequestParams {
+        max_trades?: number;
+        start_after_time?: number;
+        start_after_tradeid?: string;
+        navigating_back?: boolean | number;
+        get_descriptions?: boolean | number;
+        language?: string;
+        include_failed?: boolean | number;
+        include_total?: boolean | number;
+        combine_descriptions?: boolean;
+    }
+    
+    /** Options for getTradeHistoryPages and getAllTradeHistory. */
+    interface TradeHistoryPagesOptions extends TradeHistoryOptions {
+        since_time?: number;
+        since_tradeid?: string;
+    }
+    
+    /** Options for getTradeOffers, getTradeOffersPages and getAllTradeOffers. */
+    interface TradeOffersOptions extends RequestParams {
+        get_sent_offers?: boolean | number;
+        get_received_offers?: boolean | number;
+        get_descriptions?: boolean | number;
+        language?: string;
+        active_only?: boolean | number;
+        historical_only?: boolean | number;
+        time_historical_cutoff?: number;
+        cursor?: number;
+        combine_descriptions?: boolean;
+    }
+    
+    /** Options for getTradeOffer. */
+    interface TradeOfferOptions extends RequestParams {
+        get_descriptions?: boolean | number;
+        language?: string;
+        combine_descriptions?: boolean;
+    }
+    
+    /** Options for getTradeOffersSummary. */
+    interface TradeOffersSummaryOptions extends RequestParams {
+        time_last_visit?: number;
+    }
+    
+    /** A parameter of a Web API method. */
+    interface WebAPIParameter {
+        /** Array parameters are named with their first index, e.g. "publishedfileids[0]". */
+        name: string;
+        type: string;
+        optional: boolean;
+        description?: string;
+    }
+    
+    /** A version of a Web API method. */
+    interface WebAPIMethod {
+        name: string;
+        version: number;
+        /** "GET" or "POST". */
+        httpmethod: string;
+        parameters: WebAPIParameter[];
+    }
+    
+    /** The response from ISteamWebAPIUtil/GetSupportedAPIList. */
+    interface SupportedAPIList {
+        apilist: {
+            interfaces: Array<{
+                name: string;
+                methods: WebAPIMethod[];
+            }>;
+        };
+    }
+    
+    /** Options for a call to a Web API method, which are not sent to Steam. */
+    interface WebAPICallOptions extends SignalOptions {
+        /** Whether to retry the call, or the policy to retry it with. GET methods are retried with the retry policy of the interface by default, POST methods are only sent once. */
+        retry?: boolean | RetryPolicy;
+    }
+    
+    /** Calls a version of a Web API method. The parameters can be left out if none are required. */
+    type WebAPICall<P> = {} extends P ?
+        (params?: P & WebAPICallOptions) => Promise<any> :
+        (params: P & WebAPICallOptions) => Promise<any>;
+    
+    /** Calls the latest version of a Web API method. Each version can be called by number, e.g. v1. */
+    type WebAPIMethodFunction<Versions, Latest extends keyof Versions> = WebAPICall<Versions[Latest]> & {
+        [Version in keyof Versions]: WebAPICall<Versions[Version]>;
+    };
+    
+    /** Interfaces from the bundled list of supported APIs, with the parameters of each method. These are generated from supported-api-list.json. */
+    interface WebAPIInterfaces extends BundledWebAPIInterfaces {}
+    
+    /** Interface for Steam API. */
+    interface SteamAPI extends WebAPIInterfaces {
+        /** Makes a request to any URL on the API with the API key. */
+        request(uri: string, options?: RequestParams): Promise<any>;
+        /** Gets the number of requests waiting on the rate limit for each host. */
+        getQueueLength(): QueueLength;
+        /** Gets player summaries for given steamids. */
+        getPlayerSummaries(steamids: SteamIDInput[] | string, format?: 'json', options?: ProfileOptions): Promise<PlayerSummariesResult>;
+        /** Resolves a vanity URL name to a steamid. */
+        resolveVanityURL(vanityurl: string, options?: ResolveVanityURLOptions): Promise<string>;
+        /** Looks up a profile from a profile URL, vanity URL name or steamid. */
+        resolveProfile(input: string, options?: ProfileOptions): Promise<Profile>;
+        /** Gets classinfo for a classid. */
+        getAssetClassInfo(appid: string, classid: string | ClassInfoID, options?: RequestParams): Promise<ClassInfo>;
+        /** Gets classinfo for an array of classids. */
+        getAssetClassInfos(appid: string, classids: Array<string | ClassInfoID>, options?: RequestParams): Promise<ClassInfoContainer>;
+        /** Gets backpack for user. */
+        getBackpack(appid: string, steamid: SteamIDInput, options: BackpackOptions & { normalize: true }): Promise<Backpack<NormalizedItem>>;
+        getBackpack(appid: string, steamid: SteamIDInput, options?: BackpackOptions): Promise<Backpack<BackpackItem>>;
+        /** Gets the items from the item schema. */
+        getSchemaItems(appid: string, options?: SchemaOptions): Promise<any[]>;
+        /** Gets the schema overview, which contains everything in the schema except items. */
+        getSchemaOverview(appid: string, options?: SchemaOptions): Promise<any>;
+        /** Gets the URL of the full items_game schema file. */
+        getSchemaURL(appid: string, options?: RequestParams): Promise<string>;
+        /** Gets the full item schema. */
+        getSchema(appid: string, options?: SchemaOptions): Promise<TF2Schema>;
+        /** Gets a user's inventory. All pages of the inventory are fetched. */
+        getInventory(appid: string, contextid: string, steamid: SteamIDInput, options: InventoryOptions & { normalize: true }): Promise<NormalizedItem[]>;
+        getInventory(appid: string, contextid: string, steamid: SteamIDInput, options?: InventoryOptions): Promise<Inventory>;
+        /** Gets a user's inventory one page at a time. */
+        getInventoryPages(appid: string, contextid: string, steamid: SteamIDInput, options: InventoryOptions & { normalize: true }): AsyncIterableIterator<NormalizedItem[]>;
+        getInventoryPages(appid: string, contextid: string, steamid: SteamIDInput, options?: InventoryOptions): AsyncIterableIterator<Inventory>;
+        /** Gets inventories and backpacks for many targets. */
+        getInventories(targets: InventoryTarget[], options?: InventoriesOptions): Promise<InventoriesResult>;
+        /** Watches a user's inventory for changes by polling getInventory. */
+        watchInventory(appid: string, contextid: string, steamid: SteamIDInput, options?: WatchOptions): InventoryWatcher<InventoryItem>;
+        /** Watches a user's backpack for changes by polling getBackpack. */
+        watchBackpack(appid: string, steamid: SteamIDInput, options?: WatchOptions): InventoryWatcher<BackpackItem>;
+        /** Gets the lowest and median prices of an item on the community market. */
+        getPriceOverview(appid: string, market_hash_name: string, options?: PriceOptions): Promise<PriceOverview>;
+        /** Gets the price history of an item on the community market. */
+        getPriceHistory(appid: string, market_hash_name: string, options?: PriceHistoryOptions): Promise<PriceHistoryPoint[]>;
+        /** Gets the total market value of items from getInventory. */
+        valueInventory(items: Array<InventoryItem | NormalizedItem>, options?: ValueInventoryOptions): Promise<InventoryValue>;
+        /** Gets UGC file details. */
+        getUGCFileDetails(appid: string, ugcid: string, steamid?: SteamIDInput, options?: RequestParams): Promise<UGCFileDetailsResponse>;
+        /** Gets your trade history. */
+        getTradeHistory(options: TradeHistoryOptions & { combine_descriptions: true }): Promise<TradeHistoryResponse<CombinedTradeHistoryTradeItem>>;
+        getTradeHistory(options?: TradeHistoryOptions): Promise<TradeHistoryResponse>;
+        /** Gets your trade history one page at a time. */
+        getTradeHistoryPages(options: TradeHistoryPagesOptions & { combine_descriptions: true }): AsyncIterableIterator<TradeHistoryResponse<CombinedTradeHistoryTradeItem>>;
+        getTradeHistoryPages(options?: TradeHistoryPagesOptions): AsyncIterableIterator<TradeHistoryResponse>;
+        /** Gets your full trade history. All pages of trade history are fetched. */
+        getAllTradeHistory(options: TradeHistoryPagesOptions & { combine_descriptions: true }): Promise<TradeHistoryResponse<CombinedTradeHistoryTradeItem>>;
+        getAllTradeHistory(options?: TradeHistoryPagesOptions): Promise<TradeHistoryResponse>;
+        /** Gets trade offers sent and/or received. */
+        getTradeOffers(options: TradeOffersOptions & { combine_descriptions: true }): Promise<TradeOffersResponse<CombinedTradeOfferItem>>;
+        getTradeOffers(options?: TradeOffersOptions): Promise<TradeOffersResponse>;
+        /** Gets trade offers one page at a time. */
+        getTradeOffersPages(options: TradeOffersOptions & { combine_descriptions: true }): AsyncIterableIterator<TradeOffersResponse<CombinedTradeOfferItem>>;
+        getTradeOffersPages(options?: TradeOffersOptions): AsyncIterableIterator<TradeOffersResponse>;
+        /** Gets all trade offers. All pages of trade offers are fetched. */
+        getAllTradeOffers(options: TradeOffersOptions & { combine_descriptions: true }): Promise<TradeOffersResponse<CombinedTradeOfferItem>>;
+        getAllTradeOffers(options?: TradeOffersOptions): Promise<TradeOffersResponse>;
+        /** Gets a single trade offer. */
+        getTradeOffer(tradeofferid: string, options: TradeOfferOptions & { combine_descriptions: true }): Promise<TradeOfferResponse<CombinedTradeOfferItem>>;
+        getTradeOffer(tradeofferid: string, options?: TradeOfferOptions): Promise<TradeOfferResponse>;
+        /** Gets counts of pending and new trade offers. */
+        getTradeOffersSummary(options?: TradeOffersSummaryOptions): Promise<TradeOffersSummary>;
+    }
+    
+    /** Parses a localized price string into an integer number of cents. */
+    function parsePrice(value: string): number | null;
+    /** Normalizes an item from getBackpack. */
+    function normalizeBackpackItem(item: BackpackItem, appid: number | string): NormalizedItem;
+    /** Normalizes an item from getInventory. */
+    function normalizeInventoryItem(item: InventoryItem): NormalizedItem;
+    /** Creates a decoder for TF2 items from GetPlayerItems. */
+    function createTF2Decoder(schema?: TF2Schema): (item: BackpackItem) => TF2Item;
+    /** Loads a schema from a JSON file. */
+    function loadSchema(filepath: string): Promise<TF2Schema>;
+    /** Saves a schema to a JSON file, so that it can be loaded with loadSchema later. */
+    function saveSchema(filepath: string, schema: TF2Schema): Promise<void>;
+    /** Gets the differences between two snapshots of an inventory or backpack. */
+    function diffInventories<T extends InventoryItem | BackpackItem>(before: T[], after: T[]): InventoryDiff<T>;
+    /** Creates a watcher which polls an inventory and emits events when it changes. */
+    function createInventoryWatcher<T>(fetchItems: (signal: AbortSignal) => Promise<T[]>, options?: InventoryWatcherOptions): InventoryWatcher<T>;
+    /** Creates a token bucket rate limiter. Callers waiting for a token are served in order. */
+    function createRateLimiter(options?: RateLimiterOptions): RateLimiter;
+    /** Creates the default transport, which uses node's http and https modules. */
+    function createHTTPTransport(options?: HTTPTransportOptions): Transport;
+    /** Creates a transport which saves each response to a fixture file in the given directory. */
+    function createRecordingTransport(dir: string, options?: { transport?: Transport }): Transport;
+    /** Creates a transport which responds to requests with fixtures saved by a recording transport. */
+    function createReplayTransport(dir: string): Transport;
+    /** Starts a local server which stands in for Steam. */
+    function createStubServer(options?: StubServerOptions): Promise<StubServer>;
+    /** Creates an in-memory cache which removes the least recently used values once it is full. */
+    function createMemoryCache(options?: MemoryCacheOptions): Cache;
+    /** Creates a cache which stores values in a JSON file. */
+    function createFileCache(filepath: string, options?: FileCacheOptions): Cache;
+}
@@ -1,7 +1,87 @@
 'use strict';
 
 const { getJSON } = require('./requests');
-const { uniq, promiseSeries, reduceChunk, groupBy, indexBy, sleep } = require('./utils');
+const { createRateLimiter } = require('./ratelimiter');
+const { createHTTPTransport } = require('./transport');
+const { createRecordingTransport, createReplayTransport, createStubServer } = require('./fixtures');
+const { createMemoryCache, createFileCache } = require('./cache');
+const SteamID = require('./steamid');
+const { diffInventories, createInventoryWatcher } = require('./diff');
+const { normalizeBackpackItem, normalizeInventoryItem } = require('./normalize');
+const { createTF2Decoder } = require('./tf2');
+const { Currency, parsePrice, parseVolume, parseHistoryDate } = require('./market');
+const { loadSchema, saveSchema } = require('./schema');
+const { RESPONSE_SCHEMAS, STATUS_CODES } = require('./schemas');
+const { findMismatch, getValueAtPath } = require('./validate');
+const { getMethodParams, createWebAPIInterfaces } = require('./webapi');
+const SUPPORTED_API_LIST = require('./supported-api-list.json');
+const { uniq, promiseSeries, promisePool, reduceChunk, groupBy, indexBy, buildURL } = require('./utils');
+const errors = require('./errors');
+const {
+    SteamNotFoundError,
+    PrivateInventoryError,
+    SteamResponseError,
+    SteamValidationError,
+    SteamTimeoutError
+} = errors;
+
+/**
+ * States of a trade offer.
+ * @readonly
+ * @enum {number}
+ */
+const TradeOfferState = Object.freeze({
+    /** Invalid. */
+    Invalid: 1,
+    /** This trade offer has been sent, neither party has acted on it yet. */
+    Active: 2,
+    /** The trade offer was accepted by the recipient and items were exchanged. */
+    Accepted: 3,
+    /** The recipient made a counter offer. */
+    Countered: 4,
+    /** The trade offer was not accepted before the expiration date. */
+    Expired: 5,
+    /** The sender cancelled the offer. */
+    Canceled: 6,
+    /** The recipient declined the offer. */
+    Declined: 7,
+    /** Some of the items in the offer are no longer available. */
+    InvalidItems: 8,
+    /** The offer hasn't been sent yet and is awaiting email/mobile confirmation. */
+    CreatedNeedsConfirmation: 9,
+    /** Either party canceled the offer via email/mobile confirmation. */
+    CanceledBySecondFactor: 10,
+    /** The trade has been placed on hold. */
+    InEscrow: 11
+});
+
+/**
+ * Options for the default profile cache. Profiles change, so they are only kept for a short time.
+ * @private
+ * @type {object}
+ */
+const DEFAULT_PROFILE_CACHE_OPTIONS = {
+    max: 1000,
+    ttl: 5 * 60 * 1000
+};
+
+/**
+ * Default rate limits for each host.
+ * @private
+ * @type {object.<string, RateLimiterOptions>}
+ */
+const DEFAULT_RATE_LIMITS = {
+    api: {
+        tokensPerInterval: 1,
+        interval: 1000,
+        bucketSize: 10
+    },
+    community: {
+        tokensPerInterval: 1,
+        interval: 3000,
+        bucketSize: 1
+    }
+};
 
 /**
  * Converts array-like objects into arrays on classinfo response. This modifies the original object.
@@ -25,43 +105,74 @@ function fixClassInfo(classinfo) {
 }
 
 /**
- * Merges the descriptions to the items in the trade. This modifies the original object.
+ * Creates a look-up table for descriptions by appid, classid and instanceid.
  * @private
- * @param {TradeHistoryResponse} response - Trade history response.
- * @returns {ClassInfo} Classinfo.
+ * @param {ClassInfo[]} [descriptions=[]] - Descriptions.
+ * @returns {object} Look-up table.
  */
-function mergeTradeHistoryResponseDescriptions(response) {
-    // adds descriptions to the trade item
-    function withDescriptions(items) {
-        return items.map((item) => {
-            const classinfo = (
-                table[item.appid] &&
-                table[item.appid][item.classid]
-            ) || {};
-            
-            // combine them
-            return {
-                ...item,
-                ...classinfo
+function createDescriptionsTable(descriptions = []) {
+    // e.g.
+    // {
+    //     appid: {
+    //         classid_instanceid: {
+    //             ...
+    //         }
+    //     }
+    // }
+    return Object.entries(groupBy(descriptions, 'appid'))
+        .reduce((table, [appid, classinfos]) => {
+            table[appid] = {
+                // fallback for descriptions which do not have an instanceid
+                ...indexBy(classinfos, 'classid'),
+                ...indexBy(classinfos.filter(classinfo => classinfo.instanceid !== undefined), (classinfo) => {
+                    return `${classinfo.classid}_${classinfo.instanceid}`;
+                })
             };
-        });
-    }
-    
-    const table = Object.entries(groupBy(response.descriptions, 'appid'))
-        .reduce((table, [appid, classinfo]) => {
-            table[appid] = indexBy(classinfo, 'classid');
             
             return table;
         }, {});
+}
+
+/**
+ * Merges descriptions from a look-up table onto items.
+ * @private
+ * @param {object[]} items - Items.
+ * @param {object} table - Look-up table from createDescriptionsTable.
+ * @returns {object[]} Items with descriptions.
+ */
+function withDescriptions(items, table) {
+    return items.map((item) => {
+        const descriptions = table[item.appid] || {};
+        const classinfo = (
+            descriptions[`${item.classid}_${item.instanceid}`] ||
+            descriptions[item.classid]
+        ) || {};
+        
+        // combine them
+        return {
+            ...item,
+            ...classinfo
+        };
+    });
+}
+
+/**
+ * Merges the descriptions to the items in the trade. This modifies the original object.
+ * @private
+ * @param {TradeHistoryResponse} response - Trade history response.
+ * @returns {TradeHistoryResponse} Trade history response.
+ */
+function mergeTradeHistoryResponseDescriptions(response) {
+    const table = createDescriptionsTable(response.descriptions);
     
     // merge the descriptions onto each asset
-    response.trades = response.trades.map((trade) => {
+    response.trades = (response.trades || []).map((trade) => {
         if (trade.assets_given !== undefined) {
-            trade.assets_given = withDescriptions(trade.assets_given);
+            trade.assets_given = withDescriptions(trade.assets_given, table);
         }
         
         if (trade.assets_received !== undefined) {
-            trade.assets_received = withDescriptions(trade.assets_received);
+            trade.assets_received = withDescriptions(trade.assets_received, table);
         }
         
         return trade;
@@ -73,8 +184,395 @@ function mergeTradeHistoryResponseDescriptions(response) {
     return response;
 }
 
+/**
+ * Merges the descriptions to the items in each trade offer. This modifies the original object.
+ * @private
+ * @param {TradeOffersResponse} response - Trade offers response.
+ * @returns {TradeOffersResponse} Trade offers response.
+ */
+function mergeTradeOffersResponseDescriptions(response) {
+    const table = createDescriptionsTable(response.descriptions);
+    // merges the descriptions onto each item in the offer
+    const mergeOffer = (offer) => {
+        if (offer.items_to_give !== undefined) {
+            offer.items_to_give = withDescriptions(offer.items_to_give, table);
+        }
+        
+        if (offer.items_to_receive !== undefined) {
+            offer.items_to_receive = withDescriptions(offer.items_to_receive, table);
+        }
+        
+        return offer;
+    };
+    
+    [
+        'trade_offers_sent',
+        'trade_offers_received'
+    ].forEach((key) => {
+        if (response[key]) {
+            response[key] = response[key].map(mergeOffer);
+        }
+    });
+    
+    if (response.offer) {
+        // response for a single offer
+        response.offer = mergeOffer(response.offer);
+    }
+    
+    // these are no longer needed
+    delete response.descriptions;
+    
+    return response;
+}
+
+/**
+ * Merges descriptions onto the assets from an inventory response.
+ * @private
+ * @param {object[]} assets - Assets from response.
+ * @param {ClassInfo[]} descriptions - Descriptions from response.
+ * @returns {Inventory} Inventory items.
+ */
+function mergeInventoryDescriptions(assets, descriptions) {
+    // create description look-up table
+    // e.g.
+    // {
+    //     classid: {
+    //         instanceid: {
+    //             ... 
+    //         }
+    //     }
+    // }
+    const classinfos = Object.entries(groupBy(descriptions, 'classid'))
+        .reduce((classinfo, [classid, value]) => {
+            classinfo[classid] = indexBy(value, 'instanceid');
+            
+            return classinfo;
+        }, {});
+    
+    // combine the items with descriptions
+    return assets.map((item) => {
+        // find the description
+        const description = (
+            classinfos[item.classid] &&
+            classinfos[item.classid][item.instanceid]
+        );
+        
+        // combine
+        return {
+            ...item,
+            ...description
+        };
+    });
+}
+
+/**
+ * Groups the items from inventory results by market hash name.
+ * @private
+ * @param {InventoryResult[]} results - Results for each target.
+ * @returns {object.<string, CombinedInventoryItem>} Items grouped by market hash name.
+ */
+function combineInventoryResults(results) {
+    return results.reduce((combined, result) => {
+        if (!result.items) {
+            return combined;
+        }
+        
+        result.items.forEach((item) => {
+            const { market_hash_name } = item;
+            
+            if (!market_hash_name) {
+                // backpack items do not have names
+                return;
+            }
+            
+            if (combined[market_hash_name] === undefined) {
+                combined[market_hash_name] = {
+                    market_hash_name,
+                    count: 0
+                };
+            }
+            
+            // stackable items have an amount, or a quantity when normalized
+            combined[market_hash_name].count += parseInt(item.amount || item.quantity || 1);
+        });
+        
+        return combined;
+    }, {});
+}
+
+/**
+ * Gets details about a request to attach to an error.
+ * @private
+ * @param {RequestOptions} requestOptions - Options for the request.
+ * @param {*} body - Response body.
+ * @returns {SteamAPIErrorDetails} Error details.
+ */
+function getErrorDetails(requestOptions, body) {
+    return {
+        url: buildURL(requestOptions.uri, requestOptions.qs),
+        body
+    };
+}
+
+/**
+ * Checks a response for status codes which Steam uses for errors and, if validate is set, checks
+ * it against the schema for its endpoint.
+ * @private
+ * @param {object} requestOptions - Options for the request. The endpoint is given by "schema", e.g. "GetPlayerItems".
+ * @param {*} response - Response JSON.
+ * @param {boolean} validate - Whether to check the response against its schema.
+ * @throws {SteamAPIError} The error for the status code, or a SteamValidationError if the response does not match its schema.
+ */
+function checkResponse(requestOptions, response, validate) {
+    const { schema } = requestOptions;
+    const statusCodes = STATUS_CODES[schema];
+    
+    if (statusCodes) {
+        const status = statusCodes.codes[getValueAtPath(response, statusCodes.path)];
+        
+        if (status) {
+            const { error: StatusError, message } = status;
+            
+            throw new StatusError(message, getErrorDetails(requestOptions, response));
+        }
+    }
+    
+    if (!validate || !RESPONSE_SCHEMAS[schema]) {
+        return;
+    }
+    
+    const mismatch = findMismatch(RESPONSE_SCHEMAS[schema], response);
+    
+    if (mismatch) {
+        const location = mismatch.path ? ` at "${mismatch.path}"` : '';
+        
+        throw new SteamValidationError(`${schema} response did not match schema${location}: ${mismatch.message}`, {
+            ...getErrorDetails(requestOptions, response),
+            path: mismatch.path
+        });
+    }
+}
+
+/**
+ * Gets a reference to a class from a classid or classid and instanceid pair.
+ * @private
+ * @param {(string|ClassInfoID)} item - Classid, or object containing classid and instanceid.
+ * @returns {ClassInfoRef} Reference to class.
+ */
+function getClassInfoRef(item) {
+    if (typeof item === 'object') {
+        const classid = String(item.classid);
+        const instanceid = String(item.instanceid || '0');
+        
+        return {
+            classid,
+            instanceid,
+            key: `${classid}_${instanceid}`
+        };
+    }
+    
+    return {
+        classid: String(item),
+        key: String(item)
+    };
+}
+
+/**
+ * Gets the classinfo for a reference from a GetAssetClassInfo result.
+ * @private
+ * @param {object} result - Result from response.
+ * @param {ClassInfoRef} ref - Reference to class.
+ * @returns {(ClassInfo|undefined)} Classinfo, if it is in the result.
+ */
+function getClassInfoFromResult(result, ref) {
+    if (result[ref.key]) {
+        return result[ref.key];
+    }
+    
+    if (ref.instanceid === '0') {
+        // classes requested with no instance are keyed by only the classid
+        return result[ref.classid];
+    }
+    
+    return undefined;
+}
+
+/**
+ * Gets the key used to cache a classinfo.
+ * @private
+ * @param {string} appid - Appid.
+ * @param {ClassInfoRef} ref - Reference to class.
+ * @param {object} [options={}] - Options sent to request as parameters.
+ * @returns {string} Cache key.
+ */
+function getClassInfoCacheKey(appid, ref, options = {}) {
+    const key = `classinfo_${appid}_${ref.key}`;
+    
+    if (options.language) {
+        // classinfos are different for each language
+        return `${key}_${options.language}`;
+    }
+    
+    return key;
+}
+
+/**
+ * Gets a rate limiter from the given options.
+ * @private
+ * @param {(RateLimiter|RateLimiterOptions|boolean)} [options] - An existing rate limiter to share, options for a new one, or false for no rate limit.
+ * @param {RateLimiterOptions} defaults - Default options.
+ * @returns {(RateLimiter|null)} Rate limiter, or null if there is no rate limit.
+ */
+function getRateLimiter(options, defaults) {
+    if (options === false) {
+        return null;
+    }
+    
+    if (options && typeof options.removeToken === 'function') {
+        // this is already a rate limiter
+        return options;
+    }
+    
+    return createRateLimiter({
+        ...defaults,
+        ...options
+    });
+}
+
+/**
+ * Gets a transport from the given options.
+ * @private
+ * @param {(Transport|HTTPTransportOptions)} [options] - A transport, or options for the default transport.
+ * @returns {Transport} Transport.
+ */
+function getTransport(options) {
+    if (typeof options === 'function') {
+        // this is already a transport
+        return options;
+    }
+    
+    return createHTTPTransport(options);
+}
+
+/**
+ * Creates a signal which aborts when the given signal is aborted or once the timeout has passed,
+ * whichever is first. Signals aborted by the timeout have a SteamTimeoutError as their reason.
+ * @private
+ * @param {AbortSignal} [signal] - Signal.
+ * @param {number} [timeout] - Milliseconds before aborting.
+ * @returns {(AbortSignal|undefined)} Signal, or undefined if neither was given.
+ */
+function getTimeoutSignal(signal, timeout) {
+    if (timeout === undefined) {
+        return signal;
+    }
+    
+    const controller = new AbortController();
+    // the given signal passes its reason on and stops the timer
+    const onAbort = () => {
+        clearTimeout(timer);
+        controller.abort(signal.reason);
+    };
+    const timer = setTimeout(() => {
+        if (signal) {
+            signal.removeEventListener('abort', onAbort);
+        }
+        
+        controller.abort(new SteamTimeoutError(`Timed out after ${timeout}ms.`));
+    }, timeout);
+    
+    // the timer should not keep the process running
+    timer.unref();
+    
+    if (!signal) {
+        return controller.signal;
+    }
+    
+    // AbortSignal.any would do this, but is not available in every version of Node we support
+    if (signal.aborted) {
+        onAbort();
+    } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+    }
+    
+    return controller.signal;
+}
+
+/**
+ * Separates the signal and timeout options from the parameters sent to Steam.
+ * @private
+ * @param {object} [options={}] - Options.
+ * @returns {object} The remaining parameters as "params", and the signal to use for the call as "signal".
+ */
+function getSignalOptions(options = {}) {
+    // copy the options so we do not modify the original object
+    const params = {
+        ...options
+    };
+    const signal = getTimeoutSignal(params.signal, params.timeout);
+    
+    // these are not passed to the request
+    delete params.signal;
+    delete params.timeout;
+    
+    return {
+        params,
+        signal
+    };
+}
+
+/**
+ * Gets the request headers for a session on the community site.
+ * @private
+ * @param {object.<string, string>} [headers={}] - Headers to send.
+ * @param {(string|object.<string, string>)} [cookies] - Cookies to send, either as the value of a "Cookie" header or keyed by name.
+ * @returns {object.<string, string>} Headers.
+ */
+function getSessionHeaders(headers = {}, cookies) {
+    if (cookies === undefined) {
+        return headers;
+    }
+    
+    const cookie = typeof cookies === 'string' ?
+        cookies :
+        Object.entries(cookies).map(([name, value]) => `${name}=${value}`).join('; ');
+    
+    return {
+        ...headers,
+        cookie
+    };
+}
+
+/**
+ * Stores a value in a cache. A value which cannot be stored, e.g. because a file cache cannot be
+ * written to, is not an error: the value has already been fetched and can still be used.
+ * @private
+ * @param {Cache} cache - Cache.
+ * @param {string} key - Key.
+ * @param {*} value - Value.
+ * @returns {Promise} Resolves once the value is stored or could not be stored.
+ */
+async function setCacheValue(cache, key, value) {
+    try {
+        await cache.set(key, value);
+    } catch (error) {
+        // the value is fetched again next time
+    }
+}
+
 /**
  * Interface for Steam API.
+ *
+ * Every method which makes requests accepts "signal" and "timeout" in its options. Aborting the
+ * signal cancels any request in progress along with waits for the rate limit or between retries,
+ * and rejects with a SteamAbortError. The timeout is the number of milliseconds the whole call
+ * can take, after which it rejects with a SteamTimeoutError.
+ *
+ * Every Web API method in the list of supported APIs can also be called through its interface,
+ * e.g. `api.ISteamUser.GetFriendList({ steamid })`. These call the latest version of the method,
+ * and each version can be called by number, e.g. `api.ISteamUser.GetPlayerSummaries.v1(params)`.
+ * Required parameters are checked before anything is sent, and POST methods send their parameters
+ * as a form. Responses are returned as Steam sends them.
  * @typedef {object} SteamAPI
  */
 
@@ -82,11 +580,103 @@ function mergeTradeHistoryResponseDescriptions(response) {
  * Creates an interface for making requests to the Steam API.
  * @module createSteamAPI
  * @param {string} apiKey - API key to use for requests.
+ * @param {SteamAPIOptions} [apiOptions={}] - Options.
  * @returns {SteamAPI} SteamAPI interface.
  */
-module.exports = function createSteamAPI(apiKey) {
+module.exports = function createSteamAPI(apiKey, apiOptions = {}) {
     const API_HOSTNAME = 'api.steampowered.com';
     const COMMUNITY_HOSTNAME = 'steamcommunity.com';
+    const {
+        retry,
+        rateLimits = {},
+        cache,
+        profileCache = createMemoryCache(DEFAULT_PROFILE_CACHE_OPTIONS),
+        validate = false,
+        apiList = SUPPORTED_API_LIST
+    } = apiOptions;
+    const transport = getTransport(apiOptions.transport);
+    // requests to each host are limited separately
+    const rateLimiters = {
+        [API_HOSTNAME]: getRateLimiter(rateLimits.api, DEFAULT_RATE_LIMITS.api),
+        [COMMUNITY_HOSTNAME]: getRateLimiter(rateLimits.community, DEFAULT_RATE_LIMITS.community)
+    };
+    
+    /**
+     * Gets JSON using the options for this interface.
+     * @private
+     * @param {RequestOptions} opts - Request options.
+     * @returns {Promise.<object>} Resolves with response JSON.
+     */
+    async function getJSONWithOptions(opts) {
+        const { hostname } = new URL(opts.uri);
+        const response = await getJSON({
+            retry,
+            transport,
+            rateLimiter: rateLimiters[hostname],
+            ...opts
+        });
+        
+        checkResponse(opts, response, validate);
+        
+        return response;
+    }
+    
+    /**
+     * Calls a Web API method from the list of supported APIs.
+     * @private
+     * @param {string} interfaceName - Name of interface, e.g. "ISteamUser".
+     * @param {WebAPIMethod} method - Method.
+     * @param {object} [options={}] - Parameters to send, with the signal, timeout and retry options.
+     * @param {(boolean|RetryPolicy)} [options.retry] - Whether to retry the call, or the policy to retry it with. GET methods are retried with the retry policy of the interface by default, POST methods are only sent once.
+     * @returns {Promise.<object>} Resolves with response JSON.
+     */
+    async function callWebAPIMethod(interfaceName, method, options = {}) {
+        const isPost = method.httpmethod === 'POST';
+        // a POST can change something, which a retry could do twice
+        const { retry: callRetry = !isPost, ...rest } = options;
+        const { params, signal } = getSignalOptions(rest);
+        // this throws if any required parameters are missing
+        const values = getMethodParams(interfaceName, method, {
+            key: apiKey,
+            ...params
+        });
+        let retryPolicy = callRetry;
+        
+        if (callRetry === true) {
+            retryPolicy = retry;
+        } else if (callRetry === false) {
+            retryPolicy = {
+                ...retry,
+                maxAttempts: 1
+            };
+        }
+        
+        return getJSONWithOptions({
+            method: method.httpmethod,
+            uri: `https://${API_HOSTNAME}/${interfaceName}/${method.name}/v${method.version}/`,
+            qs: isPost ? undefined : values,
+            form: isPost ? values : undefined,
+            retry: retryPolicy,
+            signal
+        });
+    }
+    
+    /**
+     * Gets the number of requests waiting on the rate limit for each host.
+     * @memberof SteamAPI
+     * @returns {QueueLength} Number of requests waiting for each host.
+     */
+    function getQueueLength() {
+        // nothing waits for hosts without a rate limit
+        const getHostQueueLength = (hostname) => {
+            return rateLimiters[hostname] ? rateLimiters[hostname].getQueueLength() : 0;
+        };
+        
+        return {
+            api: getHostQueueLength(API_HOSTNAME),
+            community: getHostQueueLength(COMMUNITY_HOSTNAME)
+        };
+    }
     
     /**
      * Gets backpack for user.
@@ -96,314 +686,1387 @@ module.exports = function createSteamAPI(apiKey) {
      * @returns {Promise.<object>} Resolves with the inventory for this user.
      */
     async function request(uri, options) {
-        return getJSON({
+        const { params, signal } = getSignalOptions(options);
+        
+        return getJSONWithOptions({
             method: 'GET',
             uri,
             qs: {
                 key: apiKey,
-                ...options
-            }
+                ...params
+            },
+            signal
         });
     }
     
     /**
-     * Gets player summaries for given steamids.
+     * Gets player summaries for given steamids. Any number of steamids can be given, they are
+     * requested in chunks of 100.
      * @memberof SteamAPI
-     * @param {string[]} steamids - Steam IDs.
-     * @param {string} [format='json'] - Format.
-     * @returns {Promise.<PlayerSummary[]>} Resolves with player summaries.
+     * @param {(string[]|string)} steamids - Steam IDs in any format accepted by SteamID.parse, or a comma-separated string of Steam IDs.
+     * @param {string} [format='json'] - Format. Only "json" is supported.
+     * @param {object} [options={}] - Options.
+     * @param {AbortSignal} [options.signal] - Signal which cancels the requests.
+     * @param {number} [options.timeout] - Milliseconds all requests can take before failing.
+     * @returns {Promise.<PlayerSummariesResult>} Resolves with player summaries.
      */
-    async function getPlayerSummaries(steamids, format = 'json') {
-        const response = await getJSON({
+    async function getPlayerSummaries(steamids, format = 'json', options = {}) {
+        if (format !== 'json') {
+            // responses are always parsed as JSON
+            throw new Error(`Format "${format}" is not supported, only "json" can be used.`);
+        }
+        
+        if (typeof steamids === 'string') {
+            steamids = steamids.split(',');
+        }
+        
+        // this throws if any of the steamids are invalid
+        const uniqSteamids = uniq(steamids.map(SteamID.toSteamID64));
+        const { signal } = getSignalOptions(options);
+        
+        // performs the request for a group of steamids
+        async function getPlayerSummariesRequest(steamids) {
+            const requestOptions = {
+                method: 'GET',
+                uri: `https://${API_HOSTNAME}/ISteamUser/GetPlayerSummaries/v0002/`,
+                schema: 'GetPlayerSummaries',
+                qs: {
+                    steamids: steamids.join(','),
+                    format,
+                    key: apiKey
+                },
+                signal
+            };
+            const response = await getJSONWithOptions(requestOptions);
+            
+            if (!response.response) {
+                throw new SteamResponseError('No response.', getErrorDetails(requestOptions, response));
+            }
+            
+            return response.response.players || [];
+        }
+        
+        // get players in a series of requests
+        const series = uniqSteamids
+            // the endpoint accepts up to 100 steamids
+            .reduce(reduceChunk(100), [])
+            .map((chunk) => {
+                return () => getPlayerSummariesRequest(chunk);
+            });
+        const responses = await promiseSeries(series);
+        const players = indexBy([].concat(...responses), 'steamid');
+        
+        return {
+            players,
+            missing: uniqSteamids.filter(steamid => !players[steamid])
+        };
+    }
+    
+    /**
+     * Resolves a vanity URL name to a steamid. Results are stored in the profile cache.
+     * @memberof SteamAPI
+     * @param {string} vanityurl - The vanity URL name, e.g. "gabelogannewell".
+     * @param {object} [options={}] - Any additional options to send to request as parameters.
+     * @param {number} [options.url_type=1] - The type of vanity URL. 1 for individual profiles, 2 for groups, 3 for official game groups.
+     * @returns {Promise.<string>} Resolves with the 64-bit steamid.
+     */
+    async function resolveVanityURL(vanityurl, options = {}) {
+        const { params, signal } = getSignalOptions(options);
+        const cacheKey = `vanity_${params.url_type || 1}_${vanityurl.toLowerCase()}`;
+        const cached = await profileCache.get(cacheKey);
+        
+        if (cached) {
+            return cached;
+        }
+        
+        const requestOptions = {
+            method: 'GET',
+            uri: `https://${API_HOSTNAME}/ISteamUser/ResolveVanityURL/v0001/`,
+            schema: 'ResolveVanityURL',
+            qs: {
+                vanityurl,
+                key: apiKey,
+                ...params
+            },
+            signal
+        };
+        const response = await getJSONWithOptions(requestOptions);
+        
+        if (!response.response) {
+            throw new SteamResponseError('No response.', getErrorDetails(requestOptions, response));
+        }
+        
+        const { success, steamid, message } = response.response;
+        
+        if (success !== 1 || !steamid) {
+            // 42 means there was no match
+            throw new SteamNotFoundError(message || `No match for "${vanityurl}"`, getErrorDetails(requestOptions, response));
+        }
+        
+        await setCacheValue(profileCache, cacheKey, steamid);
+        
+        return steamid;
+    }
+    
+    /**
+     * Looks up a profile from a profile URL, vanity URL name or steamid. Results are stored in the
+     * profile cache.
+     *
+     * Input which is a valid steamid is treated as a steamid, so vanity names which are also valid
+     * 64-bit steamids must be given as a full URL.
+     * @memberof SteamAPI
+     * @param {string} input - A profile URL (steamcommunity.com/id/... or steamcommunity.com/profiles/...), vanity URL name, or steamid in any format accepted by SteamID.parse.
+     * @param {object} [options={}] - Options.
+     * @param {AbortSignal} [options.signal] - Signal which cancels the requests.
+     * @param {number} [options.timeout] - Milliseconds all requests can take before failing.
+     * @returns {Promise.<Profile>} Resolves with the profile.
+     */
+    async function resolveProfile(input, options = {}) {
+        const { signal } = getSignalOptions(options);
+        const value = String(input).trim();
+        const vanityMatch = value.match(/^(?:https?:\/\/)?(?:www\.)?steamcommunity\.com\/id\/([^/?#]+)/);
+        let steamid;
+        
+        if (vanityMatch) {
+            steamid = await resolveVanityURL(decodeURIComponent(vanityMatch[1]), { signal });
+        } else if (SteamID.isValid(value)) {
+            steamid = SteamID.toSteamID64(value);
+        } else {
+            steamid = await resolveVanityURL(value, { signal });
+        }
+        
+        const cacheKey = `profile_${steamid}`;
+        const cached = await profileCache.get(cacheKey);
+        
+        if (cached) {
+            return cached;
+        }
+        
+        const { players } = await getPlayerSummaries([steamid], 'json', { signal });
+        const summary = players[steamid];
+        
+        if (!summary) {
+            throw new SteamNotFoundError(`No player summary for "${steamid}"`);
+        }
+        
+        const profile = {
+            steamid,
+            summary
+        };
+        
+        await setCacheValue(profileCache, cacheKey, profile);
+        
+        return profile;
+    }
+    
+    /**
+     * Gets classinfo for a classid.
+     * @memberof SteamAPI
+     * @param {string} appid - Appid.
+     * @param {(string|ClassInfoID)} classid - Classid, or object containing classid and instanceid.
+     * @param {object} [options={}] - Any additional options to send to request as parameters.
+     * @returns {Promise.<ClassInfo>} Resolves with classinfo.
+     */
+    async function getAssetClassInfo(appid, classid, options = {}) {
+        const { params, signal } = getSignalOptions(options);
+        const ref = getClassInfoRef(classid);
+        const cacheKey = getClassInfoCacheKey(appid, ref, params);
+        
+        if (cache) {
+            const cached = await cache.get(cacheKey);
+            
+            if (cached) {
+                return cached;
+            }
+        }
+        
+        const qs = {
+            appid,
+            class_count: 1,
+            classid0: ref.classid,
+            key: apiKey,
+            ...params
+        };
+        
+        if (ref.instanceid !== undefined) {
+            qs.instanceid0 = ref.instanceid;
+        }
+        
+        const requestOptions = {
+            method: 'GET',
+            uri: `https://${API_HOSTNAME}/ISteamEconomy/GetAssetClassInfo/v0001`,
+            schema: 'GetAssetClassInfo',
+            qs,
+            signal
+        };
+        const response = await getJSONWithOptions(requestOptions);
+        
+        // only get the classinfo for this classid
+        const classinfo = (
+            response.result &&
+            getClassInfoFromResult(response.result, ref)
+        );
+        
+        if (!classinfo) {
+            throw new SteamNotFoundError(`No classinfo for "${ref.key}"`, getErrorDetails(requestOptions, response));
+        }
+        
+        fixClassInfo(classinfo);
+        
+        if (cache) {
+            await setCacheValue(cache, cacheKey, classinfo);
+        }
+        
+        return classinfo;
+    }
+    
+    /**
+     * Gets classinfo for an array of classids. If a cache was given, only classids which are not
+     * cached are requested.
+     *
+     * Classids can be given with an instanceid, for items whose appearance depends on the instance.
+     * Classinfos for these are keyed by "classid_instanceid" in the result, while plain classids are
+     * keyed by classid.
+     * @memberof SteamAPI
+     * @param {string} appid - Appid.
+     * @param {(string[]|ClassInfoID[])} classids - Classids, or objects containing classid and instanceid.
+     * @param {object} [options={}] - Any additional options to send to request as parameters.
+     * @returns {Promise.<ClassInfoContainer>} Resolves with object containing classinfos.
+     *
+     * @example
+     * const classinfos = await getAssetClassInfos('440', [
+     *     '101785959',
+     *     { classid: '3041550843', instanceid: '1366049788' }
+     * ]);
+     *
+     * console.log(classinfos['3041550843_1366049788'].name);
+     */
+    async function getAssetClassInfos(appid, classids, options = {}) {
+        const { params, signal } = getSignalOptions(options);
+        
+        // performs the request for a group of classes
+        async function getAssetClassInfoRequest(refs) {
+            // create an object map of all classids and instanceids
+            // e.g. { classid0: 1, instanceid0: 0, classid1: 2 }
+            const classidsMap = refs.reduce((total, ref, i) => {
+                total['classid' + i] = ref.classid;
+                
+                if (ref.instanceid !== undefined) {
+                    total['instanceid' + i] = ref.instanceid;
+                }
+                
+                return total;
+            }, {});
+            
+            const requestOptions = {
+                method: 'GET',
+                uri: `https://${API_HOSTNAME}/ISteamEconomy/GetAssetClassInfo/v0001`,
+                schema: 'GetAssetClassInfo',
+                qs: {
+                    appid,
+                    key: apiKey,
+                    class_count: refs.length,
+                    ...classidsMap,
+                    ...params
+                },
+                signal
+            };
+            const response = await getJSONWithOptions(requestOptions);
+            
+            if (!response.result) {
+                throw new SteamResponseError('No result.', getErrorDetails(requestOptions, response));
+            }
+            
+            return response.result;
+        }
+        
+        const refs = uniq(classids.map(getClassInfoRef), 'key');
+        // classinfos which are already cached
+        const cached = {};
+        
+        if (cache) {
+            for (const ref of refs) {
+                const classinfo = await cache.get(getClassInfoCacheKey(appid, ref, params));
+                
+                if (classinfo) {
+                    cached[ref.key] = classinfo;
+                }
+            }
+        }
+        
+        // get classes in a series of requests
+        const series = refs
+            // only request the ones we don't have
+            .filter(ref => !cached[ref.key])
+            // split the classes into chunks of 20
+            .reduce(reduceChunk(20), [])
+            .map((chunk) => {
+                return async () => {
+                    const result = await getAssetClassInfoRequest(chunk);
+                    const classinfos = {};
+                    
+                    for (const ref of chunk) {
+                        const classinfo = getClassInfoFromResult(result, ref);
+                        
+                        if (!classinfo) {
+                            continue;
+                        }
+                        
+                        classinfos[ref.key] = fixClassInfo(classinfo);
+                        
+                        if (cache) {
+                            await setCacheValue(cache, getClassInfoCacheKey(appid, ref, params), classinfo);
+                        }
+                    }
+                    
+                    return classinfos;
+                };
+            });
+        // get all apps in series
+        const responses = await promiseSeries(series);
+        
+        // merge the responses togeher
+        return responses.reduce((total, response) => {
+            return Object.assign(total, response);
+        }, cached);
+    }
+    
+    /**
+     * Gets backpack for user.
+     * @memberof SteamAPI
+     * @static
+     * @promise getBackpackPromise
+     * @fulfills {Backpack} The backpack for this user..
+     * @param {string} appid - Appid.
+     * @param {string} steamid - Steamid in any format accepted by SteamID.parse.
+     * @param {object} [options={}] - Any additional options to send to request as parameters.
+     * @param {boolean} [options.normalize] - If set, items are converted to the same shape as normalized inventory items.
+     * @param {boolean} [options.stream] - If set, items are parsed as the response arrives rather than after reading it into a string, which lowers peak memory for large backpacks. Every item is still held in the result.
+     * @returns {Promise.<Backpack>} Resolves with the backpack for this user.
+     */
+    async function getBackpack(appid, steamid, options = {}) {
+        const { params, signal } = getSignalOptions(options);
+        const { normalize, stream } = params;
+        
+        // these are not passed to the request
+        delete params.normalize;
+        delete params.stream;
+        
+        const requestOptions = {
+            method: 'GET',
+            uri: `https://${API_HOSTNAME}/IEconItems_${appid}/GetPlayerItems/v0001/`,
+            schema: 'GetPlayerItems',
+            qs: {
+                SteamID: SteamID.toSteamID64(steamid),
+                key: apiKey,
+                ...params
+            },
+            signal,
+            streamArrays: stream ? ['result.items'] : undefined
+        };
+        const response = await getJSONWithOptions(requestOptions);
+        
+        const backpack = response.result;
+        const hasItems = Boolean(
+            backpack &&
+            backpack.items
+        );
+        
+        if (!hasItems) {
+            throw new SteamResponseError('No items in response object', getErrorDetails(requestOptions, response));
+        }
+        
+        if (normalize) {
+            backpack.items = backpack.items.map((item) => {
+                return normalizeBackpackItem(item, appid);
+            });
+        }
+        
+        return backpack;
+    }
+    
+    /**
+     * Gets the items from the item schema. Pages are followed using "next" until all items are fetched.
+     * @memberof SteamAPI
+     * @param {string} appid - Appid.
+     * @param {object} [options={}] - Any additional options to send to request as parameters.
+     * @param {string} [options.language='en'] - The language to return names in.
+     * @param {boolean} [options.stream] - If set, items are parsed as each page arrives rather than after reading it into a string, which lowers peak memory. Every item is still held in the result.
+     * @returns {Promise.<object[]>} Resolves with the schema items.
+     */
+    async function getSchemaItems(appid, options = {}) {
+        const { params, signal } = getSignalOptions({
+            language: 'en',
+            ...options
+        });
+        const { stream } = params;
+        let items = [];
+        
+        // this is not passed to the request
+        delete params.stream;
+        
+        while (true) {
+            const requestOptions = {
+                method: 'GET',
+                uri: `https://${API_HOSTNAME}/IEconItems_${appid}/GetSchemaItems/v0001/`,
+                schema: 'GetSchemaItems',
+                qs: {
+                    key: apiKey,
+                    ...params
+                },
+                signal,
+                streamArrays: stream ? ['result.items'] : undefined
+            };
+            const response = await getJSONWithOptions(requestOptions);
+            const { result } = response;
+            
+            if (!result || !result.items) {
+                throw new SteamResponseError('No items in response object', getErrorDetails(requestOptions, response));
+            }
+            
+            items = items.concat(result.items);
+            
+            if (result.next === undefined) {
+                break;
+            }
+            
+            // start the next page at the next defindex
+            params.start = result.next;
+        }
+        
+        return items;
+    }
+    
+    /**
+     * Gets the schema overview, which contains everything in the schema except items.
+     * @memberof SteamAPI
+     * @param {string} appid - Appid.
+     * @param {object} [options={}] - Any additional options to send to request as parameters.
+     * @param {string} [options.language='en'] - The language to return names in.
+     * @returns {Promise.<object>} Resolves with the schema overview.
+     */
+    async function getSchemaOverview(appid, options = {}) {
+        const { params, signal } = getSignalOptions(options);
+        const requestOptions = {
+            method: 'GET',
+            uri: `https://${API_HOSTNAME}/IEconItems_${appid}/GetSchemaOverview/v0001/`,
+            schema: 'GetSchemaOverview',
+            qs: {
+                language: 'en',
+                key: apiKey,
+                ...params
+            },
+            signal
+        };
+        const response = await getJSONWithOptions(requestOptions);
+        
+        if (!response.result) {
+            throw new SteamResponseError('No result.', getErrorDetails(requestOptions, response));
+        }
+        
+        return response.result;
+    }
+    
+    /**
+     * Gets the URL of the full items_game schema file.
+     * @memberof SteamAPI
+     * @param {string} appid - Appid.
+     * @param {object} [options={}] - Any additional options to send to request as parameters.
+     * @returns {Promise.<string>} Resolves with the URL.
+     */
+    async function getSchemaURL(appid, options = {}) {
+        const { params, signal } = getSignalOptions(options);
+        const requestOptions = {
+            method: 'GET',
+            uri: `https://${API_HOSTNAME}/IEconItems_${appid}/GetSchemaURL/v1/`,
+            schema: 'GetSchemaURL',
+            qs: {
+                key: apiKey,
+                ...params
+            },
+            signal
+        };
+        const response = await getJSONWithOptions(requestOptions);
+        
+        if (!response.result || !response.result.items_game_url) {
+            throw new SteamResponseError('No schema URL.', getErrorDetails(requestOptions, response));
+        }
+        
+        return response.result.items_game_url;
+    }
+    
+    /**
+     * Gets the full item schema, which is the schema overview with the items from every page of
+     * schema items. The result can be saved with saveSchema and loaded with loadSchema to decode
+     * items offline.
+     * @memberof SteamAPI
+     * @param {string} appid - Appid.
+     * @param {object} [options={}] - Any additional options to send to request as parameters.
+     * @returns {Promise.<TF2Schema>} Resolves with the schema.
+     *
+     * @example
+     * await saveSchema('./schema-440.json', await getSchema('440'));
+     * // later, with no requests
+     * const decode = createTF2Decoder(await loadSchema('./schema-440.json'));
+     */
+    async function getSchema(appid, options = {}) {
+        const { params, signal } = getSignalOptions(options);
+        const overview = await getSchemaOverview(appid, { ...params, signal });
+        const items = await getSchemaItems(appid, { ...params, signal });
+        
+        // not needed in the schema
+        delete overview.status;
+        
+        return {
+            ...overview,
+            items
+        };
+    }
+    
+    /**
+     * Gets a user's inventory one page at a time. Pages are followed using "last_assetid" until
+     * Steam reports there are no more items.
+     * @memberof SteamAPI
+     * @param {string} appid - Appid.
+     * @param {string} contextid - Contextid.
+     * @param {string} steamid - Steamid in any format accepted by SteamID.parse.
+     * @param {object} [options={}] - Any additional options to send to request as parameters.
+     * @param {number} [options.count=5000] - The number of items to request per page.
+     * @param {string} [options.start_assetid] - The assetid to start from.
+     * @param {boolean} [options.normalize] - If set, items are converted to the same shape as normalized backpack items.
+     * @param {boolean} [options.stream] - If set, assets and descriptions are parsed as each page arrives rather than after reading it into a string, which lowers peak memory for large inventories. Every item of a page is still held at once.
+     * @yields {(Inventory|NormalizedItem[])} The items for each page of the inventory.
+     * @returns {AsyncIterableIterator.<(Inventory|NormalizedItem[])>} Async iterator of inventory pages.
+     *
+     * @example
+     * for await (const items of getInventoryPages('730', '2', steamid)) {
+     *     console.log(`Got ${items.length} items`);
+     * }
+     */
+    async function* getInventoryPages(appid, contextid, steamid, options = {}) {
+        const steamid64 = SteamID.toSteamID64(steamid);
+        const { params, signal } = getSignalOptions({
+            l: 'english',
+            count: 5000,
+            ...options
+        });
+        const { normalize, stream } = params;
+        
+        // these are not passed to the request
+        delete params.normalize;
+        delete params.stream;
+        
+        while (true) {
+            const requestOptions = {
+                method: 'GET',
+                uri: `https://${COMMUNITY_HOSTNAME}/inventory/${steamid64}/${appid}/${contextid}`,
+                schema: 'Inventory',
+                qs: params,
+                signal,
+                streamArrays: stream ? ['assets', 'descriptions'] : undefined
+            };
+            const response = await getJSONWithOptions(requestOptions);
+            
+            if (response === null) {
+                // private inventories can respond with null
+                throw new PrivateInventoryError('Inventory is private.', getErrorDetails(requestOptions, response));
+            }
+            
+            if (!response.success) {
+                throw new SteamResponseError('Inventory could not be loaded.', getErrorDetails(requestOptions, response));
+            }
+            
+            const {
+                assets = [],
+                descriptions = []
+            } = response;
+            
+            const items = mergeInventoryDescriptions(assets, descriptions);
+            
+            yield normalize ? items.map(normalizeInventoryItem) : items;
+            
+            const hasMore = Boolean(
+                response.more_items &&
+                response.last_assetid
+            );
+            
+            if (!hasMore) {
+                break;
+            }
+            
+            // start the next page after the last asset in this page
+            params.start_assetid = response.last_assetid;
+        }
+    }
+    
+    /**
+     * Gets a user's inventory. All pages of the inventory are fetched.
+     * @memberof SteamAPI
+     * @param {string} appid - Appid.
+     * @param {string} contextid - Contextid.
+     * @param {string} steamid - Steamid in any format accepted by SteamID.parse.
+     * @param {object} [options={}] - Any additional options to send to request as parameters.
+     * @param {boolean} [options.normalize] - If set, items are converted to the same shape as normalized backpack items.
+     * @param {boolean} [options.stream] - If set, assets and descriptions are parsed as each page arrives rather than after reading it into a string, which lowers peak memory for large inventories. Every item is still held in the result.
+     * @returns {Promise.<(Inventory|NormalizedItem[])>} Resolves with the inventory for this user.
+     */
+    async function getInventory(appid, contextid, steamid, options = {}) {
+        const { params, signal } = getSignalOptions(options);
+        let inventory = [];
+        
+        for await (const items of getInventoryPages(appid, contextid, steamid, { ...params, signal })) {
+            inventory = inventory.concat(items);
+        }
+        
+        return inventory;
+    }
+    
+    /**
+     * Gets inventories and backpacks for many targets. Requests go through the same rate limits as
+     * every other method, with a limit on how many targets are fetched at the same time. A target
+     * which fails does not stop the others, its error is included in its result instead.
+     * @memberof SteamAPI
+     * @param {InventoryTarget[]} targets - Targets to fetch.
+     * @param {object} [options={}] - Options.
+     * @param {number} [options.concurrency=2] - Maximum number of targets to fetch at the same time.
+     * @param {object} [options.inventory] - Any additional options to send to inventory requests as parameters.
+     * @param {object} [options.backpack] - Any additional options to send to backpack requests as parameters.
+     * @param {AbortSignal} [options.signal] - Signal which cancels all targets. Unlike other errors, this rejects the whole call.
+     * @param {number} [options.timeout] - Milliseconds all targets can take before failing.
+     * @returns {Promise.<InventoriesResult>} Resolves with the results for each target.
+     */
+    async function getInventories(targets, options = {}) {
+        const { params, signal } = getSignalOptions(options);
+        const {
+            concurrency = 2,
+            inventory = {},
+            backpack = {}
+        } = params;
+        const funcs = targets.map((target) => {
+            return async () => {
+                const {
+                    steamid,
+                    appid,
+                    contextid = '2'
+                } = target;
+                
+                try {
+                    const items = target.backpack ?
+                        (await getBackpack(appid, steamid, { ...backpack, signal })).items :
+                        await getInventory(appid, contextid, steamid, { ...inventory, signal });
+                    
+                    return {
+                        target,
+                        items
+                    };
+                } catch (error) {
+                    if (signal && signal.aborted) {
+                        // the remaining targets are cancelled too
+                        throw error;
+                    }
+                    
+                    return {
+                        target,
+                        error
+                    };
+                }
+            };
+        });
+        const results = await promisePool(funcs, concurrency);
+        
+        return {
+            results,
+            combined: combineInventoryResults(results)
+        };
+    }
+    
+    /**
+     * Watches a user's inventory for changes by polling getInventory.
+     * @memberof SteamAPI
+     * @param {string} appid - Appid.
+     * @param {string} contextid - Contextid.
+     * @param {string} steamid - Steamid in any format accepted by SteamID.parse.
+     * @param {object} [options={}] - Options.
+     * @param {number} [options.interval=60000] - Time in milliseconds between fetches.
+     * @param {boolean} [options.autoStart=true] - Whether to start polling immediately.
+     * @param {AbortSignal} [options.signal] - Signal which stops the watcher when aborted. Stopping the watcher also cancels the request in progress.
+     * @param {object} [options.params] - Any additional options to send to request as parameters.
+     * @returns {InventoryWatcher} Watcher.
+     *
+     * @example
+     * const watcher = watchInventory('440', '2', steamid, { interval: 30000 });
+     *
+     * watcher.on('change', (diff) => {
+     *     console.log(`${diff.added.length} items added, ${diff.removed.length} items removed`);
+     * });
+     * watcher.on('error', (error) => {
+     *     console.log('Inventory failed to load', error.message);
+     * });
+     */
+    function watchInventory(appid, contextid, steamid, options = {}) {
+        // validate before polling starts
+        const steamid64 = SteamID.toSteamID64(steamid);
+        
+        return createInventoryWatcher((signal) => {
+            return getInventory(appid, contextid, steamid64, {
+                ...options.params,
+                signal
+            });
+        }, options);
+    }
+    
+    /**
+     * Watches a user's backpack for changes by polling getBackpack. Items which get a new id are
+     * matched using their original_id.
+     * @memberof SteamAPI
+     * @param {string} appid - Appid.
+     * @param {string} steamid - Steamid in any format accepted by SteamID.parse.
+     * @param {object} [options={}] - Options.
+     * @param {number} [options.interval=60000] - Time in milliseconds between fetches.
+     * @param {boolean} [options.autoStart=true] - Whether to start polling immediately.
+     * @param {AbortSignal} [options.signal] - Signal which stops the watcher when aborted. Stopping the watcher also cancels the request in progress.
+     * @param {object} [options.params] - Any additional options to send to request as parameters.
+     * @returns {InventoryWatcher} Watcher.
+     */
+    function watchBackpack(appid, steamid, options = {}) {
+        // validate before polling starts
+        const steamid64 = SteamID.toSteamID64(steamid);
+        
+        return createInventoryWatcher(async (signal) => {
+            const backpack = await getBackpack(appid, steamid64, {
+                ...options.params,
+                signal
+            });
+            
+            return backpack.items;
+        }, options);
+    }
+    
+    /**
+     * Gets the lowest and median prices of an item on the community market.
+     * @memberof SteamAPI
+     * @param {string} appid - Appid.
+     * @param {string} market_hash_name - Market hash name of item.
+     * @param {object} [options={}] - Any additional options to send to request as parameters.
+     * @param {number} [options.currency=Currency.USD] - Currency to get prices in.
+     * @param {string} [options.country] - Two-letter country code.
+     * @returns {Promise.<PriceOverview>} Resolves with the price overview.
+     */
+    async function getPriceOverview(appid, market_hash_name, options = {}) {
+        const { params, signal } = getSignalOptions(options);
+        const requestOptions = {
+            method: 'GET',
+            uri: `https://${COMMUNITY_HOSTNAME}/market/priceoverview/`,
+            schema: 'PriceOverview',
+            qs: {
+                currency: Currency.USD,
+                ...params,
+                appid,
+                market_hash_name
+            },
+            signal
+        };
+        const response = await getJSONWithOptions(requestOptions);
+        
+        if (!response.success) {
+            throw new SteamResponseError('No price overview.', getErrorDetails(requestOptions, response));
+        }
+        
+        return {
+            market_hash_name,
+            lowest_price: parsePrice(response.lowest_price),
+            median_price: parsePrice(response.median_price),
+            volume: parseVolume(response.volume)
+        };
+    }
+    
+    /**
+     * Gets the price history of an item on the community market. Steam only responds to this for
+     * logged in users, so the cookies of a session must be given, e.g. "steamLoginSecure".
+     * @memberof SteamAPI
+     * @param {string} appid - Appid.
+     * @param {string} market_hash_name - Market hash name of item.
+     * @param {object} [options={}] - Any additional options to send to request as parameters.
+     * @param {(string|object.<string, string>)} [options.cookies] - Cookies of a logged in session, either as the value of a "Cookie" header or keyed by name. These are not sent as parameters.
+     * @param {object.<string, string>} [options.headers] - Any other headers to send. These are not sent as parameters.
+     * @param {number} [options.currency=Currency.USD] - Currency to get prices in.
+     * @param {string} [options.country] - Two-letter country code.
+     * @returns {Promise.<PriceHistoryPoint[]>} Resolves with the price history, oldest first.
+     * @example
+     * const history = await getPriceHistory('440', 'Mann Co. Supply Crate Key', {
+     *     cookies: { steamLoginSecure: process.env.STEAM_LOGIN_SECURE }
+     * });
+     */
+    async function getPriceHistory(appid, market_hash_name, options = {}) {
+        const { params, signal } = getSignalOptions(options);
+        const headers = getSessionHeaders(params.headers, params.cookies);
+        
+        delete params.headers;
+        delete params.cookies;
+        
+        const requestOptions = {
+            method: 'GET',
+            uri: `https://${COMMUNITY_HOSTNAME}/market/pricehistory/`,
+            schema: 'PriceHistory',
+            qs: {
+                currency: Currency.USD,
+                ...params,
+                appid,
+                market_hash_name
+            },
+            headers,
+            signal
+        };
+        const response = await getJSONWithOptions(requestOptions);
+        
+        if (!response.success || !response.prices) {
+            throw new SteamResponseError('No price history.', getErrorDetails(requestOptions, response));
+        }
+        
+        return response.prices.map(([date, price, volume]) => {
+            return {
+                date: parseHistoryDate(date),
+                // prices are given as floats
+                price: Math.round(price * 100),
+                volume: parseVolume(volume)
+            };
+        });
+    }
+    
+    /**
+     * Gets the total market value of items from getInventory. Each distinct item is priced once using
+     * getPriceOverview, one at a time within the community rate limit. Items which are not marketable
+     * are skipped.
+     * @memberof SteamAPI
+     * @param {Array.<(InventoryItem|NormalizedItem)>} items - Items.
+     * @param {object} [options={}] - Options.
+     * @param {number} [options.currency=Currency.USD] - Currency to get prices in.
+     * @param {string} [options.price='lowest'] - Which price to use, either "lowest" or "median".
+     * @param {AbortSignal} [options.signal] - Signal which cancels all requests. Unlike other errors, this rejects the whole call.
+     * @param {number} [options.timeout] - Milliseconds all requests can take before failing.
+     * @returns {Promise.<InventoryValue>} Resolves with the value of the items.
+     */
+    async function valueInventory(items, options = {}) {
+        const { params, signal } = getSignalOptions(options);
+        const {
+            currency = Currency.USD,
+            price = 'lowest'
+        } = params;
+        const marketable = items.filter((item) => {
+            // inventory items use "1", normalized items use booleans
+            return Boolean(
+                item.market_hash_name &&
+                (item.marketable === true || parseInt(item.marketable) === 1)
+            );
+        });
+        const groups = groupBy(marketable, (item) => {
+            return `${item.appid}_${item.market_hash_name}`;
+        });
+        const funcs = Object.values(groups).map((group) => {
+            return async () => {
+                const { appid, market_hash_name } = group[0];
+                const quantity = group.reduce((quantity, item) => {
+                    return quantity + parseInt(item.amount || item.quantity || 1);
+                }, 0);
+                const value = {
+                    appid,
+                    market_hash_name,
+                    quantity,
+                    price: null,
+                    total: 0
+                };
+                
+                try {
+                    const overview = await getPriceOverview(appid, market_hash_name, {
+                        currency,
+                        signal
+                    });
+                    
+                    // fall back to the other price if one is missing
+                    value.price = price === 'median' ?
+                        overview.median_price || overview.lowest_price :
+                        overview.lowest_price || overview.median_price;
+                    value.total = (value.price || 0) * quantity;
+                } catch (error) {
+                    if (signal && signal.aborted) {
+                        // the remaining items are cancelled too
+                        throw error;
+                    }
+                    
+                    value.error = error;
+                }
+                
+                return value;
+            };
+        });
+        const values = await promiseSeries(funcs);
+        
+        return {
+            total: values.reduce((total, value) => total + value.total, 0),
+            currency,
+            items: values,
+            skipped: items.length - marketable.length
+        };
+    }
+    
+    /**
+     * Gets backpack for user.
+     * @memberof SteamAPI
+     * @param {string} appid - Appid.
+     * @param {string} ugcid - Ugcid.
+     * @param {string} [steamid] - Steamid in any format accepted by SteamID.parse.
+     * @param {object} [options={}] - Any additional options to send to request as parameters.
+     * @returns {Promise.<UGCFileDetailsResponse>} Resolves with the UGC details for this item.
+     */
+    async function getUGCFileDetails(appid, ugcid, steamid, options = {}) {
+        const { params, signal } = getSignalOptions(options);
+        const qs = {
+            appid,
+            ugcid,
+            key: apiKey,
+            ...params
+        };
+        
+        if (steamid !== undefined) {
+            qs.steamid = SteamID.toSteamID64(steamid);
+        }
+        
+        const requestOptions = {
+            method: 'GET',
+            uri: `https://${API_HOSTNAME}/ISteamRemoteStorage/GetUGCFileDetails/v1/`,
+            schema: 'GetUGCFileDetails',
+            qs,
+            signal
+        };
+        const response = await getJSONWithOptions(requestOptions);
+        
+        if (!response.data) {
+            throw new SteamResponseError('No response data.', getErrorDetails(requestOptions, response));
+        }
+        
+        return response.data;
+    }
+    
+    /**
+     * Gets your trade history.
+     * @memberof SteamAPI
+     * @param {object} [options={}] - Any options to send to request as parameters.
+     * @param {number} [options.max_trades] - The number of trades to return information for.
+     * @param {number} [options.start_after_time] - The time of the last trade shown on the previous page of results, or the time of the first trade if navigating back.
+     * @param {number} [options.start_after_tradeid] - The tradeid shown on the previous page of results, or the ID of the first trade if navigating back.
+     * @param {number} [options.navigating_back] - The user wants the previous page of results, so return the previous max_trades trades before the start time and ID.
+     * @param {number} [options.get_descriptions] - If set, the item display data for the items included in the returned trades will also be returned.
+     * @param {number} [options.language] - The language to use when loading item display data.
+     * @param {number} [options.include_failed] - Include failed trades.
+     * @param {number} [options.include_total] - If set, the total number of trades the account has participated in will be included in the response.
+     * @param {boolean} [options.combine_descriptions] - 	If set, merge descriptions in response with items.
+     * @returns {Promise.<TradeHistoryResponse>} Resolves with the trade history results for given query.
+     */
+    async function getTradeHistory(options = {}) {
+        const { params, signal } = getSignalOptions(options);
+        const { combine_descriptions } = params;
+        
+        // this is not passed to the request
+        delete params.combine_descriptions;
+        
+        const requestOptions = {
             method: 'GET',
-            uri: `https://${API_HOSTNAME}/ISteamUser/GetPlayerSummaries/v0002`,
+            uri: `https://${API_HOSTNAME}/IEconService/GetTradeHistory/v1/`,
+            schema: 'GetTradeHistory',
             qs: {
-                steamids,
-                format,
-                key: apiKey
-            }
-        });
+                key: apiKey,
+                ...params
+            },
+            signal
+        };
+        const response = await getJSONWithOptions(requestOptions);
         
         if (!response.response) {
-            throw new Error('No response.');
+            throw new SteamResponseError('No response data.', getErrorDetails(requestOptions, response));
+        }
+        
+        if (combine_descriptions) {
+            return mergeTradeHistoryResponseDescriptions(response.response);
         }
         
-        return response.response.players;
+        // data is in response
+        return response.response;
     }
     
     /**
-     * Gets classinfo for a classid.
+     * Gets your trade history one page at a time. Pages are followed using the time and tradeid
+     * of the last trade in each page until there are no more trades, or until a trade at or before
+     * the given stop condition is reached.
      * @memberof SteamAPI
-     * @param {string} appid - Appid.
-     * @param {string} classids - Classid.
-     * @param {object} [options={}] - Any additional options to send to request as parameters.
-     * @returns {Promise.<ClassInfo>} Resolves with classinfo.
+     * @param {object} [options={}] - Any options to send to request as parameters. Accepts the same options as getTradeHistory.
+     * @param {number} [options.max_trades=100] - The number of trades to request per page.
+     * @param {number} [options.since_time] - Stop once a trade at or before this time is reached. This trade is not included.
+     * @param {string} [options.since_tradeid] - Stop once the trade with this tradeid is reached. This trade is not included.
+     * @param {boolean} [options.combine_descriptions] - If set, merge descriptions in each page with items.
+     * @yields {TradeHistoryResponse} Each page of trade history.
+     * @returns {AsyncIterableIterator.<TradeHistoryResponse>} Async iterator of trade history pages.
      */
-    async function getAssetClassInfo(appid, classid, options = {}) {
-        const response = await getJSON({
-            method: 'GET',
-            uri: `https://${API_HOSTNAME}/ISteamEconomy/GetAssetClassInfo/v0001`,
-            qs: {
-                appid,
-                class_count: 1,
-                classid0: classid,
-                key: apiKey,
-                ...options
-            }
+    async function* getTradeHistoryPages(options = {}) {
+        const { params, signal } = getSignalOptions({
+            max_trades: 100,
+            ...options
         });
+        const { since_time, since_tradeid } = params;
         
-        // only get the classinfo for this classid
-        const classinfo = (
-            response.result &&
-            response.result[classid]
-        );
+        // these are not passed to the request
+        delete params.since_time;
+        delete params.since_tradeid;
         
-        if (!classinfo) {
-            throw new Error(`No classinfo for "${classid}"`);
+        while (true) {
+            const page = await getTradeHistory({ ...params, signal });
+            const trades = page.trades || [];
+            // find where the stop condition is met within this page, if at all
+            const stopIndex = trades.findIndex((trade) => {
+                return Boolean(
+                    (
+                        since_time !== undefined &&
+                        trade.time_init <= since_time
+                    ) ||
+                    (
+                        since_tradeid !== undefined &&
+                        trade.tradeid === String(since_tradeid)
+                    )
+                );
+            });
+            const isDone = Boolean(
+                stopIndex !== -1 ||
+                !page.more ||
+                trades.length === 0
+            );
+            
+            if (stopIndex !== -1) {
+                // only include trades before the stop condition
+                page.trades = trades.slice(0, stopIndex);
+                page.more = false;
+            }
+            
+            yield page;
+            
+            if (isDone) {
+                break;
+            }
+            
+            const lastTrade = trades[trades.length - 1];
+            
+            // start the next page after the last trade in this page
+            params.start_after_time = lastTrade.time_init;
+            params.start_after_tradeid = lastTrade.tradeid;
         }
-        
-        return fixClassInfo(classinfo);
     }
     
     /**
-     * Gets classinfo for an array of classids.
+     * Gets your full trade history. All pages of trade history are fetched.
      * @memberof SteamAPI
-     * @param {string} appid - Appid.
-     * @param {string[]} classids - Classids.
-     * @param {object} [options={}] - Any additional options to send to request as parameters.
-     * @returns {Promise.<ClassInfoContainer>} Resolves with object containing classinfos.
+     * @param {object} [options={}] - Any options to send to request as parameters. Accepts the same options as getTradeHistoryPages.
+     * @returns {Promise.<TradeHistoryResponse>} Resolves with all trades from the trade history.
      */
-    async function getAssetClassInfos(appid, classids, options = {}) {
-        // performs the request for a group of classids
-        async function getAssetClassInfoRequest(classids) {
-            // create an object map of all classids
-            // e.g. { classid0: 1, classid1: 2 } 
-            const classidsMap = classids.reduce((total, classid, i) => {
-                total['classid' + i] = classid;
-                
-                return total;
-            }, {});
+    async function getAllTradeHistory(options = {}) {
+        const { params, signal } = getSignalOptions(options);
+        let trades = [];
+        let descriptions = [];
+        
+        for await (const page of getTradeHistoryPages({ ...params, signal })) {
+            trades = trades.concat(page.trades);
             
-            return getJSON({
-                method: 'GET',
-                uri: `https://${API_HOSTNAME}/ISteamEconomy/GetAssetClassInfo/v0001`,
-                qs: {
-                    appid,
-                    key: apiKey,
-                    class_count: classids.length,
-                    ...classidsMap,
-                    ...options
-                }
-            });
+            if (page.descriptions) {
+                descriptions = descriptions.concat(page.descriptions);
+            }
         }
         
-        // get classids in a series of requests
-        const series = uniq(classids)
-            // split the classids into chunks of 20
-            .reduce(reduceChunk(20), [])
-            .map((chunk) => {
-                return async () => {
-                    const response = await getAssetClassInfoRequest(chunk);
-                    const { result } = response;
-                    // we don't need it
-                    delete result.success;
-                    // add some space between requests
-                    await sleep(2000);
-                    
-                    return Object.entries(result)
-                        .reduce((classinfo, [classid, value]) => {
-                            classinfo[classid] = fixClassInfo(value);
-                            
-                            return classinfo;
-                        }, {});
-                };
+        const result = {
+            trades,
+            more: false
+        };
+        
+        if (!options.combine_descriptions && descriptions.length > 0) {
+            // the same description can appear in multiple pages
+            result.descriptions = uniq(descriptions, (classinfo) => {
+                return [
+                    classinfo.appid,
+                    classinfo.classid,
+                    classinfo.instanceid
+                ].join('_');
             });
-        // get all apps in series
-        const responses = await promiseSeries(series);
+        }
         
-        // merge the responses togeher
-        return responses.reduce((total, response) => {
-            return Object.assign(total, response);
-        }, {});
+        return result;
     }
     
     /**
-     * Gets backpack for user.
+     * Gets trade offers sent and/or received.
      * @memberof SteamAPI
-     * @static
-     * @promise getBackpackPromise
-     * @fulfills {Backpack} The backpack for this user..
-     * @param {string} appid - Appid.
-     * @param {string} steamid - Steamid.
-     * @param {object} [options={}] - Any additional options to send to request as parameters.
-     * @returns {Promise.<Backpack>} Resolves with the backpack for this user.
+     * @param {object} [options={}] - Any options to send to request as parameters.
+     * @param {boolean} [options.get_sent_offers] - Request the list of sent offers.
+     * @param {boolean} [options.get_received_offers] - Request the list of received offers.
+     * @param {boolean} [options.get_descriptions] - If set, the item display data for the items included in the returned trade offers will also be returned.
+     * @param {string} [options.language] - The language to use when loading item display data.
+     * @param {boolean} [options.active_only] - Indicates we should only return offers which are still active, or offers that have changed in state since the time_historical_cutoff.
+     * @param {boolean} [options.historical_only] - Indicates we should only return offers which are not active.
+     * @param {number} [options.time_historical_cutoff] - When active_only is set, offers updated since this time will also be returned.
+     * @param {number} [options.cursor] - Cursor for the page of results, from next_cursor of the previous page.
+     * @param {boolean} [options.combine_descriptions] - If set, merge descriptions in response with items.
+     * @returns {Promise.<TradeOffersResponse>} Resolves with the trade offers for given query.
      */
-    async function getBackpack(appid, steamid, options = {}) {
-        const response = await getJSON({
+    async function getTradeOffers(options = {}) {
+        const { params, signal } = getSignalOptions(options);
+        const { combine_descriptions } = params;
+        
+        // this is not passed to the request
+        delete params.combine_descriptions;
+        
+        const requestOptions = {
             method: 'GET',
-            uri: `https://${API_HOSTNAME}/IEconItems_${appid}/GetPlayerItems/v0001/`,
+            uri: `https://${API_HOSTNAME}/IEconService/GetTradeOffers/v1/`,
+            schema: 'GetTradeOffers',
             qs: {
-                SteamID: steamid,
                 key: apiKey,
-                ...options
-            }
-        });
+                ...params
+            },
+            signal
+        };
+        const response = await getJSONWithOptions(requestOptions);
         
-        const backpack = response.result;
-        const hasItems = Boolean(
-            backpack &&
-            backpack.items
-        );
+        if (!response.response) {
+            throw new SteamResponseError('No response data.', getErrorDetails(requestOptions, response));
+        }
         
-        if (!hasItems) {
-            throw new Error('No items in response object');
+        if (combine_descriptions) {
+            return mergeTradeOffersResponseDescriptions(response.response);
         }
         
-        return backpack;
+        // data is in response
+        return response.response;
     }
     
     /**
-     * Gets backpack for user.
+     * Gets trade offers one page at a time. Pages are followed using "next_cursor" until there are
+     * no more offers.
      * @memberof SteamAPI
-     * @param {string} appid - Appid.
-     * @param {string} contextid - Contextid.
-     * @param {string} steamid - Steamid.
-     * @param {object} [options={}] - Any additional options to send to request as parameters.
-     * @returns {Promise.<Inventory>} Resolves with the inventory for this user.
+     * @param {object} [options={}] - Any options to send to request as parameters. Accepts the same options as getTradeOffers.
+     * @yields {TradeOffersResponse} Each page of trade offers.
+     * @returns {AsyncIterableIterator.<TradeOffersResponse>} Async iterator of trade offer pages.
      */
-    async function getInventory(appid, contextid, steamid, options = {}) {
-        const response = await getJSON({
-            method: 'GET',
-            uri: `https://${COMMUNITY_HOSTNAME}/inventory/${steamid}/${appid}/${contextid}`,
-            qs: {
-                l: 'english',
-                count: 5000,
-                ...options
+    async function* getTradeOffersPages(options = {}) {
+        const { params, signal } = getSignalOptions(options);
+        
+        while (true) {
+            const page = await getTradeOffers({ ...params, signal });
+            
+            yield page;
+            
+            if (!page.next_cursor) {
+                break;
             }
-        });
-        const { assets, descriptions } = response;
-        // create description look-up table
-        // e.g.
-        // {
-        //     classid: {
-        //         instanceid: {
-        //             ... 
-        //         }
-        //     }
-        // }
-        const classinfos = Object.entries(groupBy(descriptions, 'classid'))
-            .reduce((classinfo, [classid, value]) => {
-                classinfo[classid] = indexBy(value, 'instanceid');
-                
-                return classinfo;
-            }, {});
-       
-       // combine the items with descriptions
-       return assets.map((item) => {
-           // find the description
-           const description = (
-               classinfos[item.classid] &&
-               classinfos[item.classid][item.instanceid]
-           );
-           
-           // combine
-           return {
-               ...item,
-               ...description
-           };
-       });
+            
+            params.cursor = page.next_cursor;
+        }
     }
     
     /**
-     * Gets backpack for user.
+     * Gets all trade offers. All pages of trade offers are fetched.
      * @memberof SteamAPI
-     * @param {string} appid - Appid.
-     * @param {string} ugcid - Ugcid.
-     * @param {string} [steamid] - Steamid.
-     * @param {object} [options={}] - Any additional options to send to request as parameters.
-     * @returns {Promise.<UGCFileDetailsResponse>} Resolves with the UGC details for this item.
+     * @param {object} [options={}] - Any options to send to request as parameters. Accepts the same options as getTradeOffers.
+     * @returns {Promise.<TradeOffersResponse>} Resolves with all trade offers for given query.
      */
-    async function getUGCFileDetails(appid, ugcid, steamid, options = {}) {
-        const response = await getJSON({
-            method: 'GET',
-            uri: `https://${API_HOSTNAME}/ISteamRemoteStorage/GetUGCFileDetails/v1/`,
-            qs: {
-                steamid,
-                appid,
-                ugcid,
-                key: apiKey,
-                ...options
-            }
-        });
+    async function getAllTradeOffers(options = {}) {
+        const { params, signal } = getSignalOptions(options);
+        let sent = [];
+        let received = [];
+        let descriptions = [];
         
-        if (response.status && response.status.code === 9) {
-            throw new Error('Given ID not found.')
+        for await (const page of getTradeOffersPages({ ...params, signal })) {
+            sent = sent.concat(page.trade_offers_sent || []);
+            received = received.concat(page.trade_offers_received || []);
+            
+            if (page.descriptions) {
+                descriptions = descriptions.concat(page.descriptions);
+            }
         }
         
-        if (!response.data) {
-            throw new Error('No response data.');
+        const result = {
+            trade_offers_sent: sent,
+            trade_offers_received: received
+        };
+        
+        if (!options.combine_descriptions && descriptions.length > 0) {
+            // the same description can appear in multiple pages
+            result.descriptions = uniq(descriptions, (classinfo) => {
+                return [
+                    classinfo.appid,
+                    classinfo.classid,
+                    classinfo.instanceid
+                ].join('_');
+            });
         }
         
-        return response.data;
+        return result;
     }
     
     /**
-     * Gets your trade history.
+     * Gets a single trade offer.
      * @memberof SteamAPI
-     * @param {object} [options={}] - Any options to send to request as parameters.
-     * @param {number} [options.max_trades] - The number of trades to return information for.
-     * @param {number} [options.start_after_time] - The time of the last trade shown on the previous page of results, or the time of the first trade if navigating back.
-     * @param {number} [options.start_after_tradeid] - The tradeid shown on the previous page of results, or the ID of the first trade if navigating back.
-     * @param {number} [options.navigating_back] - The user wants the previous page of results, so return the previous max_trades trades before the start time and ID.
-     * @param {number} [options.get_descriptions] - If set, the item display data for the items included in the returned trades will also be returned.
-     * @param {number} [options.language] - The language to use when loading item display data.
-     * @param {number} [options.include_failed] - Include failed trades.
-     * @param {number} [options.include_total] - If set, the total number of trades the account has participated in will be included in the response.
-     * @param {boolean} [options.combine_descriptions] - 	If set, merge descriptions in response with items.
-     * @returns {Promise.<TradeHistoryResponse>} Resolves with the trade history results for given query.
+     * @param {string} tradeofferid - Trade offer ID.
+     * @param {object} [options={}] - Any additional options to send to request as parameters.
+     * @param {boolean} [options.get_descriptions] - If set, the item display data for the items included in the returned trade offer will also be returned.
+     * @param {string} [options.language] - The language to use when loading item display data.
+     * @param {boolean} [options.combine_descriptions] - If set, merge descriptions in response with items.
+     * @returns {Promise.<TradeOfferResponse>} Resolves with the trade offer.
      */
-    async function getTradeHistory(options = {}) {
-        // copy the options so we do not modify the original object
-        const params = {
-            ...options
-        };
+    async function getTradeOffer(tradeofferid, options = {}) {
+        const { params, signal } = getSignalOptions(options);
         const { combine_descriptions } = params;
         
         // this is not passed to the request
         delete params.combine_descriptions;
         
-        const response = await getJSON({
+        const requestOptions = {
             method: 'GET',
-            uri: `https://${API_HOSTNAME}/IEconService/GetTradeHistory/v1/`,
+            uri: `https://${API_HOSTNAME}/IEconService/GetTradeOffer/v1/`,
+            schema: 'GetTradeOffer',
             qs: {
+                tradeofferid,
                 key: apiKey,
                 ...params
-            }
-        });
+            },
+            signal
+        };
+        const response = await getJSONWithOptions(requestOptions);
         
         if (!response.response) {
-            throw new Error('No response data.');
+            throw new SteamResponseError('No response data.', getErrorDetails(requestOptions, response));
+        }
+        
+        if (!response.response.offer) {
+            throw new SteamNotFoundError(`No trade offer for "${tradeofferid}"`, getErrorDetails(requestOptions, response));
         }
         
         if (combine_descriptions) {
-            return mergeTradeHistoryResponseDescriptions(response.response);
+            return mergeTradeOffersResponseDescriptions(response.response);
         }
         
         // data is in response
         return response.response;
     }
     
+    /**
+     * Gets counts of pending and new trade offers.
+     * @memberof SteamAPI
+     * @param {object} [options={}] - Any additional options to send to request as parameters.
+     * @param {number} [options.time_last_visit] - The time the user last visited. Offers updated since this time are counted as new.
+     * @returns {Promise.<TradeOffersSummary>} Resolves with the trade offer counts.
+     */
+    async function getTradeOffersSummary(options = {}) {
+        const { params, signal } = getSignalOptions(options);
+        const requestOptions = {
+            method: 'GET',
+            uri: `https://${API_HOSTNAME}/IEconService/GetTradeOffersSummary/v1/`,
+            schema: 'GetTradeOffersSummary',
+            qs: {
+                key: apiKey,
+                ...params
+            },
+            signal
+        };
+        const response = await getJSONWithOptions(requestOptions);
+        
+        if (!response.response) {
+            throw new SteamResponseError('No response data.', getErrorDetails(requestOptions, response));
+        }
+        
+        return response.response;
+    }
+    
     return {
+        ...createWebAPIInterfaces(apiList, callWebAPIMethod),
         request,
+        getQueueLength,
         getPlayerSummaries,
+        resolveVanityURL,
+        resolveProfile,
         getAssetClassInfo,
         getAssetClassInfos,
         getBackpack,
+        getSchemaItems,
+        getSchemaOverview,
+        getSchemaURL,
+        getSchema,
         getInventory,
+        getInventoryPages,
+        getInventories,
+        watchInventory,
+        watchBackpack,
+        getPriceOverview,
+        getPriceHistory,
+        valueInventory,
         getUGCFileDetails,
-        getTradeHistory
+        getTradeHistory,
+        getTradeHistoryPages,
+        getAllTradeHistory,
+        getTradeOffers,
+        getTradeOffersPages,
+        getAllTradeOffers,
+        getTradeOffer,
+        getTradeOffersSummary
     };
-}
+};
+
+module.exports.SteamID = SteamID;
+module.exports.TradeOfferState = TradeOfferState;
+module.exports.Currency = Currency;
+module.exports.parsePrice = parsePrice;
+module.exports.normalizeBackpackItem = normalizeBackpackItem;
+module.exports.normalizeInventoryItem = normalizeInventoryItem;
+module.exports.createTF2Decoder = createTF2Decoder;
+module.exports.loadSchema = loadSchema;
+module.exports.saveSchema = saveSchema;
+module.exports.diffInventories = diffInventories;
+module.exports.createInventoryWatcher = createInventoryWatcher;
+module.exports.createRateLimiter = createRateLimiter;
+module.exports.createHTTPTransport = createHTTPTransport;
+module.exports.createRecordingTransport = createRecordingTransport;
+module.exports.createReplayTransport = createReplayTransport;
+module.exports.createStubServer = createStubServer;
+module.exports.createMemoryCache = createMemoryCache;
+module.exports.createFileCache = createFileCache;
+module.exports.SteamAPIError = errors.SteamAPIError;
+module.exports.SteamHTTPError = errors.SteamHTTPError;
+module.exports.SteamRateLimitError = errors.SteamRateLimitError;
+module.exports.SteamNotFoundError = errors.SteamNotFoundError;
+module.exports.PrivateInventoryError = errors.PrivateInventoryError;
+module.exports.InvalidAPIKeyError = errors.InvalidAPIKeyError;
+module.exports.SteamResponseError = errors.SteamResponseError;
+module.exports.SteamValidationError = errors.SteamValidationError;
+module.exports.SteamTimeoutError = errors.SteamTimeoutError;
+module.exports.SteamAbortError = errors.SteamAbortError;
+module.exports.FixtureNotFoundError = errors.FixtureNotFoundError;
+module.exports.InvalidSteamIDError = errors.InvalidSteamIDError;
+module.exports.MissingParameterError = errors.MissingParameterError;
+
+/**
+ * Options for createSteamAPI.
+ * @typedef {object} SteamAPIOptions
+ * @property {RetryPolicy} [retry] - Policy for retrying failed requests. By default, requests which fail due to a network error or with a 429, 500, 502, 503 or 504 status are attempted up to 3 times.
+ * @property {object} [rateLimits] - Rate limits for each host. Requests made through this interface share these limits.
+ * @property {(RateLimiter|RateLimiterOptions|boolean)} [rateLimits.api] - Rate limit for api.steampowered.com. Defaults to 1 request per second with bursts of up to 10. A rate limiter created with createRateLimiter can be given to share it between interfaces, or false to turn the rate limit off.
+ * @property {(RateLimiter|RateLimiterOptions|boolean)} [rateLimits.community] - Rate limit for steamcommunity.com. Defaults to 1 request every 3 seconds. A rate limiter created with createRateLimiter can be given to share it between interfaces, or false to turn the rate limit off.
+ * @property {Cache} [cache] - Cache for classinfos. createMemoryCache and createFileCache can be used to create one, or any object implementing the Cache interface can be given. Values which cannot be stored, e.g. when a file cache cannot be written, are left out of the cache without failing the call.
+ * @property {Cache} [profileCache] - Cache for vanity URLs and profiles from resolveVanityURL and resolveProfile. Defaults to an in-memory cache for this interface which keeps up to 1000 values for 5 minutes each. Player summaries are kept for as long as the cache keeps them.
+ * @property {boolean} [validate=false] - If set, responses from every endpoint are checked against a bundled schema. A response which does not match rejects with a SteamValidationError giving the path of the value which failed, instead of failing later where the value is used. Status codes Steam uses for errors, e.g. status 15 from GetPlayerItems for a private backpack, are decoded into specific errors either way.
+ * @property {(Transport|HTTPTransportOptions)} [transport] - Transport used to send requests, or options for the default transport created with createHTTPTransport. Any function which takes a TransportRequest and resolves with a TransportResponse can be given, e.g. to replay saved responses.
+ * @property {SupportedAPIList} [apiList] - Response from ISteamWebAPIUtil/GetSupportedAPIList to create the Web API interfaces from. Defaults to supported-api-list.json, a bundled subset of the list with the most used interfaces. Giving a list fetched with your key also adds any interfaces your key has access to.
+ */
+
+/**
+ * Number of requests waiting on the rate limit for each host.
+ * @typedef {object} QueueLength
+ * @property {number} api - Requests waiting for api.steampowered.com.
+ * @property {number} community - Requests waiting for steamcommunity.com.
+ */
 
 /**
  * Player summary.
@@ -431,6 +2094,20 @@ module.exports = function createSteamAPI(apiKey) {
  * @property {number} [loccityid] - An internal code indicating the user's city of residence. A future update will provide this data in a more useful way.
  */
 
+/**
+ * A profile from resolveProfile.
+ * @typedef {object} Profile
+ * @property {string} steamid - 64-bit steamid.
+ * @property {PlayerSummary} summary - Player summary.
+ */
+
+/**
+ * Player summaries from getPlayerSummaries.
+ * @typedef {object} PlayerSummariesResult
+ * @property {object.<string, PlayerSummary>} players - Player summaries keyed by steamid.
+ * @property {string[]} missing - Steamids which Steam did not return a summary for.
+ */
+
 /**
  * Definition for an item class.
  * @typedef {object} ClassInfo
@@ -485,7 +2162,23 @@ module.exports = function createSteamAPI(apiKey) {
  */
 
 /**
- * An object whose values are ClassInfo.
+ * Identifies a class by its classid and instanceid.
+ * @typedef {object} ClassInfoID
+ * @property {string} classid - Classid.
+ * @property {string} [instanceid='0'] - Instanceid.
+ */
+
+/**
+ * Reference to a class.
+ * @private
+ * @typedef {object} ClassInfoRef
+ * @property {string} classid - Classid.
+ * @property {string} [instanceid] - Instanceid, if one was given.
+ * @property {string} key - Key for the class. This is "classid_instanceid" when an instanceid was given, otherwise the classid.
+ */
+
+/**
+ * An object whose values are ClassInfo. Keys are classids, or "classid_instanceid" for classes requested with an instanceid.
  * @typedef {object.<string, ClassInfo>} ClassInfoContainer
  */
 
@@ -501,11 +2194,11 @@ module.exports = function createSteamAPI(apiKey) {
 /**
  * A user's backpack.
  * @typedef {object} Backpack
- * @property {BackpackItem[]} items - Array of items.
+ * @property {(BackpackItem[]|NormalizedItem[])} items - Array of items. Items are normalized when the normalize option is set.
  * @property {number} status -  Status of request.
  * @property {number} num_backpack_items - Number of backpack items.
  */
- 
+
 /**
  * An item from a backpack.
  * @typedef {object} BackpackItem
@@ -537,6 +2230,74 @@ module.exports = function createSteamAPI(apiKey) {
  * @property {string} amount - Amount.
  */
 
+/**
+ * A target for getInventories.
+ * @typedef {object} InventoryTarget
+ * @property {(string|number|BigInt|ParsedSteamID)} steamid - Steamid in any format accepted by SteamID.parse.
+ * @property {string} appid - Appid.
+ * @property {string} [contextid='2'] - Contextid. Not used for backpacks.
+ * @property {boolean} [backpack=false] - Whether to get the backpack using getBackpack instead of the inventory.
+ */
+
+/**
+ * The result for a target from getInventories.
+ * @typedef {object} InventoryResult
+ * @property {InventoryTarget} target - The target.
+ * @property {(InventoryItem[]|BackpackItem[])} [items] - Items, if the target was fetched.
+ * @property {Error} [error] - The error, if the target could not be fetched, e.g. a PrivateInventoryError.
+ */
+
+/**
+ * Count of an item across all results from getInventories.
+ * @typedef {object} CombinedInventoryItem
+ * @property {string} market_hash_name - Market hash name.
+ * @property {number} count - Number of this item across all targets.
+ */
+
+/**
+ * Results from getInventories.
+ * @typedef {object} InventoriesResult
+ * @property {InventoryResult[]} results - The result for each target, in the same order as the targets.
+ * @property {object.<string, CombinedInventoryItem>} combined - Items from all inventories grouped by market hash name. Backpack items are not included as they do not have names.
+ */
+
+/**
+ * Prices of an item on the community market. Prices are in cents of the requested currency.
+ * @typedef {object} PriceOverview
+ * @property {string} market_hash_name - Market hash name.
+ * @property {(number|null)} lowest_price - Lowest listing price, or null if there are no listings.
+ * @property {(number|null)} median_price - Median sale price, or null if there were no recent sales.
+ * @property {number} volume - Number of sales in the last 24 hours.
+ */
+
+/**
+ * A point in an item's price history.
+ * @typedef {object} PriceHistoryPoint
+ * @property {Date} date - Date.
+ * @property {number} price - Median sale price in cents.
+ * @property {number} volume - Number of sales.
+ */
+
+/**
+ * The value of an item from valueInventory.
+ * @typedef {object} InventoryItemValue
+ * @property {(number|string)} appid - Appid.
+ * @property {string} market_hash_name - Market hash name.
+ * @property {number} quantity - Number of this item.
+ * @property {(number|null)} price - Price of one item in cents, or null if there is no price.
+ * @property {number} total - Price of all of this item in cents.
+ * @property {Error} [error] - The error, if the price could not be fetched.
+ */
+
+/**
+ * Results from valueInventory.
+ * @typedef {object} InventoryValue
+ * @property {number} total - Total value in cents.
+ * @property {number} currency - Currency of prices.
+ * @property {InventoryItemValue[]} items - Value of each distinct item.
+ * @property {number} skipped - Number of items skipped as they are not marketable.
+ */
+
 /**
  * UGC file details.
  * @typedef {object} UGCFileDetailsResponse
@@ -578,4 +2339,65 @@ module.exports = function createSteamAPI(apiKey) {
  * @property {ClassInfo[]} [descriptions] - Array of classinfos for items.
  * @property {string} [url] - URL.
  */
- 
+
+/**
+ * An item in a trade offer.
+ * @typedef {object} TradeOfferItem
+ * @property {number} appid - Appid.
+ * @property {string} contextid - Contextid.
+ * @property {string} assetid - Assetid.
+ * @property {string} classid - Classid.
+ * @property {string} instanceid - Instanceid.
+ * @property {string} amount - Amount.
+ * @property {boolean} missing - Whether the item is no longer available.
+ */
+
+/**
+ * A trade offer.
+ * @typedef {object} TradeOffer
+ * @property {string} tradeofferid - Trade offer ID.
+ * @property {number} accountid_other - The account id of the other party.
+ * @property {string} message - Message included by the sender.
+ * @property {number} expiration_time - Time the offer expires.
+ * @property {TradeOfferState} trade_offer_state - State of the offer.
+ * @property {TradeOfferItem[]} [items_to_give] - Items to give.
+ * @property {TradeOfferItem[]} [items_to_receive] - Items to receive.
+ * @property {boolean} is_our_offer - Whether the offer was sent by you.
+ * @property {number} time_created - Time the offer was created.
+ * @property {number} time_updated - Time the offer was last updated.
+ * @property {string} [tradeid] - Tradeid, once the offer is accepted.
+ * @property {boolean} from_real_time_trade - Whether the offer was created from a real-time trade.
+ * @property {number} escrow_end_date - Time the escrow period ends, or 0.
+ * @property {number} confirmation_method - Confirmation method.
+ */
+
+/**
+ * Trade offers.
+ * @typedef {object} TradeOffersResponse
+ * @property {TradeOffer[]} [trade_offers_sent] - Sent offers.
+ * @property {TradeOffer[]} [trade_offers_received] - Received offers.
+ * @property {ClassInfo[]} [descriptions] - Array of classinfos for items.
+ * @property {number} [next_cursor] - Cursor for the next page of results.
+ */
+
+/**
+ * A single trade offer.
+ * @typedef {object} TradeOfferResponse
+ * @property {TradeOffer} offer - The offer.
+ * @property {ClassInfo[]} [descriptions] - Array of classinfos for items.
+ */
+
+/**
+ * Counts of trade offers.
+ * @typedef {object} TradeOffersSummary
+ * @property {number} pending_received_count - Received offers which are pending.
+ * @property {number} new_received_count - Received offers which are new since the last visit.
+ * @property {number} updated_received_count - Received offers which were updated since the last visit.
+ * @property {number} historical_received_count - Received offers which are no longer active.
+ * @property {number} pending_sent_count - Sent offers which are pending.
+ * @property {number} newly_accepted_sent_count - Sent offers which were accepted since the last visit.
+ * @property {number} updated_sent_count - Sent offers which were updated since the last visit.
+ * @property {number} historical_sent_count - Sent offers which are no longer active.
+ * @property {number} escrow_received_count - Received offers which are in escrow.
+ * @property {number} escrow_sent_count - Sent offers which are in escrow.
+ */
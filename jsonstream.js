@@ -0,0 +1,196 @@
+'use strict';
+
+/**
+ * Creates a parser which parses JSON as it arrives, handing each element of the given arrays to a
+ * callback instead of keeping them in the document. Only the rest of the document is held until
+ * the end, so large arrays can be processed without keeping the whole body in memory.
+ * @param {string[]} paths - Paths of arrays to stream, e.g. "assets" or "result.items". Only arrays nested in objects can be streamed.
+ * @param {function(string, *): void} onItem - Called with the path and value of each element.
+ * @returns {JSONArrayStreamParser} Parser.
+ *
+ * @example
+ * const parser = createArrayStreamParser(['assets'], (path, asset) => {
+ *     console.log(asset.assetid);
+ * });
+ *
+ * parser.write('{"assets":[{"assetid":"1"},');
+ * parser.write('{"assetid":"2"}],"success":1}');
+ * parser.end(); // { assets: [], success: 1 }
+ */
+function createArrayStreamParser(paths, onItem) {
+    const streamed = new Set(paths);
+    // the document without the streamed elements
+    const skeleton = [];
+    // text of the element currently being read
+    let element = [];
+    // objects and arrays which contain the current position, outside of streamed arrays
+    const stack = [];
+    let inString = false;
+    let isEscaped = false;
+    // path of the streamed array being read, if any
+    let streamPath = null;
+    // nesting within the current element
+    let elementDepth = 0;
+    // text of the key being read, if it spans multiple writes
+    let pendingKey = null;
+    
+    // gets the path of a value starting at the current position
+    function getValuePath() {
+        const parent = stack[stack.length - 1];
+        
+        if (parent === undefined) {
+            return '';
+        }
+        
+        if (parent.type !== 'object' || parent.path === null) {
+            // arrays within arrays are not streamed
+            return null;
+        }
+        
+        return parent.path ? `${parent.path}.${parent.key}` : parent.key;
+    }
+    
+    function completeElement() {
+        const text = element.join('').trim();
+        
+        element = [];
+        
+        if (text) {
+            onItem(streamPath, JSON.parse(text));
+        }
+    }
+    
+    /**
+     * Parses the next part of the document.
+     * @param {string} text - Text.
+     */
+    function write(text) {
+        // start of the text not yet added to the skeleton or element
+        let start = 0;
+        // start of a key in this text
+        let keyStart = pendingKey === null ? -1 : 0;
+        
+        // adds the text up to the given index to where it belongs
+        function flush(end) {
+            if (end > start) {
+                (streamPath === null ? skeleton : element).push(text.slice(start, end));
+            }
+            
+            start = end;
+        }
+        
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            
+            if (inString) {
+                if (isEscaped) {
+                    isEscaped = false;
+                } else if (char === '\\') {
+                    isEscaped = true;
+                } else if (char === '"') {
+                    inString = false;
+                    
+                    if (keyStart !== -1) {
+                        const key = (pendingKey || '') + text.slice(keyStart, i + 1);
+                        
+                        stack[stack.length - 1].key = JSON.parse(key);
+                        pendingKey = null;
+                        keyStart = -1;
+                    }
+                }
+                
+                continue;
+            }
+            
+            if (streamPath !== null) {
+                if (char === '"') {
+                    inString = true;
+                } else if (char === '{' || char === '[') {
+                    elementDepth += 1;
+                } else if ((char === '}' || char === ']') && elementDepth > 0) {
+                    elementDepth -= 1;
+                } else if (char === ',' && elementDepth === 0) {
+                    flush(i);
+                    completeElement();
+                    // the comma is left out
+                    start = i + 1;
+                } else if (char === ']') {
+                    // the end of the streamed array
+                    flush(i);
+                    completeElement();
+                    streamPath = null;
+                }
+                
+                continue;
+            }
+            
+            const parent = stack[stack.length - 1];
+            
+            if (char === '"') {
+                inString = true;
+                
+                if (parent && parent.type === 'object' && parent.isExpectingKey) {
+                    keyStart = i;
+                }
+            } else if (char === '{') {
+                stack.push({
+                    type: 'object',
+                    path: getValuePath(),
+                    key: null,
+                    isExpectingKey: true
+                });
+            } else if (char === '[') {
+                const path = getValuePath();
+                
+                if (path !== null && streamed.has(path)) {
+                    // the brackets stay in the skeleton, so the array is empty once parsed
+                    flush(i + 1);
+                    streamPath = path;
+                    elementDepth = 0;
+                } else {
+                    stack.push({
+                        type: 'array',
+                        path: null
+                    });
+                }
+            } else if (char === '}' || char === ']') {
+                stack.pop();
+            } else if (char === ':' && parent) {
+                parent.isExpectingKey = false;
+            } else if (char === ',' && parent && parent.type === 'object') {
+                parent.isExpectingKey = true;
+            }
+        }
+        
+        if (keyStart !== -1) {
+            // the key continues in the next write
+            pendingKey = (pendingKey || '') + text.slice(keyStart);
+        }
+        
+        flush(text.length);
+    }
+    
+    /**
+     * Finishes parsing.
+     * @returns {*} The document, with the streamed arrays left empty.
+     */
+    function end() {
+        return JSON.parse(skeleton.join(''));
+    }
+    
+    return {
+        write,
+        end
+    };
+}
+
+/**
+ * Parser created by createArrayStreamParser.
+ * @typedef {object} JSONArrayStreamParser
+ * @property {function(string): void} write - Parses the next part of the document.
+ * @property {function(): *} end - Finishes parsing and returns the document, with the streamed arrays left empty.
+ */
+
+module.exports = {
+    createArrayStreamParser
+};
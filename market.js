@@ -0,0 +1,109 @@
+'use strict';
+
+/**
+ * Currencies accepted by the community market.
+ * @readonly
+ * @enum {number}
+ */
+const Currency = Object.freeze({
+    USD: 1,
+    GBP: 2,
+    EUR: 3,
+    CHF: 4,
+    RUB: 5,
+    PLN: 6,
+    BRL: 7,
+    JPY: 8,
+    NOK: 9,
+    IDR: 10,
+    MYR: 11,
+    PHP: 12,
+    SGD: 13,
+    THB: 14,
+    VND: 15,
+    KRW: 16,
+    TRY: 17,
+    UAH: 18,
+    MXN: 19,
+    CAD: 20,
+    AUD: 21,
+    NZD: 22,
+    CNY: 23,
+    INR: 24,
+    CLP: 25,
+    PEN: 26,
+    COP: 27,
+    ZAR: 28,
+    HKD: 29,
+    TWD: 30,
+    SAR: 31,
+    AED: 32,
+    ARS: 34,
+    ILS: 35,
+    KZT: 37,
+    KWD: 38,
+    QAR: 39,
+    CRC: 40,
+    UYU: 41
+});
+
+/**
+ * Parses a localized price string into an integer number of cents.
+ *
+ * Handles currency symbols on either side and both "," and "." as decimal or thousands separators,
+ * e.g. "$1,234.56", "1.234,56€", "R$ 1,23" and "1 234,56 pуб.". A separator followed by exactly one
+ * or two digits at the end is treated as the decimal separator.
+ * @param {string} value - Price, e.g. "$1.23".
+ * @returns {(number|null)} Price in cents, e.g. 123, or null if the value has no price.
+ */
+function parsePrice(value) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+    
+    // remove currency symbols, spaces and trailing dots, e.g. "pуб."
+    const number = value
+        .replace(/[^\d.,]/g, '')
+        .replace(/^[.,]+|[.,]+$/g, '');
+    
+    if (!number) {
+        return null;
+    }
+    
+    const match = number.match(/^(.*?)(?:[.,](\d{1,2}))?$/);
+    const whole = match[1].replace(/[.,]/g, '');
+    const fraction = (match[2] || '').padEnd(2, '0');
+    
+    return parseInt(whole || '0') * 100 + parseInt(fraction);
+}
+
+/**
+ * Parses a volume string, e.g. "1,234".
+ * @param {string} [value] - Volume.
+ * @returns {number} Volume.
+ */
+function parseVolume(value) {
+    if (value === undefined) {
+        return 0;
+    }
+    
+    return parseInt(String(value).replace(/[^\d]/g, '')) || 0;
+}
+
+/**
+ * Parses a date from the price history, e.g. "Nov 27 2013 01: +0".
+ * @private
+ * @param {string} value - Date.
+ * @returns {Date} Date.
+ */
+function parseHistoryDate(value) {
+    // the minutes are always left out
+    return new Date(value.replace(/: \+0$/, ':00 +0000'));
+}
+
+module.exports = {
+    Currency,
+    parsePrice,
+    parseVolume,
+    parseHistoryDate
+};
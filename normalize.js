@@ -0,0 +1,157 @@
+'use strict';
+
+/**
+ * Base URL for item images.
+ * @private
+ * @type {string}
+ */
+const IMAGE_URL = 'https://community.cloudflare.steamstatic.com/economy/image/';
+
+/**
+ * Names of TF2 item qualities by id.
+ * @type {object.<number, string>}
+ */
+const QUALITY_NAMES = {
+    0: 'Normal',
+    1: 'Genuine',
+    2: 'rarity2',
+    3: 'Vintage',
+    4: 'rarity3',
+    5: 'Unusual',
+    6: 'Unique',
+    7: 'Community',
+    8: 'Valve',
+    9: 'Self-Made',
+    10: 'Customized',
+    11: 'Strange',
+    12: 'Completed',
+    13: 'Haunted',
+    14: 'Collector\'s',
+    15: 'Decorated Weapon'
+};
+
+/**
+ * An item in the same shape from either getBackpack or getInventory.
+ * @typedef {object} NormalizedItem
+ * @property {string} id - Item id. This is the assetid for inventory items.
+ * @property {string} [original_id] - Original id. Only for backpack items.
+ * @property {(number|string)} appid - Appid.
+ * @property {string} [contextid] - Contextid. Only for inventory items.
+ * @property {string} [classid] - Classid. Only for inventory items.
+ * @property {string} [instanceid] - Instanceid. Only for inventory items.
+ * @property {number} [defindex] - Defindex. Only for backpack items, or inventory items with the defindex in their app data.
+ * @property {(string|null)} name - Name. Backpack items only have a name if they have a custom name.
+ * @property {(string|null)} market_hash_name - Market hash name. Only for inventory items.
+ * @property {(string|null)} quality - Quality name, e.g. "Strange".
+ * @property {boolean} craftable - Whether the item can be crafted.
+ * @property {boolean} tradable - Whether the item can be traded.
+ * @property {boolean} marketable - Whether the item can be sold on the market.
+ * @property {number} quantity - Quantity.
+ * @property {object.<string, string>} tags - Tag names keyed by category, e.g. { Quality: "Strange" }.
+ * @property {object.<string, (number|string)>} attributes - Attribute values keyed by defindex. Only backpack items have attributes.
+ * @property {(string|null)} icon_url - Full URL to the item's icon.
+ */
+
+/**
+ * Gets the full URL to an item image.
+ * @param {string} [icon_url] - Icon URL from the classinfo.
+ * @returns {(string|null)} Full URL, or null if there is no icon.
+ */
+function getImageURL(icon_url) {
+    if (!icon_url) {
+        return null;
+    }
+    
+    return IMAGE_URL + icon_url;
+}
+
+/**
+ * Parses the attributes of a backpack item into an object keyed by defindex.
+ * @param {BackpackItemAttribute[]} [attributes=[]] - Attributes.
+ * @returns {object.<string, (number|string)>} Attribute values keyed by defindex.
+ */
+function parseAttributes(attributes = []) {
+    return attributes.reduce((parsed, attribute) => {
+        // float_value is the useful value for most numeric attributes
+        parsed[attribute.defindex] = attribute.float_value !== undefined ?
+            attribute.float_value :
+            attribute.value;
+        
+        return parsed;
+    }, {});
+}
+
+/**
+ * Normalizes an item from getBackpack.
+ * @param {BackpackItem} item - Item.
+ * @param {(number|string)} appid - Appid of the backpack.
+ * @returns {NormalizedItem} Normalized item.
+ */
+function normalizeBackpackItem(item, appid) {
+    const quality = QUALITY_NAMES[item.quality];
+    
+    return {
+        id: String(item.id),
+        original_id: String(item.original_id),
+        appid,
+        defindex: item.defindex,
+        name: item.custom_name || null,
+        market_hash_name: null,
+        quality: quality || null,
+        craftable: !item.flag_cannot_craft,
+        tradable: !item.flag_cannot_trade,
+        marketable: false,
+        quantity: item.quantity === undefined ? 1 : item.quantity,
+        tags: quality ? { Quality: quality } : {},
+        attributes: parseAttributes(item.attributes),
+        icon_url: null
+    };
+}
+
+/**
+ * Normalizes an item from getInventory.
+ * @param {InventoryItem} item - Item.
+ * @returns {NormalizedItem} Normalized item.
+ */
+function normalizeInventoryItem(item) {
+    const tags = (item.tags || []).reduce((tags, tag) => {
+        tags[tag.category] = tag.localized_tag_name || tag.name;
+        
+        return tags;
+    }, {});
+    // tf2 marks uncraftable items with a description line
+    const isUncraftable = (item.descriptions || []).some((description) => {
+        return description.value === '( Not Usable in Crafting )';
+    });
+    const defindex = (
+        item.app_data &&
+        item.app_data.def_index
+    );
+    
+    return {
+        id: String(item.assetid || item.id),
+        appid: item.appid,
+        contextid: item.contextid,
+        classid: item.classid,
+        instanceid: item.instanceid,
+        defindex: defindex === undefined ? undefined : parseInt(defindex),
+        name: item.name || null,
+        market_hash_name: item.market_hash_name || null,
+        quality: tags.Quality || null,
+        craftable: !isUncraftable,
+        tradable: Boolean(parseInt(item.tradable)),
+        marketable: Boolean(parseInt(item.marketable)),
+        quantity: parseInt(item.amount || 1),
+        tags,
+        attributes: {},
+        icon_url: getImageURL(item.icon_url)
+    };
+}
+
+module.exports = {
+    QUALITY_NAMES,
+    getImageURL,
+    parseAttributes,
+    normalizeBackpackItem,
+    normalizeInventoryItem
+};
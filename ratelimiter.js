@@ -0,0 +1,136 @@
+'use strict';
+
+/**
+ * @typedef {object} RateLimiterOptions
+ * @property {number} [tokensPerInterval=1] - Number of tokens added to the bucket each interval.
+ * @property {number} [interval=1000] - Interval in milliseconds.
+ * @property {number} [bucketSize] - Maximum number of tokens the bucket can hold. This is the number of requests which can be made in a burst. Defaults to tokensPerInterval.
+ */
+
+/**
+ * Token bucket rate limiter.
+ * @typedef {object} RateLimiter
+ * @property {function(AbortSignal=): Promise} removeToken - Resolves once a token is available and has been taken from the bucket. Rejects with the signal's reason if the given signal is aborted first.
+ * @property {function(function, AbortSignal=): Promise} schedule - Calls the given function once a token is available and resolves with its result.
+ * @property {function(): number} getQueueLength - Gets the number of callers waiting for a token.
+ */
+
+/**
+ * Creates a token bucket rate limiter. Callers waiting for a token are served in order.
+ * @param {RateLimiterOptions} [options={}] - Options.
+ * @returns {RateLimiter} Rate limiter.
+ */
+function createRateLimiter(options = {}) {
+    const {
+        tokensPerInterval = 1,
+        interval = 1000,
+        bucketSize = tokensPerInterval
+    } = options;
+    // functions which give a token to each waiting caller
+    const queue = [];
+    // the bucket starts full
+    let tokens = bucketSize;
+    let lastRefill = Date.now();
+    let timer = null;
+    
+    // adds tokens for the time passed since the last refill
+    function refill() {
+        const now = Date.now();
+        const added = (now - lastRefill) * tokensPerInterval / interval;
+        
+        tokens = Math.min(bucketSize, tokens + added);
+        lastRefill = now;
+    }
+    
+    // hands out tokens to waiting callers
+    function processQueue() {
+        timer = null;
+        refill();
+        
+        while (queue.length > 0 && tokens >= 1) {
+            const take = queue.shift();
+            
+            tokens -= 1;
+            take();
+        }
+        
+        if (queue.length > 0) {
+            // wait until the next token is available
+            const wait = Math.ceil((1 - tokens) * interval / tokensPerInterval);
+            
+            timer = setTimeout(processQueue, wait);
+        }
+    }
+    
+    /**
+     * Waits for a token.
+     * @param {AbortSignal} [signal] - Signal which stops waiting. The promise then rejects with the signal's reason and no token is taken.
+     * @returns {Promise} Resolves once a token has been taken.
+     */
+    function removeToken(signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
+            
+            const onAbort = () => {
+                const index = queue.indexOf(take);
+                
+                // give up our place in the queue
+                if (index !== -1) {
+                    queue.splice(index, 1);
+                }
+                
+                reject(signal.reason);
+            };
+            const take = () => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                
+                resolve();
+            };
+            
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+            
+            queue.push(take);
+            
+            if (timer === null) {
+                processQueue();
+            }
+        });
+    }
+    
+    /**
+     * Calls a function once a token is available.
+     * @param {function} fn - Function to call.
+     * @param {AbortSignal} [signal] - Signal which stops waiting for a token.
+     * @returns {Promise} Resolves with the result of the function.
+     */
+    async function schedule(fn, signal) {
+        await removeToken(signal);
+        
+        return fn();
+    }
+    
+    /**
+     * Gets the number of callers waiting for a token.
+     * @returns {number} Queue length.
+     */
+    function getQueueLength() {
+        return queue.length;
+    }
+    
+    return {
+        removeToken,
+        schedule,
+        getQueueLength
+    };
+}
+
+module.exports = {
+    createRateLimiter
+};
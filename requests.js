@@ -1,104 +1,374 @@
 'use strict';
 
-const https = require('https');
+const { StringDecoder } = require('string_decoder');
+const { createHTTPTransport } = require('./transport');
+const { createArrayStreamParser } = require('./jsonstream');
+const { sleep, buildURL, buildQueryString, parseRetryAfter } = require('./utils');
+const {
+    getHTTPError,
+    getAbortError,
+    SteamResponseError,
+    FixtureNotFoundError
+} = require('./errors');
+
+/**
+ * Default retry policy.
+ * @private
+ * @type {RetryPolicy}
+ */
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,
+    minDelay: 1000,
+    maxDelay: 30000,
+    factor: 2,
+    jitter: 0.5,
+    retryOn: [429, 500, 502, 503, 504],
+    retryOnNetworkError: true,
+    respectRetryAfter: true,
+    maxRetryAfter: 60000
+};
+
+/**
+ * Transport used when none is given. This is created on first use.
+ * @private
+ * @type {(Transport|null)}
+ */
+let defaultTransport = null;
 
 /**
  * @typedef {object} RequestOptions
  * @property {string} uri - The uri to fetch.
  * @property {string} [method] - The request method.
  * @property {object} [qs] - An object containing values to pass as a querystring.
+ * @property {object} [form] - An object containing values to send as a form-encoded body.
+ * @property {RetryPolicy} [retry] - Retry policy to use for the request. Only used by getJSON.
+ * @property {RateLimiter} [rateLimiter] - Rate limiter to take a token from before each attempt. Only used by getJSON.
+ * @property {object.<string, string>} [headers] - Request headers.
+ * @property {Transport} [transport] - Transport to send the request with. Defaults to a shared transport created with createHTTPTransport.
+ * @property {AbortSignal} [signal] - Signal which cancels the request, including any waits for the rate limit or between retries.
+ * @property {string[]} [streamArrays] - Paths of arrays in the response to parse as the body arrives, e.g. "assets" or "result.items", rather than reading the whole body into a string first. The response is still resolved with every element. Only used by getJSON.
+ */
+
+/**
+ * Policy for retrying failed requests.
+ * @typedef {object} RetryPolicy
+ * @property {number} [maxAttempts=3] - Maximum number of attempts, including the first. Set to 1 to disable retrying.
+ * @property {number} [minDelay=1000] - Delay in milliseconds before the first retry.
+ * @property {number} [maxDelay=30000] - Maximum delay in milliseconds between retries.
+ * @property {number} [factor=2] - Factor to multiply the delay by after each attempt.
+ * @property {number} [jitter=0.5] - Fraction of the delay to randomize, from 0 to 1.
+ * @property {(number[]|function)} [retryOn=[429, 500, 502, 503, 504]] - Status codes to retry, or a function which receives the status code and attempt number and returns whether to retry.
+ * @property {boolean} [retryOnNetworkError=true] - Whether to retry when the request fails without a response.
+ * @property {boolean} [respectRetryAfter=true] - Whether to wait for the time given in the "Retry-After" header, when present.
+ * @property {number} [maxRetryAfter=60000] - If "Retry-After" asks for a longer wait than this in milliseconds, the request is not retried.
+ */
+
+/**
+ * Result of a request.
+ * @typedef {object} RequestResult
+ * @property {TransportResponse} response - Response.
+ * @property {(string|stream.Readable)} body - Response body. This is a stream if one was requested and the transport supports it.
+ * @property {string} url - The full URL which was requested.
+ */
+
+/**
+ * Gets the transport used when none is given.
+ * @private
+ * @returns {Transport} Transport.
  */
+function getDefaultTransport() {
+    if (defaultTransport === null) {
+        defaultTransport = createHTTPTransport();
+    }
+    
+    return defaultTransport;
+}
 
 /**
  * Gets a request
  * @param {RequestOptions} opts - Options.
- * @returns {Promise.<object>} Resolves with response.
+ * @returns {Promise.<RequestResult>} Resolves with response.
  */
 async function getRequest(opts) {
-    // create a clone so we do not modify the original object
-    const options = Object.assign({}, opts);
-    // split url
-    const { hostname, pathname } = new URL(options.uri || options.url);
+    const url = buildURL(opts.uri || opts.url, opts.qs);
+    const transport = opts.transport || getDefaultTransport();
+    const headers = Object.assign({}, opts.headers);
+    let body;
+    
+    if (opts.form) {
+        body = buildQueryString(opts.form);
+        headers['content-type'] = 'application/x-www-form-urlencoded';
+        headers['content-length'] = String(Buffer.byteLength(body));
+    }
+    
+    const response = await transport({
+        method: opts.method || 'GET',
+        url,
+        headers,
+        body,
+        signal: opts.signal,
+        stream: Boolean(opts.streamArrays)
+    });
+    
+    return {
+        response,
+        body: response.body,
+        url
+    };
+}
+
+/**
+ * Gets the delay before the next attempt using exponential backoff.
+ * @private
+ * @param {RetryPolicy} policy - Retry policy.
+ * @param {number} attempt - The attempt which just failed, starting from 1.
+ * @returns {number} Milliseconds to wait.
+ */
+function getBackoffDelay(policy, attempt) {
+    const delay = Math.min(
+        policy.minDelay * Math.pow(policy.factor, attempt - 1),
+        policy.maxDelay
+    );
+    // take a random amount off of the delay so that concurrent requests spread out
+    const jitter = delay * policy.jitter * Math.random();
+    
+    return Math.round(delay - jitter);
+}
+
+/**
+ * Checks whether a status code should be retried under the given policy.
+ * @private
+ * @param {RetryPolicy} policy - Retry policy.
+ * @param {number} statusCode - Status code.
+ * @param {number} attempt - The attempt which just failed, starting from 1.
+ * @returns {boolean} Whether the status code should be retried.
+ */
+function shouldRetryStatus(policy, statusCode, attempt) {
+    if (typeof policy.retryOn === 'function') {
+        return Boolean(policy.retryOn(statusCode, attempt));
+    }
     
-    options.hostname = hostname;
-    options.path = pathname;
+    return policy.retryOn.includes(statusCode);
+}
+
+/**
+ * Gets the delay before retrying a response.
+ * @private
+ * @param {RetryPolicy} policy - Retry policy.
+ * @param {object} response - Response.
+ * @param {number} attempt - The attempt which just failed, starting from 1.
+ * @returns {(number|null)} Milliseconds to wait, or null if the response should not be retried.
+ */
+function getRetryDelay(policy, response, attempt) {
+    const { headers, statusCode } = response;
+    const canRetry = Boolean(
+        attempt < policy.maxAttempts &&
+        shouldRetryStatus(policy, statusCode, attempt)
+    );
     
-    if (options.method === undefined) {
-        options.method = 'GET';
+    if (!canRetry) {
+        return null;
     }
     
-    delete options.uri;
-    delete options.url;
-
-    if (typeof options.qs === 'object') {
-        // get url params as a list
-        const params = Object.entries(options.qs).map(([key, value]) => {
-            return [
-                key,
-                value
-            ].map(encodeURIComponent).join('=');
-        });
-        // tie params together
-        const qs = params.join('&');
-        
-        if (qs.length > 0) {
-            // add the query string to the end of the URL
-            options.path = (options.path || '/') + '?' + qs;
-        }
-        
-        // delete it from the options
-        delete options.qs;
+    const retryAfter = (
+        policy.respectRetryAfter &&
+        parseRetryAfter(headers['retry-after'])
+    );
+    
+    if (typeof retryAfter !== 'number') {
+        return getBackoffDelay(policy, attempt);
     }
     
-    return new Promise((resolve, reject) => {
-        https.get(options, (response) => {
-            let body = '';
-            
-            response.on('data', (chunk) => {
-                // add data to body
-                body += chunk;
-            });
-            
-            response.on('end', () => {
-                // resolve with response and body
-                resolve({
-                    response,
-                    body
-                });
-            });
-        }).on('error', reject);
+    if (retryAfter > policy.maxRetryAfter) {
+        // we won't wait that long
+        return null;
+    }
+    
+    return retryAfter;
+}
+
+/**
+ * Reads the whole body of a response.
+ * @private
+ * @param {(string|stream.Readable)} body - Body.
+ * @returns {Promise.<string>} Resolves with the body.
+ */
+async function readBody(body) {
+    if (typeof body === 'string') {
+        return body;
+    }
+    
+    const chunks = [];
+    
+    for await (const chunk of body) {
+        chunks.push(chunk);
+    }
+    
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Parses a JSON body as it arrives. Elements of the given arrays are parsed one at a time, so the
+ * raw body is never buffered as one string. Every parsed element is still collected and held until
+ * the whole body has been read.
+ * @private
+ * @param {stream.Readable} body - Body.
+ * @param {string[]} paths - Paths of arrays to stream.
+ * @returns {Promise.<object>} Resolves with response JSON.
+ */
+async function parseJSONStream(body, paths) {
+    const elements = {};
+    const parser = createArrayStreamParser(paths, (path, element) => {
+        (elements[path] = elements[path] || []).push(element);
+    });
+    // multibyte characters can be split between chunks
+    const decoder = new StringDecoder('utf8');
+    
+    for await (const chunk of body) {
+        parser.write(decoder.write(chunk));
+    }
+    
+    parser.write(decoder.end());
+    
+    const json = parser.end();
+    
+    // put the elements back into their arrays
+    Object.entries(elements).forEach(([path, values]) => {
+        const keys = path.split('.');
+        const key = keys.pop();
+        const parent = keys.reduce((value, key) => value[key], json);
+        
+        parent[key] = values;
     });
+    
+    return json;
 }
 
 /**
- * Gets a request
- * @param {RequestOptions} opts - Options.
+ * Parses the body of a response as JSON.
+ * @private
+ * @param {RequestResult} result - Result from getRequest.
+ * @param {string[]} [streamArrays] - Paths of arrays to parse as the body arrives.
  * @returns {Promise.<object>} Resolves with response JSON.
  */
-async function getJSON(opts) {
-    const result = await getRequest(opts);
-    const { response, body } = result;
-    const { headers, statusCode, statusMessage } = response;
+async function parseJSONResponse(result, streamArrays) {
+    const { response, url } = result;
+    let { body } = result;
+    const { headers, statusCode } = response;
     const responseContentType = headers['content-type'];
     // we are looking for a JSON response
     const isJSON = Boolean(
         /^application\/json/.test(responseContentType)
     );
     
-    if (!isJSON) {
+    if (!isJSON || statusCode >= 400) {
         // not what we expected
-        return Promise.reject(new Error(
-            statusMessage ||
-            statusCode ||
-            body
-        ));
+        body = await readBody(body);
+        
+        return Promise.reject(getHTTPError(response, url, body));
     }
     
+    const isStream = typeof body !== 'string';
+    
     try {
+        if (isStream) {
+            return await parseJSONStream(body, streamArrays);
+        }
+        
         return JSON.parse(body);
     } catch (e) {
+        if (!(e instanceof SyntaxError)) {
+            // the body stopped before it could be parsed
+            throw e;
+        }
+        
         // invalid JSON
-        return Promise.reject(e);
+        return Promise.reject(new SteamResponseError(`Invalid JSON: ${e.message}`, {
+            statusCode,
+            url,
+            // streamed bodies are not kept
+            body: isStream ? undefined : body
+        }));
+    }
+}
+
+/**
+ * Gets a request and parses the response as JSON, retrying failed requests.
+ * @private
+ * @param {RequestOptions} opts - Options.
+ * @returns {Promise.<object>} Resolves with response JSON.
+ */
+async function getJSONWithRetries(opts) {
+    const { signal } = opts;
+    const policy = {
+        ...DEFAULT_RETRY_POLICY,
+        ...opts.retry
+    };
+    let attempt = 1;
+    
+    while (true) {
+        let result;
+        
+        if (opts.rateLimiter) {
+            // retries count against the rate limit too
+            await opts.rateLimiter.removeToken(signal);
+        }
+        
+        try {
+            result = await getRequest(opts);
+        } catch (error) {
+            // no response was received
+            const canRetry = Boolean(
+                policy.retryOnNetworkError &&
+                attempt < policy.maxAttempts &&
+                // a missing fixture will still be missing
+                !(error instanceof FixtureNotFoundError)
+            );
+            
+            if (!canRetry) {
+                throw error;
+            }
+            
+            await sleep(getBackoffDelay(policy, attempt), signal);
+            attempt += 1;
+            continue;
+        }
+        
+        const delay = getRetryDelay(policy, result.response, attempt);
+        
+        if (delay === null) {
+            return parseJSONResponse(result, opts.streamArrays);
+        }
+        
+        if (typeof result.body !== 'string') {
+            // discard the body of the failed response
+            result.body.resume();
+        }
+        
+        await sleep(delay, signal);
+        attempt += 1;
+    }
+}
+
+/**
+ * Gets a request and parses the response as JSON. Failed requests are retried according to the
+ * retry policy given in the options.
+ * @param {RequestOptions} opts - Options.
+ * @returns {Promise.<object>} Resolves with response JSON.
+ * @throws {SteamAbortError} If the signal is aborted, or a SteamTimeoutError if it was aborted by a timeout.
+ */
+async function getJSON(opts) {
+    const { signal } = opts;
+    
+    try {
+        return await getJSONWithRetries(opts);
+    } catch (error) {
+        if (signal && signal.aborted) {
+            // whatever was waiting when the signal was aborted, the abort is the cause
+            throw getAbortError(signal);
+        }
+        
+        throw error;
     }
 }
 
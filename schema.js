@@ -0,0 +1,30 @@
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Loads a schema from a JSON file.
+ * @param {string} filepath - Path to JSON file.
+ * @returns {Promise.<TF2Schema>} Resolves with the schema.
+ */
+async function loadSchema(filepath) {
+    const data = await fs.promises.readFile(filepath, 'utf8');
+    
+    return JSON.parse(data);
+}
+
+/**
+ * Saves a schema to a JSON file, e.g. one from getSchema, so that it can be loaded with loadSchema
+ * later without any requests.
+ * @param {string} filepath - Path to JSON file.
+ * @param {TF2Schema} schema - Schema.
+ * @returns {Promise} Resolves when the file is written.
+ */
+async function saveSchema(filepath, schema) {
+    return fs.promises.writeFile(filepath, JSON.stringify(schema));
+}
+
+module.exports = {
+    loadSchema,
+    saveSchema
+};
@@ -0,0 +1,509 @@
+'use strict';
+
+const {
+    SteamResponseError,
+    SteamNotFoundError,
+    PrivateInventoryError
+} = require('./errors');
+
+/**
+ * Schema for a classinfo. Steam gives most of these values as strings.
+ * @private
+ * @type {ResponseSchema}
+ */
+const CLASSINFO = {
+    type: 'object',
+    required: ['classid'],
+    properties: {
+        appid: { type: ['number', 'string'] },
+        classid: { type: 'string' },
+        instanceid: { type: 'string' },
+        name: { type: 'string' },
+        market_name: { type: 'string' },
+        market_hash_name: { type: 'string' },
+        icon_url: { type: 'string' },
+        tradable: { type: ['number', 'string'] },
+        marketable: { type: ['number', 'string'] },
+        commodity: { type: ['number', 'string'] },
+        // these are arrays in inventories, and objects keyed by index from GetAssetClassInfo
+        descriptions: { type: ['array', 'object'] },
+        tags: { type: ['array', 'object'] },
+        actions: { type: ['array', 'object'] },
+        market_actions: { type: ['array', 'object'] }
+    }
+};
+
+/**
+ * Schema for an item from GetPlayerItems.
+ * @private
+ * @type {ResponseSchema}
+ */
+const BACKPACK_ITEM = {
+    type: 'object',
+    required: ['id', 'original_id', 'defindex', 'quality'],
+    properties: {
+        id: { type: 'number' },
+        original_id: { type: 'number' },
+        defindex: { type: 'number' },
+        level: { type: 'number' },
+        quality: { type: 'number' },
+        inventory: { type: 'number' },
+        quantity: { type: 'number' },
+        origin: { type: 'number' },
+        custom_name: { type: 'string' },
+        custom_desc: { type: 'string' },
+        flag_cannot_trade: { type: 'boolean' },
+        flag_cannot_craft: { type: 'boolean' },
+        attributes: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['defindex'],
+                properties: {
+                    defindex: { type: 'number' },
+                    // some attributes have string values
+                    value: { type: ['number', 'string'] },
+                    float_value: { type: 'number' }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Schema for an asset in an inventory.
+ * @private
+ * @type {ResponseSchema}
+ */
+const INVENTORY_ASSET = {
+    type: 'object',
+    required: ['assetid', 'classid', 'instanceid'],
+    properties: {
+        appid: { type: 'number' },
+        contextid: { type: 'string' },
+        assetid: { type: 'string' },
+        classid: { type: 'string' },
+        instanceid: { type: 'string' },
+        amount: { type: 'string' }
+    }
+};
+
+/**
+ * Schema for an item in a trade from GetTradeHistory.
+ * @private
+ * @type {ResponseSchema}
+ */
+const TRADE_HISTORY_ASSET = {
+    type: 'object',
+    required: ['assetid', 'classid'],
+    properties: {
+        appid: { type: 'number' },
+        contextid: { type: 'string' },
+        assetid: { type: 'string' },
+        amount: { type: 'string' },
+        classid: { type: 'string' },
+        instanceid: { type: 'string' },
+        new_assetid: { type: 'string' },
+        new_contextid: { type: 'string' }
+    }
+};
+
+/**
+ * Schema for an item in a trade offer.
+ * @private
+ * @type {ResponseSchema}
+ */
+const TRADE_OFFER_ITEM = {
+    type: 'object',
+    required: ['assetid', 'classid'],
+    properties: {
+        appid: { type: 'number' },
+        contextid: { type: 'string' },
+        assetid: { type: 'string' },
+        classid: { type: 'string' },
+        instanceid: { type: 'string' },
+        amount: { type: 'string' },
+        missing: { type: 'boolean' }
+    }
+};
+
+/**
+ * Schema for a trade offer.
+ * @private
+ * @type {ResponseSchema}
+ */
+const TRADE_OFFER = {
+    type: 'object',
+    required: ['tradeofferid', 'trade_offer_state'],
+    properties: {
+        tradeofferid: { type: 'string' },
+        accountid_other: { type: 'number' },
+        message: { type: 'string' },
+        expiration_time: { type: 'number' },
+        trade_offer_state: { type: 'number' },
+        items_to_give: {
+            type: 'array',
+            items: TRADE_OFFER_ITEM
+        },
+        items_to_receive: {
+            type: 'array',
+            items: TRADE_OFFER_ITEM
+        },
+        is_our_offer: { type: 'boolean' },
+        time_created: { type: 'number' },
+        time_updated: { type: 'number' },
+        tradeid: { type: 'string' },
+        from_real_time_trade: { type: 'boolean' },
+        escrow_end_date: { type: 'number' },
+        confirmation_method: { type: 'number' }
+    }
+};
+
+/**
+ * Schemas for the response from each endpoint, keyed by the name of the endpoint. These only
+ * describe the values this library reads, anything else in the response is not checked.
+ * @type {object.<string, ResponseSchema>}
+ */
+const RESPONSE_SCHEMAS = {
+    GetPlayerSummaries: {
+        type: 'object',
+        required: ['response'],
+        properties: {
+            response: {
+                type: 'object',
+                required: ['players'],
+                properties: {
+                    players: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['steamid', 'personaname', 'communityvisibilitystate'],
+                            properties: {
+                                steamid: { type: 'string' },
+                                personaname: { type: 'string' },
+                                profileurl: { type: 'string' },
+                                avatar: { type: 'string' },
+                                avatarmedium: { type: 'string' },
+                                avatarfull: { type: 'string' },
+                                personastate: { type: 'number' },
+                                communityvisibilitystate: { type: 'number' },
+                                profilestate: { type: 'number' },
+                                lastlogoff: { type: 'number' },
+                                timecreated: { type: 'number' }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    ResolveVanityURL: {
+        type: 'object',
+        required: ['response'],
+        properties: {
+            response: {
+                type: 'object',
+                required: ['success'],
+                properties: {
+                    success: { type: 'number' },
+                    steamid: { type: 'string' },
+                    message: { type: 'string' }
+                }
+            }
+        }
+    },
+    GetAssetClassInfo: {
+        type: 'object',
+        required: ['result'],
+        properties: {
+            result: {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    error: { type: 'string' }
+                },
+                // every other key is a classinfo
+                additionalProperties: CLASSINFO
+            }
+        }
+    },
+    GetPlayerItems: {
+        type: 'object',
+        required: ['result'],
+        properties: {
+            result: {
+                type: 'object',
+                required: ['status', 'items'],
+                properties: {
+                    status: { type: 'number' },
+                    num_backpack_slots: { type: 'number' },
+                    items: {
+                        type: 'array',
+                        items: BACKPACK_ITEM
+                    }
+                }
+            }
+        }
+    },
+    GetSchemaItems: {
+        type: 'object',
+        required: ['result'],
+        properties: {
+            result: {
+                type: 'object',
+                required: ['status', 'items'],
+                properties: {
+                    status: { type: 'number' },
+                    next: { type: 'number' },
+                    items: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['defindex'],
+                            properties: {
+                                defindex: { type: 'number' },
+                                name: { type: 'string' },
+                                item_name: { type: 'string' },
+                                attributes: { type: 'array' }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    GetSchemaOverview: {
+        type: 'object',
+        required: ['result'],
+        properties: {
+            result: {
+                type: 'object',
+                required: ['status'],
+                properties: {
+                    status: { type: 'number' },
+                    qualities: {
+                        type: 'object',
+                        additionalProperties: { type: 'number' }
+                    },
+                    qualityNames: {
+                        type: 'object',
+                        additionalProperties: { type: 'string' }
+                    },
+                    attribute_controlled_attached_particles: { type: 'array' },
+                    kill_eater_score_types: { type: 'array' }
+                }
+            }
+        }
+    },
+    GetSchemaURL: {
+        type: 'object',
+        required: ['result'],
+        properties: {
+            result: {
+                type: 'object',
+                required: ['status', 'items_game_url'],
+                properties: {
+                    status: { type: 'number' },
+                    items_game_url: { type: 'string' }
+                }
+            }
+        }
+    },
+    // private inventories can respond with null
+    Inventory: {
+        type: ['object', 'null'],
+        required: ['success'],
+        properties: {
+            success: { type: ['number', 'boolean'] },
+            assets: {
+                type: 'array',
+                items: INVENTORY_ASSET
+            },
+            descriptions: {
+                type: 'array',
+                items: CLASSINFO
+            },
+            more_items: { type: 'number' },
+            last_assetid: { type: 'string' },
+            total_inventory_count: { type: 'number' }
+        }
+    },
+    PriceOverview: {
+        type: 'object',
+        required: ['success'],
+        properties: {
+            success: { type: 'boolean' },
+            lowest_price: { type: 'string' },
+            median_price: { type: 'string' },
+            volume: { type: 'string' }
+        }
+    },
+    PriceHistory: {
+        type: 'object',
+        required: ['success', 'prices'],
+        properties: {
+            success: { type: 'boolean' },
+            prices: {
+                type: 'array',
+                items: { type: 'array' }
+            }
+        }
+    },
+    GetUGCFileDetails: {
+        type: 'object',
+        properties: {
+            data: {
+                type: 'object',
+                properties: {
+                    filename: { type: 'string' },
+                    url: { type: 'string' },
+                    size: { type: 'number' }
+                }
+            },
+            status: {
+                type: 'object',
+                properties: {
+                    code: { type: 'number' }
+                }
+            }
+        }
+    },
+    GetTradeHistory: {
+        type: 'object',
+        required: ['response'],
+        properties: {
+            response: {
+                type: 'object',
+                properties: {
+                    more: { type: 'boolean' },
+                    total_trades: { type: 'number' },
+                    trades: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['tradeid', 'time_init'],
+                            properties: {
+                                tradeid: { type: 'string' },
+                                steamid_other: { type: 'string' },
+                                time_init: { type: 'number' },
+                                status: { type: 'number' },
+                                assets_given: {
+                                    type: 'array',
+                                    items: TRADE_HISTORY_ASSET
+                                },
+                                assets_received: {
+                                    type: 'array',
+                                    items: TRADE_HISTORY_ASSET
+                                }
+                            }
+                        }
+                    },
+                    descriptions: {
+                        type: 'array',
+                        items: CLASSINFO
+                    }
+                }
+            }
+        }
+    },
+    GetTradeOffers: {
+        type: 'object',
+        required: ['response'],
+        properties: {
+            response: {
+                type: 'object',
+                properties: {
+                    trade_offers_sent: {
+                        type: 'array',
+                        items: TRADE_OFFER
+                    },
+                    trade_offers_received: {
+                        type: 'array',
+                        items: TRADE_OFFER
+                    },
+                    descriptions: {
+                        type: 'array',
+                        items: CLASSINFO
+                    },
+                    next_cursor: { type: 'number' }
+                }
+            }
+        }
+    },
+    GetTradeOffer: {
+        type: 'object',
+        required: ['response'],
+        properties: {
+            response: {
+                type: 'object',
+                properties: {
+                    offer: TRADE_OFFER,
+                    descriptions: {
+                        type: 'array',
+                        items: CLASSINFO
+                    }
+                }
+            }
+        }
+    },
+    GetTradeOffersSummary: {
+        type: 'object',
+        required: ['response'],
+        properties: {
+            response: {
+                type: 'object',
+                properties: {
+                    pending_received_count: { type: 'number' },
+                    new_received_count: { type: 'number' },
+                    updated_received_count: { type: 'number' },
+                    historical_received_count: { type: 'number' },
+                    pending_sent_count: { type: 'number' },
+                    newly_accepted_sent_count: { type: 'number' },
+                    updated_sent_count: { type: 'number' },
+                    historical_sent_count: { type: 'number' },
+                    escrow_received_count: { type: 'number' },
+                    escrow_sent_count: { type: 'number' }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Status codes Steam responds with for errors, keyed by the name of the endpoint. Each has the
+ * path of the status in the response, and the error for each code.
+ * @type {object.<string, object>}
+ */
+const STATUS_CODES = {
+    GetPlayerItems: {
+        path: 'result.status',
+        codes: {
+            8: {
+                error: SteamResponseError,
+                message: 'Steamid is invalid or missing.'
+            },
+            15: {
+                error: PrivateInventoryError,
+                message: 'Backpack is private.'
+            },
+            18: {
+                error: SteamNotFoundError,
+                message: 'Steamid does not exist.'
+            }
+        }
+    },
+    GetUGCFileDetails: {
+        path: 'status.code',
+        codes: {
+            9: {
+                error: SteamNotFoundError,
+                message: 'Given ID not found.'
+            }
+        }
+    }
+};
+
+module.exports = {
+    RESPONSE_SCHEMAS,
+    STATUS_CODES
+};
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const createSteamAPI = require('../index');
+const { generateDeclarations } = require('./webapi-declarations');
+
+/**
+ * Path of the bundled list of supported APIs.
+ * @private
+ * @type {string}
+ */
+const FILEPATH = path.join(__dirname, '..', 'supported-api-list.json');
+
+/**
+ * Path of the declarations for the bundled list of supported APIs.
+ * @private
+ * @type {string}
+ */
+const DECLARATIONS_FILEPATH = path.join(__dirname, '..', 'webapi-interfaces.d.ts');
+
+/**
+ * Replaces the bundled list of supported APIs with the current list from Steam, and regenerates
+ * its declarations. The key in the "STEAM_API_KEY" environment variable is sent if set, which
+ * also lists the interfaces which need a key, e.g. IEconService.
+ * @private
+ * @returns {Promise} Resolves once the files are written.
+ */
+async function main() {
+    const api = createSteamAPI(process.env.STEAM_API_KEY);
+    const apiList = await api.ISteamWebAPIUtil.GetSupportedAPIList({
+        timeout: 60000
+    });
+    
+    // sorted so that changes between snapshots are easy to review
+    apiList.apilist.interfaces.sort((a, b) => a.name.localeCompare(b.name));
+    
+    await fs.promises.writeFile(FILEPATH, JSON.stringify(apiList, null, 2) + '\n');
+    await fs.promises.writeFile(DECLARATIONS_FILEPATH, generateDeclarations(apiList));
+    
+    process.stdout.write(`Saved ${apiList.apilist.interfaces.length} interfaces to ${FILEPATH} and ${DECLARATIONS_FILEPATH}\n`);
+}
+
+main().catch((error) => {
+    process.stderr.write(`${error.name}: ${error.message}\n`);
+    process.exitCode = 1;
+});
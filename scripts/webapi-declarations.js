@@ -0,0 +1,144 @@
+'use strict';
+
+/**
+ * TypeScript types for the types of Web API parameters. Other types are declared as "any".
+ * @private
+ * @type {object.<string, string>}
+ */
+const PARAMETER_TYPES = {
+    bool: 'boolean',
+    string: 'string',
+    // 64-bit numbers are too large to be given as numbers
+    int64: 'string',
+    uint64: 'string',
+    fixed64: 'string',
+    int32: 'number | string',
+    uint32: 'number | string',
+    fixed32: 'number | string',
+    uint8: 'number | string',
+    float: 'number | string'
+};
+
+/**
+ * Pattern for the names of array parameters, e.g. "publishedfileids[0]".
+ * @private
+ * @type {RegExp}
+ */
+const ARRAY_PARAMETER_PATTERN = /^(.+)\[0\]$/;
+
+/**
+ * Header of the generated file.
+ * @private
+ * @type {string}
+ */
+const HEADER = [
+    '// Generated from supported-api-list.json by scripts/update-supported-api-list.js. Do not edit.',
+    'import { WebAPIMethodFunction } from \'./index\';',
+    '',
+    '/** Interfaces from the bundled list of supported APIs, with the parameters of each method. */'
+].join('\n');
+
+/**
+ * Gets a property name, quoted if it is not a valid identifier.
+ * @private
+ * @param {string} name - Name.
+ * @returns {string} Property name.
+ */
+function getPropertyName(name) {
+    return /^[A-Za-z_$][\w$]*$/.test(name) ? name : `'${name}'`;
+}
+
+/**
+ * Gets the declaration of a parameter, e.g. "steamid: string".
+ * @private
+ * @param {WebAPIParameter} parameter - Parameter.
+ * @returns {string} Declaration.
+ */
+function getParameterDeclaration(parameter) {
+    const match = parameter.name.match(ARRAY_PARAMETER_PATTERN);
+    const type = PARAMETER_TYPES[parameter.type] || 'any';
+    const optional = parameter.optional ? '?' : '';
+    
+    if (match) {
+        // arrays are given as arrays, see getMethodParams
+        const arrayType = type.includes('|') ? `Array<${type}>` : `${type}[]`;
+        
+        return `${getPropertyName(match[1])}${optional}: ${arrayType}`;
+    }
+    
+    return `${getPropertyName(parameter.name)}${optional}: ${type}`;
+}
+
+/**
+ * Gets the declaration of the parameters of a method, e.g. "{ steamid: string }".
+ * @private
+ * @param {WebAPIMethod} method - Method.
+ * @returns {string} Declaration.
+ */
+function getParametersDeclaration(method) {
+    const parameters = method.parameters
+        // the key is sent for every call
+        .filter(parameter => parameter.name !== 'key')
+        .map(getParameterDeclaration);
+    
+    if (parameters.length === 0) {
+        return '{}';
+    }
+    
+    return `{ ${parameters.join('; ')} }`;
+}
+
+/**
+ * Gets the declarations of the methods of an interface, one line for each method with all of
+ * its versions.
+ * @private
+ * @param {object} apiInterface - Interface from the list of supported APIs.
+ * @returns {string[]} Lines.
+ */
+function getMethodDeclarations(apiInterface) {
+    // methods are kept in the order they are listed
+    const versions = apiInterface.methods.reduce((versions, method) => {
+        (versions[method.name] = versions[method.name] || []).push(method);
+        
+        return versions;
+    }, {});
+    
+    return Object.entries(versions).map(([name, methods]) => {
+        // oldest first, so the last version is the latest
+        methods.sort((a, b) => a.version - b.version);
+        
+        const parameters = methods
+            .map(method => `v${method.version}: ${getParametersDeclaration(method)}`)
+            .join('; ');
+        const latest = methods[methods.length - 1].version;
+        
+        return `        ${getPropertyName(name)}: WebAPIMethodFunction<{ ${parameters} }, 'v${latest}'>;`;
+    });
+}
+
+/**
+ * Generates TypeScript declarations for the interfaces in a list of supported APIs.
+ * @param {SupportedAPIList} apiList - The list of supported APIs.
+ * @returns {string} Contents of "webapi-interfaces.d.ts".
+ */
+function generateDeclarations(apiList) {
+    const lines = apiList.apilist.interfaces.reduce((lines, apiInterface) => {
+        return lines.concat(
+            `    ${getPropertyName(apiInterface.name)}: {`,
+            getMethodDeclarations(apiInterface),
+            '    };'
+        );
+    }, []);
+    
+    return [
+        HEADER,
+        'export interface WebAPIInterfaces {',
+        ...lines,
+        '}',
+        ''
+    ].join('\n');
+}
+
+module.exports = {
+    generateDeclarations
+};
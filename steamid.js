@@ -0,0 +1,342 @@
+'use strict';
+
+const { InvalidSteamIDError } = require('./errors');
+
+/**
+ * Account types.
+ * @enum {number}
+ */
+const TYPE = {
+    INVALID: 0,
+    INDIVIDUAL: 1,
+    MULTISEAT: 2,
+    GAMESERVER: 3,
+    ANON_GAMESERVER: 4,
+    PENDING: 5,
+    CONTENT_SERVER: 6,
+    CLAN: 7,
+    CHAT: 8,
+    ANON_USER: 10
+};
+
+/**
+ * Letters used for each account type in Steam3 IDs.
+ * @private
+ * @type {object.<string, number>}
+ */
+const TYPE_LETTERS = {
+    I: TYPE.INVALID,
+    U: TYPE.INDIVIDUAL,
+    M: TYPE.MULTISEAT,
+    G: TYPE.GAMESERVER,
+    A: TYPE.ANON_GAMESERVER,
+    P: TYPE.PENDING,
+    C: TYPE.CONTENT_SERVER,
+    g: TYPE.CLAN,
+    T: TYPE.CHAT,
+    L: TYPE.CHAT,
+    c: TYPE.CHAT,
+    a: TYPE.ANON_USER
+};
+
+/**
+ * The public universe.
+ * @private
+ * @type {number}
+ */
+const UNIVERSE_PUBLIC = 1;
+
+/**
+ * The default instance for individual accounts.
+ * @private
+ * @type {number}
+ */
+const INSTANCE_DESKTOP = 1;
+
+/**
+ * The largest account id.
+ * @private
+ * @type {number}
+ */
+const MAX_ACCOUNTID = 0xFFFFFFFF;
+
+/**
+ * A parsed SteamID.
+ * @typedef {object} ParsedSteamID
+ * @property {number} universe - Universe.
+ * @property {number} type - Account type.
+ * @property {number} instance - Instance.
+ * @property {number} accountid - Account id.
+ */
+
+/**
+ * Creates a parsed SteamID for an individual account in the public universe.
+ * @private
+ * @param {number} accountid - Account id.
+ * @returns {ParsedSteamID} Parsed SteamID.
+ */
+function fromAccountID(accountid) {
+    return {
+        universe: UNIVERSE_PUBLIC,
+        type: TYPE.INDIVIDUAL,
+        instance: INSTANCE_DESKTOP,
+        accountid
+    };
+}
+
+/**
+ * Parses a 64-bit SteamID.
+ * @private
+ * @param {BigInt} value - 64-bit SteamID.
+ * @returns {ParsedSteamID} Parsed SteamID.
+ */
+function fromSteamID64(value) {
+    return {
+        universe: Number((value >> 56n) & 0xFFn),
+        type: Number((value >> 52n) & 0xFn),
+        instance: Number((value >> 32n) & 0xFFFFFn),
+        accountid: Number(value & 0xFFFFFFFFn)
+    };
+}
+
+/**
+ * Parses a numeric string as a 64-bit SteamID. Account ids are only accepted as numbers, as a
+ * small numeric string is more likely to be a mistake than an account id.
+ * @private
+ * @param {string} value - Numeric string.
+ * @param {*} input - The input being parsed, for errors.
+ * @returns {(ParsedSteamID|null)} Parsed SteamID, or null if the value is out of range.
+ * @throws {InvalidSteamIDError} If the value is small enough to be an account id.
+ */
+function fromNumericString(value, input) {
+    const number = BigInt(value);
+    
+    if (number <= BigInt(MAX_ACCOUNTID)) {
+        throw new InvalidSteamIDError('Numeric strings are read as 64-bit SteamIDs, pass account ids as numbers.', input);
+    }
+    
+    if (number > 0xFFFFFFFFFFFFFFFFn) {
+        return null;
+    }
+    
+    return fromSteamID64(number);
+}
+
+/**
+ * Parses a string in any of the supported formats.
+ * @private
+ * @param {string} input - Input.
+ * @returns {(ParsedSteamID|null)} Parsed SteamID, or null if the format is not recognized.
+ */
+function fromString(input) {
+    const value = input.trim();
+    let match;
+    
+    if (/^\d+$/.test(value)) {
+        return fromNumericString(value, input);
+    }
+    
+    // e.g. STEAM_0:1:12345
+    if (match = value.match(/^STEAM_([0-5]):([0-1]):(\d+)$/)) {
+        const [, universe, y, z] = match;
+        const accountid = parseInt(z) * 2 + parseInt(y);
+        
+        return {
+            // universe 0 is used by older games to mean the public universe
+            universe: parseInt(universe) || UNIVERSE_PUBLIC,
+            type: TYPE.INDIVIDUAL,
+            instance: INSTANCE_DESKTOP,
+            accountid
+        };
+    }
+    
+    // e.g. [U:1:24691] or U:1:24691
+    if (match = value.match(/^\[?([IUMGAPCgTLca]):([0-5]):(\d+)(?::(\d+))?\]?$/)) {
+        const [, letter, universe, accountid, instance] = match;
+        const type = TYPE_LETTERS[letter];
+        let defaultInstance = 0;
+        
+        if (type === TYPE.INDIVIDUAL) {
+            defaultInstance = INSTANCE_DESKTOP;
+        }
+        
+        return {
+            universe: parseInt(universe),
+            type,
+            instance: instance !== undefined ? parseInt(instance) : defaultInstance,
+            accountid: parseInt(accountid)
+        };
+    }
+    
+    // e.g. https://steamcommunity.com/profiles/76561197960287930
+    if (match = value.match(/^(?:https?:\/\/)?(?:www\.)?steamcommunity\.com\/profiles\/(\d+)\/?(?:[?#].*)?$/)) {
+        return fromNumericString(match[1], input);
+    }
+    
+    if (/^(?:https?:\/\/)?(?:www\.)?steamcommunity\.com\/id\//.test(value)) {
+        throw new InvalidSteamIDError('Vanity URLs must be resolved, e.g. using resolveVanityURL.', input);
+    }
+    
+    return null;
+}
+
+/**
+ * Parses a SteamID in any format.
+ *
+ * Accepted formats are 64-bit SteamIDs (as a string or BigInt), Steam2 IDs (STEAM_0:1:12345),
+ * Steam3 IDs ([U:1:24691]), account ids (as a number), and profile URLs
+ * (steamcommunity.com/profiles/...). Numeric strings and BigInts are always read as 64-bit
+ * SteamIDs, so "22202" is rejected rather than read as an account id.
+ * @param {(string|number|BigInt|ParsedSteamID)} input - SteamID.
+ * @returns {ParsedSteamID} Parsed SteamID.
+ * @throws {InvalidSteamIDError} If the input is not a valid SteamID.
+ */
+function parse(input) {
+    let parsed = null;
+    
+    if (typeof input === 'string') {
+        parsed = fromString(input);
+    } else if (typeof input === 'bigint') {
+        parsed = fromNumericString(input.toString(), input);
+    } else if (typeof input === 'number') {
+        if (!Number.isSafeInteger(input) || input < 0) {
+            throw new InvalidSteamIDError('Number is not a safe integer, pass 64-bit SteamIDs as strings.', input);
+        }
+        
+        if (input > MAX_ACCOUNTID) {
+            throw new InvalidSteamIDError('Number is too large to be an account id, pass 64-bit SteamIDs as strings.', input);
+        }
+        
+        parsed = fromAccountID(input);
+    } else if (input && typeof input === 'object' && input.accountid !== undefined) {
+        parsed = {
+            universe: UNIVERSE_PUBLIC,
+            type: TYPE.INDIVIDUAL,
+            instance: INSTANCE_DESKTOP,
+            ...input
+        };
+    }
+    
+    if (!parsed) {
+        throw new InvalidSteamIDError('Not a recognized SteamID format.', input);
+    }
+    
+    const isValidSteamID = Boolean(
+        parsed.type !== TYPE.INVALID &&
+        parsed.universe > 0 &&
+        parsed.universe <= 5 &&
+        parsed.accountid >= 0 &&
+        parsed.accountid <= MAX_ACCOUNTID &&
+        Object.values(TYPE).includes(parsed.type) &&
+        (
+            // individual accounts must have an account id and an instance of at most 4
+            parsed.type !== TYPE.INDIVIDUAL ||
+            (parsed.accountid !== 0 && parsed.instance <= 4)
+        )
+    );
+    
+    if (!isValidSteamID) {
+        throw new InvalidSteamIDError('Not a valid SteamID.', input);
+    }
+    
+    return parsed;
+}
+
+/**
+ * Checks whether the input is a valid SteamID in any format accepted by parse.
+ * @param {*} input - SteamID.
+ * @returns {boolean} Whether the input is valid.
+ */
+function isValid(input) {
+    try {
+        parse(input);
+        
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Converts a SteamID to a 64-bit SteamID.
+ * @param {(string|number|BigInt|ParsedSteamID)} input - SteamID.
+ * @returns {string} 64-bit SteamID, e.g. "76561197960287930".
+ * @throws {InvalidSteamIDError} If the input is not a valid SteamID.
+ */
+function toSteamID64(input) {
+    const { universe, type, instance, accountid } = parse(input);
+    const value = (
+        (BigInt(universe) << 56n) |
+        (BigInt(type) << 52n) |
+        (BigInt(instance) << 32n) |
+        BigInt(accountid)
+    );
+    
+    return value.toString();
+}
+
+/**
+ * Converts a SteamID to a Steam2 ID. Only individual accounts have Steam2 IDs.
+ * @param {(string|number|BigInt|ParsedSteamID)} input - SteamID.
+ * @param {boolean} [newerFormat=false] - Use the actual universe instead of 0, e.g. "STEAM_1:0:11101".
+ * @returns {string} Steam2 ID, e.g. "STEAM_0:0:11101".
+ * @throws {InvalidSteamIDError} If the input is not a valid SteamID for an individual account.
+ */
+function toSteam2(input, newerFormat = false) {
+    const { universe, type, accountid } = parse(input);
+    
+    if (type !== TYPE.INDIVIDUAL) {
+        throw new InvalidSteamIDError('Only individual accounts can be converted to Steam2 IDs.', input);
+    }
+    
+    const x = newerFormat ? universe : 0;
+    const y = accountid % 2;
+    const z = Math.floor(accountid / 2);
+    
+    return `STEAM_${x}:${y}:${z}`;
+}
+
+/**
+ * Converts a SteamID to a Steam3 ID.
+ * @param {(string|number|BigInt|ParsedSteamID)} input - SteamID.
+ * @returns {string} Steam3 ID, e.g. "[U:1:22202]".
+ * @throws {InvalidSteamIDError} If the input is not a valid SteamID.
+ */
+function toSteam3(input) {
+    const { universe, type, instance, accountid } = parse(input);
+    const letter = Object.keys(TYPE_LETTERS).find((letter) => {
+        return TYPE_LETTERS[letter] === type;
+    });
+    // the instance is only shown when it differs from the default
+    const showInstance = Boolean(
+        type === TYPE.ANON_GAMESERVER ||
+        type === TYPE.MULTISEAT ||
+        (type === TYPE.INDIVIDUAL && instance !== INSTANCE_DESKTOP)
+    );
+    
+    if (showInstance) {
+        return `[${letter}:${universe}:${accountid}:${instance}]`;
+    }
+    
+    return `[${letter}:${universe}:${accountid}]`;
+}
+
+/**
+ * Gets the account id from a SteamID.
+ * @param {(string|number|BigInt|ParsedSteamID)} input - SteamID.
+ * @returns {number} Account id, e.g. 22202.
+ * @throws {InvalidSteamIDError} If the input is not a valid SteamID.
+ */
+function toAccountID(input) {
+    return parse(input).accountid;
+}
+
+module.exports = {
+    TYPE,
+    parse,
+    isValid,
+    toSteamID64,
+    toSteam2,
+    toSteam3,
+    toAccountID
+};
@@ -0,0 +1,69 @@
+import { expectAssignable, expectError, expectType } from 'tsd';
+import createSteamAPI = require('..');
+
+const {
+    SteamID,
+    TradeOfferState,
+    Currency,
+    SteamRateLimitError,
+    InvalidSteamIDError,
+    MissingParameterError,
+    parsePrice,
+    createMemoryCache,
+    createReplayTransport
+} = createSteamAPI;
+
+const steam = createSteamAPI('key', {
+    cache: createMemoryCache({ max: 100, ttl: 60000 }),
+    transport: createReplayTransport('./fixtures'),
+    rateLimits: { api: false }
+});
+
+expectType<createSteamAPI.SteamAPI>(steam);
+expectError(createSteamAPI());
+expectError(createSteamAPI('key', { validate: 'yes' }));
+
+// factory exports
+expectType<string>(SteamID.toSteamID64('[U:1:22202]'));
+expectType<number>(SteamID.toAccountID('76561197960287930'));
+expectAssignable<number>(TradeOfferState.Accepted);
+expectAssignable<number>(Currency.EUR);
+expectType<number | null>(parsePrice('$1.23'));
+expectAssignable<Error>(new InvalidSteamIDError('Invalid.', 'x'));
+expectType<string[]>(new MissingParameterError('Missing.', ['steamid']).parameters);
+expectType<number | undefined>(new SteamRateLimitError('Slow down.').retryAfter);
+expectAssignable<createSteamAPI.SteamAPIError>(new SteamRateLimitError('Slow down.'));
+
+(async () => {
+    // methods and responses
+    const summaries = await steam.getPlayerSummaries(['76561197960287930']);
+    
+    expectType<string[]>(summaries.missing);
+    expectType<string>(summaries.players['76561197960287930'].personaname);
+    expectType<string>(await steam.resolveVanityURL('rabscuttle'));
+    expectType<createSteamAPI.ClassInfoContainer>(await steam.getAssetClassInfos('440', ['1', { classid: '2', instanceid: '0' }]));
+    expectType<createSteamAPI.Backpack<createSteamAPI.BackpackItem>>(await steam.getBackpack('440', '76561197960287930'));
+    expectType<createSteamAPI.Backpack<createSteamAPI.NormalizedItem>>(await steam.getBackpack('440', '76561197960287930', { normalize: true }));
+    expectType<createSteamAPI.Inventory>(await steam.getInventory('730', '2', '76561197960287930'));
+    expectType<createSteamAPI.NormalizedItem[]>(await steam.getInventory('730', '2', '76561197960287930', { normalize: true }));
+    expectType<AsyncIterableIterator<createSteamAPI.Inventory>>(steam.getInventoryPages('730', '2', '76561197960287930'));
+    expectType<createSteamAPI.InventoryValue>(await steam.valueInventory([], { currency: Currency.EUR }));
+    expectType<createSteamAPI.PriceHistoryPoint[]>(await steam.getPriceHistory('440', 'Mann Co. Supply Crate Key', { cookies: { steamLoginSecure: 'x' } }));
+    expectType<createSteamAPI.QueueLength>(steam.getQueueLength());
+    expectType<createSteamAPI.InventoryWatcher<createSteamAPI.InventoryItem>>(steam.watchInventory('730', '2', '76561197960287930', { signal: new AbortController().signal }));
+    expectType<createSteamAPI.TradeOffersResponse<createSteamAPI.CombinedTradeOfferItem>>(await steam.getTradeOffers({ combine_descriptions: true }));
+    
+    // signal and timeout are accepted by every method
+    await steam.getSchemaURL('440', { signal: new AbortController().signal, timeout: 1000 });
+    expectError(steam.getSchemaURL('440', { timeout: '1s' }));
+    expectError(steam.getBackpack('440'));
+    
+    // web api methods
+    await steam.ISteamUser.GetFriendList({ steamid: '76561197960287930' });
+    await steam.ISteamUser.GetPlayerSummaries.v1({ steamids: '76561197960287930' });
+    expectError(steam.ISteamUser.GetFriendList());
+    expectError(steam.ISteamUser.GetFriendList({ relationship: 'friend' }));
+    await steam.IEconService.DeclineTradeOffer({ tradeofferid: '1', retry: true });
+    await steam.IEconService.DeclineTradeOffer({ tradeofferid: '1', retry: { maxAttempts: 2 } });
+    expectError(steam.IEconService.DeclineTradeOffer({ tradeofferid: '1', retry: 'yes' }));
+});
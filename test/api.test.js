@@ -0,0 +1,1237 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const createSteamAPI = require('../index');
+const { sleep } = require('../utils');
+
+const {
+    createStubServer,
+    createMemoryCache,
+    createFileCache,
+    Currency,
+    InvalidSteamIDError,
+    PrivateInventoryError,
+    SteamHTTPError,
+    SteamNotFoundError,
+    SteamRateLimitError,
+    SteamResponseError,
+    SteamValidationError,
+    TradeOfferState
+} = createSteamAPI;
+const STEAMID = '76561197960287930';
+const SUMMARIES_PATH = '/ISteamUser/GetPlayerSummaries/v0002/';
+const SUMMARIES_RESPONSE = {
+    response: {
+        players: [{ steamid: STEAMID, personaname: 'Rabscuttle' }]
+    }
+};
+
+/**
+ * Creates a route which gives each response in turn, then the last response for every request
+ * after. The time of each request is added to "times".
+ * @param {object[]} responses - Stub responses.
+ * @returns {function} Route.
+ */
+function createSequenceRoute(responses) {
+    const route = () => {
+        route.times.push(Date.now());
+        
+        return responses[Math.min(route.times.length, responses.length) - 1];
+    };
+    
+    route.times = [];
+    
+    return route;
+}
+
+/**
+ * Creates an inventory page with the given assetids.
+ * @param {number[]} assetids - Assetids.
+ * @returns {object} Inventory response.
+ */
+function createInventoryPage(assetids) {
+    return {
+        success: 1,
+        total_inventory_count: 5,
+        assets: assetids.map((assetid) => {
+            return {
+                appid: 730,
+                contextid: '2',
+                assetid: String(assetid),
+                classid: `c${assetid % 2}`,
+                instanceid: '0',
+                amount: '1'
+            };
+        }),
+        descriptions: [0, 1].map((i) => {
+            return {
+                appid: 730,
+                classid: `c${i}`,
+                instanceid: '0',
+                market_hash_name: `Item ${i}`
+            };
+        })
+    };
+}
+
+describe('SteamAPI', () => {
+    let server;
+    let routes;
+    let steam;
+    
+    beforeAll(async () => {
+        routes = {};
+        server = await createStubServer({ routes });
+    });
+    
+    beforeEach(() => {
+        Object.keys(routes).forEach(key => delete routes[key]);
+        server.requests.length = 0;
+        steam = createSteamAPI('SECRET', {
+            ...server.apiOptions,
+            retry: { maxAttempts: 1 }
+        });
+    });
+    
+    afterAll(async () => {
+        await server.close();
+    });
+    
+    describe('getInventory', () => {
+        it('follows pages using last_assetid', async () => {
+            routes['/inventory/'] = (request) => {
+                const pages = {
+                    undefined: { ...createInventoryPage([1, 2]), more_items: 1, last_assetid: '2' },
+                    2: { ...createInventoryPage([3, 4]), more_items: 1, last_assetid: '4' },
+                    4: createInventoryPage([5])
+                };
+                
+                return { json: pages[request.query.start_assetid] };
+            };
+            
+            const items = await steam.getInventory('730', '2', STEAMID, { count: 2 });
+            
+            expect(items.map(item => item.assetid)).toEqual(['1', '2', '3', '4', '5']);
+            expect(items[0].market_hash_name).toBe('Item 1');
+            expect(items[1].market_hash_name).toBe('Item 0');
+            expect(server.requests.map(request => request.query.start_assetid)).toEqual([undefined, '2', '4']);
+            expect(server.requests[0].url.pathname).toBe(`/inventory/${STEAMID}/730/2`);
+            expect(server.requests[0].query.count).toBe('2');
+        });
+        
+        it('yields each page from getInventoryPages', async () => {
+            routes['/inventory/'] = (request) => {
+                if (request.query.start_assetid) {
+                    return { json: createInventoryPage([3]) };
+                }
+                
+                return { json: { ...createInventoryPage([1, 2]), more_items: 1, last_assetid: '2' } };
+            };
+            
+            const pages = [];
+            
+            for await (const items of steam.getInventoryPages('730', '2', STEAMID, { normalize: true })) {
+                pages.push(items.map(item => item.id));
+            }
+            
+            expect(pages).toEqual([['1', '2'], ['3']]);
+        });
+    });
+    
+    describe('getPlayerSummaries', () => {
+        // 64-bit steamids for account ids 1 to 150
+        const STEAMIDS = Array.from({ length: 150 }, (value, i) => String(76561197960265729n + BigInt(i)));
+        
+        beforeEach(() => {
+            routes[SUMMARIES_PATH] = (request) => {
+                const players = request.query.steamids
+                    .split(',')
+                    // the last steamid has no profile
+                    .filter(steamid => steamid !== STEAMIDS[149])
+                    .map(steamid => ({ steamid, personaname: `Player ${steamid}` }));
+                
+                return { json: { response: { players } } };
+            };
+        });
+        
+        it('requests steamids in chunks of 100', async () => {
+            const { players } = await steam.getPlayerSummaries(STEAMIDS);
+            
+            expect(Object.keys(players)).toHaveLength(149);
+            expect(players[STEAMIDS[120]].personaname).toBe(`Player ${STEAMIDS[120]}`);
+            expect(server.requests.map(request => request.query.steamids.split(',').length)).toEqual([100, 50]);
+            expect(server.requests[1].query.steamids.split(',')[0]).toBe(STEAMIDS[100]);
+        });
+        
+        it('requests each steamid once', async () => {
+            // the same steamid as a 64-bit steamid, an account id and a steam3 id
+            const { players } = await steam.getPlayerSummaries([STEAMIDS[0], 1, '[U:1:1]', STEAMIDS[1], STEAMIDS[0]]);
+            
+            expect(Object.keys(players)).toEqual([STEAMIDS[0], STEAMIDS[1]]);
+            expect(server.requests).toHaveLength(1);
+            expect(server.requests[0].query.steamids).toBe(`${STEAMIDS[0]},${STEAMIDS[1]}`);
+        });
+        
+        it('lists the steamids with no player summary as missing', async () => {
+            const { players, missing } = await steam.getPlayerSummaries(`${STEAMIDS[0]},${STEAMIDS[149]}`);
+            
+            expect(Object.keys(players)).toEqual([STEAMIDS[0]]);
+            expect(missing).toEqual([STEAMIDS[149]]);
+        });
+        
+        it('throws for a format other than json', async () => {
+            await expect(steam.getPlayerSummaries([STEAMID], 'xml')).rejects.toThrow('Format "xml" is not supported');
+            expect(server.requests).toHaveLength(0);
+        });
+    });
+    
+    describe('getInventories', () => {
+        const PRIVATE_STEAMID = '76561197960287931';
+        
+        /**
+         * Creates an inventory target.
+         * @param {string} steamid - Steamid.
+         * @returns {object} Target.
+         */
+        function createTarget(steamid) {
+            return { steamid, appid: '730', contextid: '2' };
+        }
+        
+        beforeEach(() => {
+            routes['/inventory/'] = (request) => {
+                if (request.url.pathname.includes(PRIVATE_STEAMID)) {
+                    // private inventories respond with null
+                    return { json: null };
+                }
+                
+                return { json: createInventoryPage([1, 2, 3]) };
+            };
+        });
+        
+        it('keeps the error of each target which fails', async () => {
+            const { results } = await steam.getInventories([
+                createTarget(STEAMID),
+                createTarget(PRIVATE_STEAMID),
+                createTarget('not a steamid')
+            ]);
+            
+            expect(results.map(result => result.target.steamid)).toEqual([STEAMID, PRIVATE_STEAMID, 'not a steamid']);
+            expect(results[0].items).toHaveLength(3);
+            expect(results[0].error).toBeUndefined();
+            expect(results[1].error).toBeInstanceOf(PrivateInventoryError);
+            expect(results[2].error).toBeInstanceOf(InvalidSteamIDError);
+            // nothing is requested for the invalid steamid
+            expect(server.requests).toHaveLength(2);
+        });
+        
+        it('fetches no more than concurrency targets at the same time', async () => {
+            let active = 0;
+            let maxActive = 0;
+            
+            routes['/inventory/'] = async () => {
+                active += 1;
+                maxActive = Math.max(maxActive, active);
+                await sleep(20);
+                active -= 1;
+                
+                return { json: createInventoryPage([1]) };
+            };
+            
+            const { results } = await steam.getInventories([1, 2, 3, 4, 5].map(() => createTarget(STEAMID)), {
+                concurrency: 2
+            });
+            
+            expect(results).toHaveLength(5);
+            expect(maxActive).toBe(2);
+        });
+        
+        it('rejects the whole call when aborted', async () => {
+            const controller = new AbortController();
+            
+            routes['/inventory/'] = async () => {
+                await sleep(100);
+                
+                return { json: createInventoryPage([1]) };
+            };
+            setTimeout(() => controller.abort(), 20);
+            
+            await expect(steam.getInventories([createTarget(STEAMID), createTarget(STEAMID)], {
+                signal: controller.signal
+            })).rejects.toBeInstanceOf(createSteamAPI.SteamAbortError);
+        });
+        
+        it('counts the items of every target by market hash name', async () => {
+            routes['/IEconItems_440/GetPlayerItems/v0001/'] = {
+                result: { status: 1, items: [{ id: 1, original_id: 1, defindex: 5021, quality: 6 }] }
+            };
+            
+            const { combined } = await steam.getInventories([
+                createTarget(STEAMID),
+                createTarget(PRIVATE_STEAMID),
+                createTarget(STEAMID),
+                { steamid: STEAMID, appid: '440', backpack: true }
+            ]);
+            
+            // assets 1 and 3 are "Item 1", asset 2 is "Item 0"
+            expect(combined).toEqual({
+                'Item 0': { market_hash_name: 'Item 0', count: 2 },
+                'Item 1': { market_hash_name: 'Item 1', count: 4 }
+            });
+        });
+    });
+    
+    describe('getAssetClassInfos', () => {
+        /**
+         * Responds to GetAssetClassInfo with a classinfo for every classid requested. Classes
+         * requested with an instanceid are keyed by "classid_instanceid", as Steam does.
+         * @param {object} request - Stub request.
+         * @returns {object} Response.
+         */
+        function respondWithClassInfos(request) {
+            const result = { success: true };
+            
+            for (let i = 0; i < parseInt(request.query.class_count); i++) {
+                const classid = request.query[`classid${i}`];
+                const instanceid = request.query[`instanceid${i}`];
+                const key = instanceid === undefined ? classid : `${classid}_${instanceid}`;
+                
+                result[key] = {
+                    classid,
+                    instanceid,
+                    name: `Class ${key}`
+                };
+            }
+            
+            return { json: { result } };
+        }
+        
+        it('requests classids in chunks of 20', async () => {
+            const classids = Array.from({ length: 45 }, (value, i) => String(1000 + i));
+            
+            routes['/ISteamEconomy/GetAssetClassInfo/v0001'] = respondWithClassInfos;
+            
+            const classinfos = await steam.getAssetClassInfos('440', classids.concat(classids.slice(0, 5)));
+            
+            expect(Object.keys(classinfos).sort()).toEqual(classids);
+            expect(classinfos['1044'].name).toBe('Class 1044');
+            expect(server.requests.map(request => request.query.class_count)).toEqual(['20', '20', '5']);
+            expect(server.requests[1].query.classid0).toBe('1020');
+            expect(server.requests[2].query.classid4).toBe('1044');
+        });
+        
+        it('only requests classids which are not cached', async () => {
+            routes['/ISteamEconomy/GetAssetClassInfo/v0001'] = respondWithClassInfos;
+            steam = createSteamAPI('SECRET', {
+                ...server.apiOptions,
+                cache: createMemoryCache()
+            });
+            
+            await steam.getAssetClassInfos('440', ['1', '2']);
+            
+            const classinfos = await steam.getAssetClassInfos('440', ['1', '2', '3']);
+            
+            expect(Object.keys(classinfos).sort()).toEqual(['1', '2', '3']);
+            expect(server.requests.map(request => request.query.class_count)).toEqual(['2', '1']);
+            expect(server.requests[1].query.classid0).toBe('3');
+        });
+        
+        it('keeps the chunks which succeeded when a chunk fails', async () => {
+            const classids = Array.from({ length: 20 }, (value, i) => String(1000 + i));
+            
+            routes['/ISteamEconomy/GetAssetClassInfo/v0001'] = (request) => {
+                if (request.query.classid0 === 'fail') {
+                    return { statusCode: 500, json: {} };
+                }
+                
+                return respondWithClassInfos(request);
+            };
+            steam = createSteamAPI('SECRET', {
+                ...server.apiOptions,
+                retry: { maxAttempts: 1 },
+                cache: createMemoryCache()
+            });
+            
+            await expect(steam.getAssetClassInfos('440', classids.concat('fail'))).rejects.toBeInstanceOf(SteamHTTPError);
+            
+            server.requests.length = 0;
+            routes['/ISteamEconomy/GetAssetClassInfo/v0001'] = respondWithClassInfos;
+            
+            const classinfos = await steam.getAssetClassInfos('440', classids.concat('fail'));
+            
+            expect(Object.keys(classinfos)).toHaveLength(21);
+            expect(server.requests).toHaveLength(1);
+            expect(server.requests[0].query.class_count).toBe('1');
+            expect(server.requests[0].query.classid0).toBe('fail');
+        });
+        
+        it('sends instanceids and keys their classinfos by classid and instanceid', async () => {
+            routes['/ISteamEconomy/GetAssetClassInfo/v0001'] = respondWithClassInfos;
+            
+            const classinfos = await steam.getAssetClassInfos('440', [
+                '1',
+                { classid: '2', instanceid: '11' },
+                { classid: '2', instanceid: '12' }
+            ]);
+            
+            expect(Object.keys(classinfos).sort()).toEqual(['1', '2_11', '2_12']);
+            expect(classinfos['2_12'].name).toBe('Class 2_12');
+            expect(server.requests[0].query).toMatchObject({
+                class_count: '3',
+                classid0: '1',
+                classid1: '2',
+                instanceid1: '11',
+                classid2: '2',
+                instanceid2: '12'
+            });
+            expect(server.requests[0].query.instanceid0).toBeUndefined();
+        });
+        
+        it('does not use a cached classinfo for a different instanceid', async () => {
+            routes['/ISteamEconomy/GetAssetClassInfo/v0001'] = respondWithClassInfos;
+            steam = createSteamAPI('SECRET', {
+                ...server.apiOptions,
+                cache: createMemoryCache()
+            });
+            
+            await steam.getAssetClassInfos('440', ['2', { classid: '2', instanceid: '11' }]);
+            
+            const classinfos = await steam.getAssetClassInfos('440', [
+                '2',
+                { classid: '2', instanceid: '11' },
+                { classid: '2', instanceid: '12' }
+            ]);
+            
+            expect(classinfos['2_11'].name).toBe('Class 2_11');
+            expect(classinfos['2_12'].name).toBe('Class 2_12');
+            expect(server.requests).toHaveLength(2);
+            expect(server.requests[1].query).toMatchObject({
+                class_count: '1',
+                classid0: '2',
+                instanceid0: '12'
+            });
+        });
+        
+        it('resolves with the classinfos when the cache cannot be written', async () => {
+            routes['/ISteamEconomy/GetAssetClassInfo/v0001'] = respondWithClassInfos;
+            steam = createSteamAPI('SECRET', {
+                ...server.apiOptions,
+                // the directory does not exist, so every write fails
+                cache: createFileCache(path.join(os.tmpdir(), `steam-missing-${process.pid}`, 'classinfos.json'), {
+                    delay: 0
+                })
+            });
+            
+            const classinfos = await steam.getAssetClassInfos('440', ['1', '2']);
+            
+            expect(Object.keys(classinfos).sort()).toEqual(['1', '2']);
+            
+            const classinfo = await steam.getAssetClassInfo('440', '3');
+            
+            expect(classinfo.name).toBe('Class 3');
+        });
+    });
+    
+    describe('getSchema', () => {
+        beforeEach(() => {
+            routes['/IEconItems_440/GetSchemaItems/v0001/'] = (request) => {
+                const pages = {
+                    undefined: { status: 1, items: [{ defindex: 0 }, { defindex: 1 }], next: 2 },
+                    2: { status: 1, items: [{ defindex: 2 }, { defindex: 5000 }], next: 5001 },
+                    5001: { status: 1, items: [{ defindex: 5001 }] }
+                };
+                
+                return { json: { result: pages[request.query.start] } };
+            };
+            routes['/IEconItems_440/GetSchemaOverview/v0001/'] = {
+                result: {
+                    status: 1,
+                    qualities: { Normal: 0 },
+                    qualityNames: { Normal: 'Normal' }
+                }
+            };
+        });
+        
+        it('follows next across schema item pages', async () => {
+            const items = await steam.getSchemaItems('440', { language: 'fr' });
+            
+            expect(items.map(item => item.defindex)).toEqual([0, 1, 2, 5000, 5001]);
+            expect(server.requests.map(request => request.query.start)).toEqual([undefined, '2', '5001']);
+            expect(server.requests.map(request => request.query.language)).toEqual(['fr', 'fr', 'fr']);
+        });
+        
+        it('merges the items from every page with the overview', async () => {
+            const schema = await steam.getSchema('440');
+            
+            expect(schema).toEqual({
+                qualities: { Normal: 0 },
+                qualityNames: { Normal: 'Normal' },
+                items: [0, 1, 2, 5000, 5001].map(defindex => ({ defindex }))
+            });
+            expect(server.requests.map(request => request.url.pathname)).toEqual([
+                '/IEconItems_440/GetSchemaOverview/v0001/',
+                '/IEconItems_440/GetSchemaItems/v0001/',
+                '/IEconItems_440/GetSchemaItems/v0001/',
+                '/IEconItems_440/GetSchemaItems/v0001/'
+            ]);
+        });
+    });
+    
+    describe('resolveVanityURL', () => {
+        beforeEach(() => {
+            routes['/ISteamUser/ResolveVanityURL/v0001/'] = {
+                response: { success: 1, steamid: STEAMID }
+            };
+        });
+        
+        it('keeps results in the default profile cache for 5 minutes', async () => {
+            const now = Date.now();
+            const spy = jest.spyOn(Date, 'now');
+            
+            try {
+                spy.mockReturnValue(now);
+                
+                expect(await steam.resolveVanityURL('rabscuttle')).toBe(STEAMID);
+                expect(await steam.resolveVanityURL('Rabscuttle')).toBe(STEAMID);
+                expect(server.requests).toHaveLength(1);
+                
+                spy.mockReturnValue(now + 5 * 60 * 1000);
+                
+                expect(await steam.resolveVanityURL('rabscuttle')).toBe(STEAMID);
+                expect(server.requests).toHaveLength(2);
+            } finally {
+                spy.mockRestore();
+            }
+        });
+    });
+    
+    describe('getPriceHistory', () => {
+        it('sends the cookies of a session', async () => {
+            routes['/market/pricehistory/'] = {
+                success: true,
+                prices: [
+                    ['Nov 27 2013 01: +0', 2.5, '1,234'],
+                    ['Nov 28 2013 01: +0', 2.499, '12']
+                ]
+            };
+            
+            const history = await steam.getPriceHistory('440', 'Mann Co. Supply Crate Key', {
+                cookies: { steamLoginSecure: 'abc', sessionid: 'def' },
+                headers: { 'accept-language': 'en' },
+                currency: Currency.EUR
+            });
+            
+            expect(history).toEqual([
+                { date: new Date('2013-11-27T01:00:00Z'), price: 250, volume: 1234 },
+                { date: new Date('2013-11-28T01:00:00Z'), price: 250, volume: 12 }
+            ]);
+            expect(server.requests[0].headers.cookie).toBe('steamLoginSecure=abc; sessionid=def');
+            expect(server.requests[0].headers['accept-language']).toBe('en');
+            expect(server.requests[0].query).toEqual({
+                currency: '3',
+                appid: '440',
+                market_hash_name: 'Mann Co. Supply Crate Key'
+            });
+        });
+        
+        it('sends cookies given as a header value', async () => {
+            routes['/market/pricehistory/'] = { success: true, prices: [] };
+            
+            await steam.getPriceHistory('440', 'Mann Co. Supply Crate Key', {
+                cookies: 'steamLoginSecure=abc'
+            });
+            
+            expect(server.requests[0].headers.cookie).toBe('steamLoginSecure=abc');
+        });
+        
+        it('rejects without a session', async () => {
+            // this is what Steam gives when not logged in
+            routes['/market/pricehistory/'] = [];
+            
+            await expect(steam.getPriceHistory('440', 'Mann Co. Supply Crate Key')).rejects.toBeInstanceOf(SteamResponseError);
+            expect(server.requests[0].headers.cookie).toBeUndefined();
+        });
+    });
+    
+    describe('valueInventory', () => {
+        const PRICES = {
+            'Key': { success: true, lowest_price: '$2.50', median_price: '$2.45', volume: '1,000' },
+            'Crate': { success: true, median_price: '$0.05' },
+            'Broken': { success: false }
+        };
+        
+        /**
+         * Creates an inventory item.
+         * @param {string} market_hash_name - Market hash name.
+         * @param {object} [properties] - Other properties.
+         * @returns {object} Item.
+         */
+        function createItem(market_hash_name, properties) {
+            return {
+                appid: 440,
+                market_hash_name,
+                marketable: 1,
+                amount: '1',
+                ...properties
+            };
+        }
+        
+        beforeEach(() => {
+            routes['/market/priceoverview/'] = (request) => {
+                return { json: PRICES[request.query.market_hash_name] };
+            };
+        });
+        
+        it('prices each distinct item once', async () => {
+            const items = [
+                createItem('Key'),
+                createItem('Key', { amount: '3' }),
+                createItem('Crate'),
+                createItem('Untradable', { marketable: 0 }),
+                { ...createItem('Key'), marketable: true, quantity: 2, amount: undefined }
+            ];
+            const value = await steam.valueInventory(items, { currency: Currency.GBP });
+            
+            expect(value.total).toBe(250 * 6 + 5);
+            expect(value.currency).toBe(Currency.GBP);
+            expect(value.skipped).toBe(1);
+            expect(value.items).toEqual([
+                { appid: 440, market_hash_name: 'Key', quantity: 6, price: 250, total: 1500 },
+                { appid: 440, market_hash_name: 'Crate', quantity: 1, price: 5, total: 5 }
+            ]);
+            expect(server.requests.map(request => request.query.market_hash_name)).toEqual(['Key', 'Crate']);
+            expect(server.requests[0].query.currency).toBe('2');
+        });
+        
+        it('uses the median price when asked', async () => {
+            const value = await steam.valueInventory([createItem('Key')], { price: 'median' });
+            
+            expect(value.total).toBe(245);
+        });
+        
+        it('keeps the error of an item which could not be priced', async () => {
+            const value = await steam.valueInventory([createItem('Broken'), createItem('Key')]);
+            
+            expect(value.total).toBe(250);
+            expect(value.items[0].price).toBeNull();
+            expect(value.items[0].total).toBe(0);
+            expect(value.items[0].error).toBeInstanceOf(SteamResponseError);
+        });
+        
+        it('rejects the whole call when aborted', async () => {
+            const controller = new AbortController();
+            
+            controller.abort();
+            
+            await expect(steam.valueInventory([createItem('Key')], { signal: controller.signal })).rejects.toBeInstanceOf(createSteamAPI.SteamAbortError);
+        });
+    });
+    
+    describe('getTradeHistoryPages', () => {
+        const TRADE_HISTORY_PATH = '/IEconService/GetTradeHistory/v1/';
+        
+        /**
+         * Creates a trade.
+         * @param {number} time - Time of trade.
+         * @param {string} classid - Classid of the item received.
+         * @returns {object} Trade.
+         */
+        function createTrade(time, classid) {
+            return {
+                tradeid: `t${time}`,
+                time_init: time,
+                assets_received: [{ appid: 440, classid, instanceid: '0', assetid: `a${time}` }]
+            };
+        }
+        
+        /**
+         * Creates a description.
+         * @param {string} classid - Classid.
+         * @returns {object} Description.
+         */
+        function createDescription(classid) {
+            return { appid: 440, classid, instanceid: '0', market_hash_name: `Item ${classid}` };
+        }
+        
+        beforeEach(() => {
+            // newest first, as Steam gives them
+            const pages = {
+                undefined: {
+                    trades: [createTrade(500, '1'), createTrade(400, '2')],
+                    descriptions: [createDescription('1'), createDescription('2')],
+                    more: true
+                },
+                t400: {
+                    trades: [createTrade(300, '1'), createTrade(200, '3')],
+                    descriptions: [createDescription('1'), createDescription('3')],
+                    more: true
+                },
+                t200: {
+                    trades: [createTrade(100, '3')],
+                    descriptions: [createDescription('3')],
+                    more: false
+                }
+            };
+            
+            routes[TRADE_HISTORY_PATH] = (request) => {
+                return { json: { response: pages[request.query.start_after_tradeid] } };
+            };
+        });
+        
+        it('starts each page after the last trade of the previous page until there are no more', async () => {
+            const pages = [];
+            
+            for await (const page of steam.getTradeHistoryPages({ max_trades: 2 })) {
+                pages.push(page.trades.map(trade => trade.tradeid));
+            }
+            
+            expect(pages).toEqual([['t500', 't400'], ['t300', 't200'], ['t100']]);
+            expect(server.requests.map((request) => {
+                return [request.query.start_after_time, request.query.start_after_tradeid];
+            })).toEqual([[undefined, undefined], ['400', 't400'], ['200', 't200']]);
+            expect(server.requests[0].query.max_trades).toBe('2');
+        });
+        
+        it('stops at the first trade at or before since_time', async () => {
+            const pages = [];
+            
+            for await (const page of steam.getTradeHistoryPages({ since_time: 300 })) {
+                pages.push(page);
+            }
+            
+            expect(pages.map(page => page.trades.map(trade => trade.tradeid))).toEqual([['t500', 't400'], []]);
+            expect(pages[1].more).toBe(false);
+            expect(server.requests).toHaveLength(2);
+            expect(server.requests[0].query.since_time).toBeUndefined();
+        });
+        
+        it('stops at the trade with since_tradeid', async () => {
+            const { trades } = await steam.getAllTradeHistory({ since_tradeid: 't200' });
+            
+            expect(trades.map(trade => trade.tradeid)).toEqual(['t500', 't400', 't300']);
+            expect(server.requests).toHaveLength(2);
+        });
+        
+        it('merges the descriptions of each page when combine_descriptions is set', async () => {
+            const pages = [];
+            
+            for await (const page of steam.getTradeHistoryPages({ get_descriptions: 1, combine_descriptions: true })) {
+                pages.push(page);
+            }
+            
+            expect(pages.map(page => page.descriptions)).toEqual([undefined, undefined, undefined]);
+            expect(pages[1].trades[1].assets_received[0]).toEqual({
+                appid: 440,
+                classid: '3',
+                instanceid: '0',
+                assetid: 'a200',
+                market_hash_name: 'Item 3'
+            });
+            expect(server.requests[0].query.get_descriptions).toBe('1');
+            expect(server.requests[0].query.combine_descriptions).toBeUndefined();
+        });
+        
+        it('combines every page with unique descriptions from getAllTradeHistory', async () => {
+            const history = await steam.getAllTradeHistory();
+            
+            expect(history.trades).toHaveLength(5);
+            expect(history.more).toBe(false);
+            expect(history.descriptions.map(description => description.classid)).toEqual(['1', '2', '3']);
+        });
+    });
+    
+    describe('rate limits', () => {
+        beforeEach(() => {
+            routes[SUMMARIES_PATH] = SUMMARIES_RESPONSE;
+            // the stub server's options turn rate limits off
+            steam = createSteamAPI('SECRET', {
+                ...server.apiOptions,
+                rateLimits: {
+                    api: { tokensPerInterval: 1, interval: 50, bucketSize: 1 },
+                    community: false
+                }
+            });
+        });
+        
+        it('paces requests and counts those waiting', async () => {
+            const route = createSequenceRoute([{ json: SUMMARIES_RESPONSE }]);
+            
+            routes[SUMMARIES_PATH] = route;
+            
+            const requests = [0, 1, 2].map(() => steam.getPlayerSummaries([STEAMID]));
+            
+            // the first request takes the only token
+            await sleep(10);
+            
+            expect(steam.getQueueLength()).toEqual({ api: 2, community: 0 });
+            
+            await Promise.all(requests);
+            
+            const { times } = route;
+            
+            expect(steam.getQueueLength()).toEqual({ api: 0, community: 0 });
+            expect(times[1] - times[0]).toBeGreaterThanOrEqual(40);
+            expect(times[2] - times[1]).toBeGreaterThanOrEqual(40);
+        });
+        
+        it('sends nothing for a request aborted while waiting', async () => {
+            const controller = new AbortController();
+            
+            await steam.getPlayerSummaries([STEAMID]);
+            
+            const aborted = steam.getPlayerSummaries([STEAMID], 'json', { signal: controller.signal });
+            const next = steam.getPlayerSummaries([STEAMID]);
+            
+            await sleep(10);
+            
+            expect(steam.getQueueLength().api).toBe(2);
+            
+            controller.abort();
+            
+            await expect(aborted).rejects.toBeInstanceOf(createSteamAPI.SteamAbortError);
+            expect(steam.getQueueLength().api).toBe(1);
+            
+            await next;
+            
+            expect(server.requests).toHaveLength(2);
+        });
+    });
+    
+    describe('trade offers', () => {
+        const TRADE_OFFERS_PATH = '/IEconService/GetTradeOffers/v1/';
+        const DESCRIPTIONS = [
+            { appid: 440, classid: '1', instanceid: '0', market_hash_name: 'Key' },
+            { appid: 440, classid: '1', instanceid: '5', market_hash_name: 'Painted Key' },
+            { appid: 730, classid: '1', instanceid: '0', market_hash_name: 'Case' }
+        ];
+        
+        /**
+         * Creates an item in a trade offer.
+         * @param {number} appid - Appid.
+         * @param {string} instanceid - Instanceid.
+         * @returns {object} Item.
+         */
+        function createItem(appid, instanceid) {
+            return { appid, contextid: '2', assetid: `${appid}${instanceid}`, classid: '1', instanceid };
+        }
+        
+        /**
+         * Gets the names of the items in an offer.
+         * @param {object} offer - Trade offer.
+         * @returns {object} Names of items to give and receive.
+         */
+        function getItemNames(offer) {
+            return {
+                give: (offer.items_to_give || []).map(item => item.market_hash_name),
+                receive: (offer.items_to_receive || []).map(item => item.market_hash_name)
+            };
+        }
+        
+        beforeEach(() => {
+            const pages = {
+                undefined: {
+                    trade_offers_sent: [{
+                        tradeofferid: '1',
+                        trade_offer_state: TradeOfferState.Active,
+                        items_to_give: [createItem(440, '0'), createItem(440, '5')]
+                    }],
+                    descriptions: DESCRIPTIONS.slice(0, 2),
+                    next_cursor: 10
+                },
+                10: {
+                    trade_offers_received: [{
+                        tradeofferid: '2',
+                        trade_offer_state: TradeOfferState.Accepted,
+                        items_to_give: [createItem(730, '0')],
+                        items_to_receive: [createItem(440, '5')]
+                    }],
+                    descriptions: DESCRIPTIONS.slice(1),
+                    next_cursor: 20
+                },
+                20: {
+                    trade_offers_received: [{
+                        tradeofferid: '3',
+                        trade_offer_state: TradeOfferState.Declined
+                    }],
+                    next_cursor: 0
+                }
+            };
+            
+            routes[TRADE_OFFERS_PATH] = (request) => {
+                return { json: { response: pages[request.query.cursor] } };
+            };
+        });
+        
+        it('follows next_cursor until there are no more pages', async () => {
+            const pages = [];
+            
+            for await (const page of steam.getTradeOffersPages({ get_sent_offers: 1, get_received_offers: 1 })) {
+                pages.push(page);
+            }
+            
+            expect(pages).toHaveLength(3);
+            expect(server.requests.map(request => request.query.cursor)).toEqual([undefined, '10', '20']);
+            expect(server.requests[2].query.get_sent_offers).toBe('1');
+        });
+        
+        it('merges descriptions by classid and instanceid onto sent and received offers', async () => {
+            const page = await steam.getTradeOffers({ combine_descriptions: true });
+            
+            expect(page.descriptions).toBeUndefined();
+            expect(getItemNames(page.trade_offers_sent[0])).toEqual({
+                give: ['Key', 'Painted Key'],
+                receive: []
+            });
+            
+            const offers = await steam.getAllTradeOffers({ combine_descriptions: true });
+            
+            expect(offers.descriptions).toBeUndefined();
+            expect(offers.trade_offers_sent.map(getItemNames)).toEqual([{ give: ['Key', 'Painted Key'], receive: [] }]);
+            expect(offers.trade_offers_received.map(getItemNames)).toEqual([
+                { give: ['Case'], receive: ['Painted Key'] },
+                { give: [], receive: [] }
+            ]);
+            expect(server.requests[0].query.combine_descriptions).toBeUndefined();
+        });
+        
+        it('combines every page with unique descriptions from getAllTradeOffers', async () => {
+            const offers = await steam.getAllTradeOffers();
+            
+            expect(offers.trade_offers_sent.map(offer => offer.tradeofferid)).toEqual(['1']);
+            expect(offers.trade_offers_received.map(offer => offer.tradeofferid)).toEqual(['2', '3']);
+            expect(offers.descriptions).toEqual(DESCRIPTIONS);
+        });
+        
+        it('gets a single offer with its descriptions merged', async () => {
+            routes['/IEconService/GetTradeOffer/v1/'] = {
+                response: {
+                    offer: {
+                        tradeofferid: '2',
+                        trade_offer_state: TradeOfferState.InEscrow,
+                        items_to_receive: [createItem(440, '5')]
+                    },
+                    descriptions: DESCRIPTIONS
+                }
+            };
+            
+            const { offer } = await steam.getTradeOffer('2', { get_descriptions: 1, combine_descriptions: true });
+            
+            expect(offer.trade_offer_state).toBe(TradeOfferState.InEscrow);
+            expect(getItemNames(offer)).toEqual({ give: [], receive: ['Painted Key'] });
+            expect(server.requests[0].query.tradeofferid).toBe('2');
+        });
+        
+        it('rejects with a SteamNotFoundError when the offer does not exist', async () => {
+            // this is what Steam gives for an offer which does not exist
+            routes['/IEconService/GetTradeOffer/v1/'] = { response: {} };
+            
+            await expect(steam.getTradeOffer('404')).rejects.toBeInstanceOf(SteamNotFoundError);
+        });
+        
+        it('gets the summary of trade offers', async () => {
+            routes['/IEconService/GetTradeOffersSummary/v1/'] = {
+                response: { pending_received_count: 2, new_received_count: 1 }
+            };
+            
+            const summary = await steam.getTradeOffersSummary({ time_last_visit: 100 });
+            
+            expect(summary.pending_received_count).toBe(2);
+            expect(server.requests[0].query.time_last_visit).toBe('100');
+        });
+        
+        it('has the values Steam uses for each state', () => {
+            expect(TradeOfferState).toEqual({
+                Invalid: 1,
+                Active: 2,
+                Accepted: 3,
+                Countered: 4,
+                Expired: 5,
+                Canceled: 6,
+                Declined: 7,
+                InvalidItems: 8,
+                CreatedNeedsConfirmation: 9,
+                CanceledBySecondFactor: 10,
+                InEscrow: 11
+            });
+            expect(Object.isFrozen(TradeOfferState)).toBe(true);
+        });
+    });
+    
+    describe('validate', () => {
+        const BACKPACK_PATH = '/IEconItems_440/GetPlayerItems/v0001/';
+        const BACKPACK_ITEM = { id: 1, original_id: 1, defindex: 5021, quality: 6 };
+        
+        beforeEach(() => {
+            steam = createSteamAPI('SECRET', {
+                ...server.apiOptions,
+                retry: { maxAttempts: 1 },
+                validate: true
+            });
+        });
+        
+        it('rejects with the path of a value of the wrong type', async () => {
+            routes[BACKPACK_PATH] = {
+                result: {
+                    status: 1,
+                    items: [{ ...BACKPACK_ITEM, original_id: '1' }]
+                }
+            };
+            
+            const error = await steam.getBackpack('440', STEAMID).catch(error => error);
+            
+            expect(error).toBeInstanceOf(SteamValidationError);
+            expect(error).toBeInstanceOf(SteamResponseError);
+            expect(error.path).toBe('result.items[0].original_id');
+            expect(error.message).toBe('GetPlayerItems response did not match schema at "result.items[0].original_id": Expected number, got string.');
+            expect(error.body.result.items[0].original_id).toBe('1');
+            expect(error.url).toMatch(BACKPACK_PATH);
+            expect(error.url).not.toMatch('SECRET');
+        });
+        
+        it('rejects with the path of a missing required property', async () => {
+            routes[BACKPACK_PATH] = {
+                result: {
+                    status: 1,
+                    items: [BACKPACK_ITEM, { id: 2, original_id: 2, quality: 6 }]
+                }
+            };
+            
+            await expect(steam.getBackpack('440', STEAMID)).rejects.toMatchObject({
+                name: 'SteamValidationError',
+                path: 'result.items[1].defindex'
+            });
+        });
+        
+        it('checks every other key of a classinfo response as a classinfo', async () => {
+            routes['/ISteamEconomy/GetAssetClassInfo/v0001'] = {
+                result: {
+                    success: true,
+                    1: { classid: '1', name: 'Key' },
+                    2: { classid: 2, name: 'Crate' }
+                }
+            };
+            
+            await expect(steam.getAssetClassInfos('440', ['1', '2'])).rejects.toMatchObject({
+                name: 'SteamValidationError',
+                path: 'result.2.classid'
+            });
+        });
+        
+        it('checks streamed inventory pages', async () => {
+            const page = createInventoryPage([1, 2]);
+            
+            page.assets[1].assetid = 2;
+            routes['/inventory/'] = page;
+            
+            await expect(steam.getInventory('730', '2', STEAMID)).rejects.toMatchObject({
+                name: 'SteamValidationError',
+                path: 'assets[1].assetid'
+            });
+        });
+        
+        it('resolves with responses which match', async () => {
+            routes[BACKPACK_PATH] = {
+                result: {
+                    status: 1,
+                    items: [BACKPACK_ITEM],
+                    // keys which are not in the schema are not checked
+                    unknown: 'value'
+                }
+            };
+            
+            const { items } = await steam.getBackpack('440', STEAMID);
+            
+            expect(items).toEqual([BACKPACK_ITEM]);
+        });
+        
+        it('does not check responses without validate', async () => {
+            routes[BACKPACK_PATH] = {
+                result: {
+                    status: 1,
+                    items: [{ ...BACKPACK_ITEM, original_id: '1' }]
+                }
+            };
+            steam = createSteamAPI('SECRET', {
+                ...server.apiOptions,
+                retry: { maxAttempts: 1 }
+            });
+            
+            const { items } = await steam.getBackpack('440', STEAMID);
+            
+            expect(items[0].original_id).toBe('1');
+        });
+    });
+    
+    describe('signals', () => {
+        beforeEach(() => {
+            // responds after the calls below have given up
+            routes[SUMMARIES_PATH] = () => {
+                return new Promise((resolve) => {
+                    setTimeout(() => resolve({ json: SUMMARIES_RESPONSE }), 200);
+                });
+            };
+        });
+        
+        it('rejects with a SteamTimeoutError once the timeout has passed', async () => {
+            const controller = new AbortController();
+            const error = await steam.getPlayerSummaries([STEAMID], 'json', {
+                signal: controller.signal,
+                timeout: 20
+            }).catch(error => error);
+            
+            expect(error).toBeInstanceOf(createSteamAPI.SteamTimeoutError);
+            expect(controller.signal.aborted).toBe(false);
+        });
+        
+        it('rejects with a SteamAbortError when the signal is aborted before the timeout', async () => {
+            const controller = new AbortController();
+            const promise = steam.getPlayerSummaries([STEAMID], 'json', {
+                signal: controller.signal,
+                timeout: 5000
+            });
+            
+            setTimeout(() => controller.abort(), 20);
+            
+            await expect(promise).rejects.toBeInstanceOf(createSteamAPI.SteamAbortError);
+        });
+        
+        it('rejects straight away when the signal is already aborted', async () => {
+            const controller = new AbortController();
+            
+            controller.abort();
+            
+            await expect(steam.getPlayerSummaries([STEAMID], 'json', {
+                signal: controller.signal,
+                timeout: 5000
+            })).rejects.toBeInstanceOf(createSteamAPI.SteamAbortError);
+            expect(server.requests).toHaveLength(0);
+        });
+    });
+    
+    describe('retries', () => {
+        beforeEach(() => {
+            steam = createSteamAPI('SECRET', {
+                ...server.apiOptions,
+                retry: { minDelay: 1, maxDelay: 1 }
+            });
+        });
+        
+        it.each([429, 503])('waits for the Retry-After of a %i response', async (statusCode) => {
+            const route = createSequenceRoute([
+                { statusCode, headers: { 'retry-after': '1' }, json: {} },
+                { json: SUMMARIES_RESPONSE }
+            ]);
+            
+            routes[SUMMARIES_PATH] = route;
+            
+            const { players } = await steam.getPlayerSummaries([STEAMID]);
+            
+            expect(players[STEAMID].personaname).toBe('Rabscuttle');
+            expect(route.times).toHaveLength(2);
+            expect(route.times[1] - route.times[0]).toBeGreaterThanOrEqual(950);
+        });
+        
+        it('uses backoff when respectRetryAfter is false', async () => {
+            const route = createSequenceRoute([
+                { statusCode: 503, headers: { 'retry-after': '1' }, json: {} },
+                { json: SUMMARIES_RESPONSE }
+            ]);
+            
+            routes[SUMMARIES_PATH] = route;
+            steam = createSteamAPI('SECRET', {
+                ...server.apiOptions,
+                retry: { minDelay: 1, maxDelay: 1, respectRetryAfter: false }
+            });
+            
+            await steam.getPlayerSummaries([STEAMID]);
+            
+            expect(route.times).toHaveLength(2);
+            expect(route.times[1] - route.times[0]).toBeLessThan(500);
+        });
+        
+        it('does not retry when Retry-After is longer than maxRetryAfter', async () => {
+            const route = createSequenceRoute([
+                { statusCode: 429, headers: { 'retry-after': '120' }, json: {} },
+                { json: SUMMARIES_RESPONSE }
+            ]);
+            
+            routes[SUMMARIES_PATH] = route;
+            
+            const error = await steam.getPlayerSummaries([STEAMID]).catch(error => error);
+            
+            expect(error).toBeInstanceOf(SteamRateLimitError);
+            expect(error.retryAfter).toBe(120000);
+            expect(route.times).toHaveLength(1);
+        });
+        
+        it('caps Retry-After with a lower maxRetryAfter', async () => {
+            const route = createSequenceRoute([
+                { statusCode: 429, headers: { 'retry-after': '1' }, json: {} },
+                { json: SUMMARIES_RESPONSE }
+            ]);
+            
+            routes[SUMMARIES_PATH] = route;
+            steam = createSteamAPI('SECRET', {
+                ...server.apiOptions,
+                retry: { minDelay: 1, maxRetryAfter: 500 }
+            });
+            
+            await expect(steam.getPlayerSummaries([STEAMID])).rejects.toBeInstanceOf(SteamRateLimitError);
+            expect(route.times).toHaveLength(1);
+        });
+        
+        it('gives up after maxAttempts', async () => {
+            const route = createSequenceRoute([
+                { statusCode: 502, json: {} }
+            ]);
+            
+            routes[SUMMARIES_PATH] = route;
+            
+            const error = await steam.getPlayerSummaries([STEAMID]).catch(error => error);
+            
+            expect(error).toBeInstanceOf(SteamHTTPError);
+            expect(error.statusCode).toBe(502);
+            expect(route.times).toHaveLength(3);
+        });
+        
+        it('only retries the status codes in retryOn', async () => {
+            const route = createSequenceRoute([
+                { statusCode: 503, json: {} },
+                { statusCode: 500, json: {} },
+                { json: SUMMARIES_RESPONSE }
+            ]);
+            
+            routes[SUMMARIES_PATH] = route;
+            steam = createSteamAPI('SECRET', {
+                ...server.apiOptions,
+                retry: { minDelay: 1, maxDelay: 1, retryOn: [503] }
+            });
+            
+            const error = await steam.getPlayerSummaries([STEAMID]).catch(error => error);
+            
+            expect(error.statusCode).toBe(500);
+            expect(route.times).toHaveLength(2);
+        });
+        
+        it('asks a retryOn function whether to retry', async () => {
+            const route = createSequenceRoute([
+                { statusCode: 403, json: {} },
+                { statusCode: 503, json: {} },
+                { json: SUMMARIES_RESPONSE }
+            ]);
+            const retryOn = jest.fn(statusCode => statusCode !== 503);
+            
+            routes[SUMMARIES_PATH] = route;
+            steam = createSteamAPI('SECRET', {
+                ...server.apiOptions,
+                retry: { minDelay: 1, maxDelay: 1, retryOn }
+            });
+            
+            const error = await steam.getPlayerSummaries([STEAMID]).catch(error => error);
+            
+            expect(error.statusCode).toBe(503);
+            expect(retryOn.mock.calls).toEqual([[403, 1], [503, 2]]);
+            expect(route.times).toHaveLength(2);
+        });
+    });
+});
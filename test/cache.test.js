@@ -0,0 +1,165 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryCache, createFileCache } = require('../cache');
+
+describe('createMemoryCache', () => {
+    it('gets values which were set', async () => {
+        const cache = createMemoryCache();
+        
+        await cache.set('a', { value: 1 });
+        
+        expect(await cache.get('a')).toEqual({ value: 1 });
+        expect(await cache.get('b')).toBeUndefined();
+    });
+    
+    it('removes the least recently used value once full', async () => {
+        const cache = createMemoryCache({ max: 2 });
+        
+        await cache.set('a', 1);
+        await cache.set('b', 2);
+        // "a" is now used more recently than "b"
+        await cache.get('a');
+        await cache.set('c', 3);
+        
+        expect(await cache.get('a')).toBe(1);
+        expect(await cache.get('b')).toBeUndefined();
+        expect(await cache.get('c')).toBe(3);
+    });
+    
+    describe('with a ttl', () => {
+        let now;
+        
+        beforeEach(() => {
+            now = 1000;
+            jest.spyOn(Date, 'now').mockImplementation(() => now);
+        });
+        
+        afterEach(() => {
+            Date.now.mockRestore();
+        });
+        
+        it('removes values once they have expired', async () => {
+            const cache = createMemoryCache({ ttl: 100 });
+            
+            await cache.set('a', 1);
+            now += 99;
+            
+            expect(await cache.get('a')).toBe(1);
+            
+            now += 1;
+            
+            expect(await cache.get('a')).toBeUndefined();
+        });
+        
+        it('starts the ttl again when a value is set again', async () => {
+            const cache = createMemoryCache({ ttl: 100 });
+            
+            await cache.set('a', 1);
+            now += 50;
+            await cache.set('a', 2);
+            now += 75;
+            
+            expect(await cache.get('a')).toBe(2);
+        });
+        
+        it('does not count expired values against max', async () => {
+            const cache = createMemoryCache({ max: 2, ttl: 100 });
+            
+            await cache.set('a', 1);
+            now += 100;
+            // "a" is removed when it is found to have expired
+            await cache.get('a');
+            await cache.set('b', 2);
+            await cache.set('c', 3);
+            
+            expect(await cache.get('b')).toBe(2);
+            expect(await cache.get('c')).toBe(3);
+        });
+    });
+});
+
+describe('createFileCache', () => {
+    let directory;
+    let filepath;
+    
+    beforeEach(async () => {
+        directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'steam-api-helpers-'));
+        filepath = path.join(directory, 'cache.json');
+    });
+    
+    afterEach(async () => {
+        await fs.promises.rm(directory, { recursive: true, force: true });
+    });
+    
+    it('writes values to the file', async () => {
+        const cache = createFileCache(filepath);
+        
+        await cache.set('a', { value: 1 });
+        
+        expect(JSON.parse(await fs.promises.readFile(filepath, 'utf8'))).toEqual({ a: { value: 1 } });
+        expect(await createFileCache(filepath).get('a')).toEqual({ value: 1 });
+    });
+    
+    it('writes changes made together in one write', async () => {
+        const writeFile = jest.spyOn(fs.promises, 'writeFile');
+        const cache = createFileCache(filepath, { delay: 20 });
+        
+        try {
+            await Promise.all([
+                cache.set('a', 1),
+                cache.set('b', 2),
+                cache.set('c', 3)
+            ]);
+            
+            expect(writeFile).toHaveBeenCalledTimes(1);
+            expect(JSON.parse(await fs.promises.readFile(filepath, 'utf8'))).toEqual({ a: 1, b: 2, c: 3 });
+            
+            await cache.set('d', 4);
+            
+            expect(writeFile).toHaveBeenCalledTimes(2);
+        } finally {
+            writeFile.mockRestore();
+        }
+    });
+    
+    it('replaces the file without leaving a temporary file behind', async () => {
+        const rename = jest.spyOn(fs.promises, 'rename');
+        const cache = createFileCache(filepath, { delay: 0 });
+        
+        try {
+            await cache.set('a', 1);
+            
+            expect(rename).toHaveBeenCalledTimes(1);
+            expect(rename.mock.calls[0][1]).toBe(filepath);
+            expect(await fs.promises.readdir(directory)).toEqual(['cache.json']);
+        } finally {
+            rename.mockRestore();
+        }
+    });
+    
+    it.each([
+        ['a partly written file', '{"a": {"value"'],
+        ['an empty file', ''],
+        ['a file without an object', '[1, 2]']
+    ])('treats %s as empty', async (description, data) => {
+        await fs.promises.writeFile(filepath, data);
+        
+        const cache = createFileCache(filepath, { delay: 0 });
+        
+        expect(await cache.get('a')).toBeUndefined();
+        
+        await cache.set('b', 2);
+        
+        expect(JSON.parse(await fs.promises.readFile(filepath, 'utf8'))).toEqual({ b: 2 });
+    });
+    
+    it('rejects when the file cannot be read', async () => {
+        // a directory cannot be read as a file
+        const cache = createFileCache(directory);
+        
+        await expect(cache.get('a')).rejects.toHaveProperty('code', 'EISDIR');
+    });
+});
@@ -0,0 +1,167 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const BIN = path.join(__dirname, '..', 'bin', 'steam-api-helpers.js');
+const REPLAY_FIXTURES = path.join(__dirname, 'replay-fixtures.js');
+const STEAMID = '76561197960287930';
+
+/**
+ * Runs the command line interface.
+ * @param {string[]} args - Arguments.
+ * @param {object} [env={}] - Environment variables, added to an environment with no API key.
+ * @param {string[]} [nodeArgs=[]] - Arguments for node.
+ * @returns {Promise.<object>} Resolves with the exit code, stdout and stderr.
+ */
+function run(args, env = {}, nodeArgs = []) {
+    return new Promise((resolve) => {
+        const options = {
+            env: {
+                ...process.env,
+                STEAM_API_KEY: '',
+                // so that no default config file is found
+                HOME: path.join(os.tmpdir(), 'steam-api-helpers-no-home'),
+                ...env
+            },
+            timeout: 10000
+        };
+        
+        execFile(process.execPath, [...nodeArgs, BIN, ...args], options, (error, stdout, stderr) => {
+            resolve({
+                code: error ? error.code : 0,
+                stdout,
+                stderr
+            });
+        });
+    });
+}
+
+/**
+ * Runs the command line interface with responses replayed from the committed fixtures.
+ * @param {string[]} args - Arguments.
+ * @param {object} [env] - Environment variables.
+ * @returns {Promise.<object>} Resolves with the exit code, stdout and stderr.
+ */
+function runWithFixtures(args, env) {
+    return run(args, env, ['--require', REPLAY_FIXTURES]);
+}
+
+describe('output', () => {
+    it('writes json', async () => {
+        const { code, stdout } = await runWithFixtures(['player-summaries', STEAMID, '--key', 'any key']);
+        const players = JSON.parse(stdout);
+        
+        expect(code).toBe(0);
+        expect(players).toHaveLength(1);
+        expect(players[0]).toMatchObject({
+            steamid: STEAMID,
+            personaname: 'Rabscuttle'
+        });
+    });
+    
+    it('writes ndjson with one record on each line', async () => {
+        const { code, stdout } = await runWithFixtures(['backpack', STEAMID, '440', '--format', 'ndjson', '--key', 'any key']);
+        const lines = stdout.trim().split('\n');
+        
+        expect(code).toBe(0);
+        expect(lines.map(line => JSON.parse(line).defindex)).toEqual([5021, 200]);
+    });
+    
+    it('writes csv with a column for every key', async () => {
+        const { code, stdout } = await runWithFixtures(['backpack', STEAMID, '440', '--format', 'csv', '--key', 'any key']);
+        const [header, first, second] = stdout.trim().split('\n');
+        
+        expect(code).toBe(0);
+        expect(header).toBe('id,original_id,defindex,level,quality,inventory,quantity,origin,attributes');
+        // the first item has no attributes
+        expect(first).toBe('10151297046,10151297046,5021,5,6,2147483649,1,0,');
+        // objects are written as JSON with quotes escaped
+        expect(second).toMatch(/^10151297047,9834451921,200,1,11,2147483650,1,1,"\[\{""defindex"":214,/);
+    });
+    
+    it('reads small numeric steamids as account ids', async () => {
+        const { code, stdout } = await runWithFixtures(['backpack', '22202', '440', '--key', 'any key']);
+        
+        expect(code).toBe(0);
+        expect(JSON.parse(stdout)).toHaveLength(2);
+    });
+    
+    it('accepts a timeout', async () => {
+        const { code, stdout } = await runWithFixtures(['player-summaries', STEAMID, '--timeout', '5000', '--key', 'any key']);
+        
+        expect(code).toBe(0);
+        expect(JSON.parse(stdout)).toHaveLength(1);
+    });
+    
+    it('normalizes items', async () => {
+        const { stdout } = await runWithFixtures(['backpack', STEAMID, '440', '--normalize', '--key', 'any key']);
+        const items = JSON.parse(stdout);
+        
+        expect(items.map(item => item.quality)).toEqual(['Unique', 'Strange']);
+    });
+});
+
+describe('API key', () => {
+    it('is read from the environment', async () => {
+        const { code } = await runWithFixtures(['player-summaries', STEAMID], {
+            STEAM_API_KEY: 'any key'
+        });
+        
+        expect(code).toBe(0);
+    });
+    
+    it('is read from the config file', async () => {
+        const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'steam-api-helpers-'));
+        const configPath = path.join(dir, 'config.json');
+        
+        try {
+            await fs.promises.writeFile(configPath, JSON.stringify({ apiKey: 'any key' }));
+            
+            const { code } = await runWithFixtures(['player-summaries', STEAMID, '--config', configPath]);
+            
+            expect(code).toBe(0);
+        } finally {
+            await fs.promises.rm(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('exit codes', () => {
+    it('exits with 0 and shows the usage for --help', async () => {
+        const { code, stdout } = await run(['--help']);
+        
+        expect(code).toBe(0);
+        expect(stdout).toMatch(/^Usage: steam-api-helpers/);
+    });
+    
+    it.each([
+        ['an unknown command', ['friends', STEAMID, '--key', 'any key']],
+        ['an unknown format', ['player-summaries', STEAMID, '--format', 'xml', '--key', 'any key']],
+        ['an unknown option', ['player-summaries', STEAMID, '--colour', '--key', 'any key']],
+        ['too few arguments', ['backpack', STEAMID, '--key', 'any key']],
+        ['an invalid parameter', ['backpack', STEAMID, '440', '--param', 'language', '--key', 'any key']],
+        ['a timeout which is not a number', ['player-summaries', STEAMID, '--timeout', 'soon', '--key', 'any key']],
+        ['a timeout of 0', ['player-summaries', STEAMID, '--timeout', '0', '--key', 'any key']],
+        ['a negative timeout', ['player-summaries', STEAMID, '--timeout=-100', '--key', 'any key']],
+        ['a fixtures option', ['player-summaries', STEAMID, '--fixtures', 'test/fixtures', '--key', 'any key']],
+        ['no API key', ['player-summaries', STEAMID]]
+    ])('exits with 2 and shows the usage for %s', async (description, args) => {
+        const { code, stdout, stderr } = await runWithFixtures(args);
+        
+        expect(code).toBe(2);
+        expect(stdout).toBe('');
+        expect(stderr).toMatch('Usage: steam-api-helpers');
+    });
+    
+    it('exits with 1 without the usage for other errors', async () => {
+        // there is no fixture for this backpack
+        const { code, stderr } = await runWithFixtures(['backpack', '76561197960287931', '440', '--key', 'any key']);
+        
+        expect(code).toBe(1);
+        expect(stderr).toMatch(/^FixtureNotFoundError: /);
+        expect(stderr).not.toMatch('Usage: steam-api-helpers');
+    });
+});
@@ -0,0 +1,330 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ts = require('typescript');
+const createSteamAPI = require('../index');
+
+/**
+ * Parses a declaration file.
+ * @param {string} filename - Name of file in the root directory.
+ * @returns {ts.SourceFile} Source file.
+ */
+function parseDeclarations(filename) {
+    return ts.createSourceFile(
+        filename,
+        fs.readFileSync(path.join(__dirname, '..', filename), 'utf8'),
+        ts.ScriptTarget.Latest,
+        true
+    );
+}
+
+/**
+ * Finds a declaration by name among the statements of a block.
+ * @param {ts.Node[]} statements - Statements.
+ * @param {string} name - Name.
+ * @returns {(ts.Node|undefined)} Declaration.
+ */
+function findDeclaration(statements, name) {
+    return statements.find(statement => statement.name && statement.name.text === name);
+}
+
+/**
+ * Gets the names of the values declared in a namespace, i.e. everything which exists at runtime.
+ * @param {ts.ModuleDeclaration} namespace - Namespace.
+ * @returns {string[]} Names.
+ */
+function getValueNames(namespace) {
+    return namespace.body.statements
+        .filter((statement) => {
+            return Boolean(
+                ts.isFunctionDeclaration(statement) ||
+                ts.isClassDeclaration(statement) ||
+                ts.isEnumDeclaration(statement) ||
+                ts.isModuleDeclaration(statement) ||
+                ts.isVariableStatement(statement)
+            );
+        })
+        .map(statement => statement.name.text);
+}
+
+/**
+ * Gets the parameter names of each function declared in a namespace or interface. Overloads are
+ * given once, with the names from the overload with the most parameters.
+ * @param {ts.Node[]} members - Members or statements.
+ * @returns {object.<string, string[]>} Parameter names keyed by function name.
+ */
+function getDeclaredParameters(members) {
+    return members
+        .filter(member => ts.isFunctionDeclaration(member) || ts.isMethodSignature(member))
+        .reduce((functions, member) => {
+            const names = member.parameters.map(parameter => parameter.name.text);
+            const existing = functions[member.name.text] || [];
+            
+            functions[member.name.text] = names.length > existing.length ? names : existing;
+            
+            return functions;
+        }, {});
+}
+
+/**
+ * Gets the parameter names of a function from its source.
+ * @param {function} fn - Function.
+ * @returns {string[]} Names.
+ */
+function getRuntimeParameters(fn) {
+    const text = fn.toString();
+    const start = text.indexOf('(') + 1;
+    const names = [];
+    let depth = 0;
+    let current = '';
+    
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        
+        if (depth === 0 && (char === ',' || char === ')')) {
+            names.push(current.split('=')[0].trim());
+            current = '';
+            
+            if (char === ')') {
+                break;
+            }
+            
+            continue;
+        }
+        
+        if ('([{'.includes(char)) {
+            depth += 1;
+        } else if (')]}'.includes(char)) {
+            depth -= 1;
+        }
+        
+        current += char;
+    }
+    
+    return names.filter(name => name !== '');
+}
+
+/**
+ * Gets the values of the members of an enum declaration.
+ * @param {ts.EnumDeclaration} declaration - Enum.
+ * @returns {object.<string, number>} Values keyed by name.
+ */
+function getEnumValues(declaration) {
+    return declaration.members.reduce((values, member) => {
+        values[member.name.text] = Number(member.initializer.text);
+        
+        return values;
+    }, {});
+}
+
+/**
+ * Gets the properties of each typedef documented in the JSDoc of the modules in the root directory.
+ * Nested properties, e.g. "quality.id", are given as the properties of their parent.
+ * @returns {object.<string, object>} Properties keyed by name, for each typedef keyed by name.
+ */
+function getTypedefs() {
+    const root = path.join(__dirname, '..');
+    
+    return fs.readdirSync(root)
+        .filter(filename => filename.endsWith('.js'))
+        .map(filename => fs.readFileSync(path.join(root, filename), 'utf8'))
+        .reduce((typedefs, text) => {
+            (text.match(/\/\*\*[\s\S]*?\*\//g) || []).forEach((comment) => {
+                const match = comment.match(/@typedef \{[^}]*\} (\w+)/);
+                
+                if (!match) {
+                    return;
+                }
+                
+                const properties = {};
+                
+                for (const [, type, bracket, name] of comment.matchAll(/@property \{([^}]*)\} (\[?)([\w$.]+)/g)) {
+                    const keys = name.split('.');
+                    const key = keys.pop();
+                    const parent = keys.reduce((parent, key) => parent[key].properties, properties);
+                    
+                    parent[key] = {
+                        type,
+                        optional: bracket === '[',
+                        properties: {}
+                    };
+                }
+                
+                typedefs[match[1]] = properties;
+            });
+            
+            return typedefs;
+        }, {});
+}
+
+/**
+ * Gets the properties of an interface or type literal in the same form as getTypedefs. Nested
+ * properties are only given for members whose type is a type literal, and methods are marked.
+ * @param {ts.NodeArray} members - Members.
+ * @returns {object.<string, object>} Properties keyed by name.
+ */
+function getDeclaredProperties(members) {
+    return members
+        .filter(member => ts.isPropertySignature(member) || ts.isMethodSignature(member))
+        .reduce((properties, member) => {
+            properties[member.name.text] = {
+                type: member.type ? member.type.getText() : null,
+                isMethod: ts.isMethodSignature(member),
+                optional: Boolean(member.questionToken),
+                properties: member.type && ts.isTypeLiteralNode(member.type) ? getDeclaredProperties(member.type.members) : {}
+            };
+            
+            return properties;
+        }, {});
+}
+
+/**
+ * Gets the TypeScript type of a JSDoc type, if it is made only of primitives.
+ * @param {string} type - JSDoc type, e.g. "(string|null)".
+ * @returns {(string|null)} TypeScript type, e.g. "string | null", or null if it is not only primitives.
+ */
+function getPrimitiveType(type) {
+    const types = type.replace(/^\((.*)\)$/, '$1').split('|');
+    
+    if (!types.every(type => ['string', 'number', 'boolean', 'null'].includes(type))) {
+        return null;
+    }
+    
+    return types.join(' | ');
+}
+
+/**
+ * Compares the properties of a typedef with those of its declaration.
+ * @param {string} path - Path of the properties, for messages.
+ * @param {object.<string, object>} documented - Properties from getTypedefs.
+ * @param {object.<string, object>} declared - Properties from getDeclaredProperties.
+ * @returns {string[]} Differences.
+ */
+function compareProperties(path, documented, declared) {
+    const differences = [];
+    
+    Object.entries(documented).forEach(([name, property]) => {
+        const declaration = declared[name];
+        const primitiveType = getPrimitiveType(property.type);
+        
+        if (!declaration) {
+            differences.push(`${path}.${name} is not declared`);
+            return;
+        }
+        
+        if (declaration.optional !== property.optional) {
+            differences.push(`${path}.${name} is ${property.optional ? '' : 'not '}optional in the JSDoc`);
+        }
+        
+        if (primitiveType !== null && declaration.type !== primitiveType) {
+            differences.push(`${path}.${name} is ${primitiveType} in the JSDoc and ${declaration.type} in the declaration`);
+        }
+        
+        if (Object.keys(property.properties).length > 0) {
+            differences.push(...compareProperties(`${path}.${name}`, property.properties, declaration.properties));
+        }
+    });
+    
+    // methods such as the listeners of an EventEmitter are documented with the class
+    Object.keys(declared)
+        .filter(name => !documented[name] && !declared[name].isMethod)
+        .forEach((name) => {
+            differences.push(`${path}.${name} is not documented`);
+        });
+    
+    return differences;
+}
+
+/**
+ * Typedefs which are not declared, because they are only used within the modules.
+ * @type {string[]}
+ */
+const UNDECLARED_TYPEDEFS = [
+    'ClassInfoRef',
+    'Fixture',
+    'JSONArrayStreamParser',
+    'RequestOptions',
+    'RequestResult',
+    'ResponseSchema',
+    'SchemaMismatch',
+    'WebAPIMethodCaller'
+];
+
+const namespace = parseDeclarations('index.d.ts').statements
+    .find(statement => ts.isModuleDeclaration(statement) && statement.name.text === 'createSteamAPI');
+const steamAPIInterface = findDeclaration(namespace.body.statements, 'SteamAPI');
+const webAPIInterfaces = findDeclaration(parseDeclarations('webapi-interfaces.d.ts').statements, 'WebAPIInterfaces');
+const steam = createSteamAPI('key');
+
+describe('index.d.ts', () => {
+    it('declares every export and nothing else', () => {
+        expect(getValueNames(namespace).sort()).toEqual(Object.keys(createSteamAPI).sort());
+    });
+    
+    it('declares every SteamAPI method and nothing else', () => {
+        const declared = Object.keys(getDeclaredParameters(steamAPIInterface.members))
+            .concat(webAPIInterfaces.members.map(member => member.name.text));
+        
+        expect(declared.sort()).toEqual(Object.keys(steam).sort());
+    });
+    
+    it('declares the same parameters as each SteamAPI method', () => {
+        const declared = getDeclaredParameters(steamAPIInterface.members);
+        
+        Object.entries(declared).forEach(([name, parameters]) => {
+            expect([name, getRuntimeParameters(steam[name])]).toEqual([name, parameters]);
+        });
+    });
+    
+    it('declares the same parameters as each exported function', () => {
+        const declared = getDeclaredParameters(namespace.body.statements);
+        const steamIDNamespace = findDeclaration(namespace.body.statements, 'SteamID');
+        
+        Object.entries(declared).forEach(([name, parameters]) => {
+            expect([name, getRuntimeParameters(createSteamAPI[name])]).toEqual([name, parameters]);
+        });
+        
+        Object.entries(getDeclaredParameters(steamIDNamespace.body.statements)).forEach(([name, parameters]) => {
+            expect([name, getRuntimeParameters(createSteamAPI.SteamID[name])]).toEqual([name, parameters]);
+        });
+        
+        expect(getValueNames(steamIDNamespace).sort()).toEqual(Object.keys(createSteamAPI.SteamID).sort());
+    });
+    
+    it('declares enums with the runtime values', () => {
+        const steamIDNamespace = findDeclaration(namespace.body.statements, 'SteamID');
+        
+        expect(getEnumValues(findDeclaration(namespace.body.statements, 'TradeOfferState'))).toEqual({ ...createSteamAPI.TradeOfferState });
+        expect(getEnumValues(findDeclaration(namespace.body.statements, 'Currency'))).toEqual({ ...createSteamAPI.Currency });
+        expect(getEnumValues(findDeclaration(steamIDNamespace.body.statements, 'TYPE'))).toEqual({ ...createSteamAPI.SteamID.TYPE });
+    });
+    
+    it('declares every typedef with the documented properties', () => {
+        const steamIDNamespace = findDeclaration(namespace.body.statements, 'SteamID');
+        const statements = namespace.body.statements.concat(steamIDNamespace.body.statements);
+        const typedefs = getTypedefs();
+        const undeclared = Object.keys(typedefs).filter(name => !findDeclaration(statements, name));
+        
+        expect(undeclared.sort()).toEqual(UNDECLARED_TYPEDEFS);
+        
+        const differences = Object.entries(typedefs)
+            .filter(([name, properties]) => !UNDECLARED_TYPEDEFS.includes(name) && Object.keys(properties).length > 0)
+            .map(([name, properties]) => {
+                return compareProperties(name, properties, getDeclaredProperties(findDeclaration(statements, name).members));
+            });
+        
+        expect([].concat(...differences)).toEqual([]);
+    });
+    
+    it('declares error classes which exist at runtime', () => {
+        namespace.body.statements
+            .filter(ts.isClassDeclaration)
+            .forEach((declaration) => {
+                const ErrorClass = createSteamAPI[declaration.name.text];
+                const heritage = declaration.heritageClauses[0].types[0].expression.text;
+                
+                expect(new ErrorClass('message')).toBeInstanceOf(heritage === 'Error' ? Error : createSteamAPI[heritage]);
+            });
+    });
+});
@@ -0,0 +1,276 @@
+'use strict';
+
+const { once } = require('events');
+const createSteamAPI = require('../index');
+const { diffInventories, hasChanges, createInventoryWatcher } = require('../diff');
+
+const STEAMID = '76561197960287930';
+
+/**
+ * Creates a backpack item.
+ * @param {number} id - Item id.
+ * @param {object} [properties] - Other properties.
+ * @returns {object} Item.
+ */
+function createBackpackItem(id, properties) {
+    return {
+        id,
+        original_id: id,
+        defindex: 5021,
+        quantity: 1,
+        // the position is in the lower 16 bits
+        inventory: 0x80000000 + id,
+        ...properties
+    };
+}
+
+/**
+ * Creates a function which resolves with each list of items in turn, then the last list.
+ * @param {Array[]} lists - Lists of items.
+ * @returns {function} Function.
+ */
+function createFetchItems(lists) {
+    const fetchItems = jest.fn(async () => {
+        return lists[Math.min(fetchItems.mock.calls.length, lists.length) - 1];
+    });
+    
+    return fetchItems;
+}
+
+describe('diffInventories', () => {
+    it('finds added and removed items', () => {
+        const diff = diffInventories(
+            [createBackpackItem(1), createBackpackItem(2)],
+            [createBackpackItem(2), createBackpackItem(3)]
+        );
+        
+        expect(diff.added.map(item => item.id)).toEqual([3]);
+        expect(diff.removed.map(item => item.id)).toEqual([1]);
+        expect(hasChanges(diff)).toBe(true);
+    });
+    
+    it('finds items which moved to a different backpack position', () => {
+        const before = createBackpackItem(1);
+        // the flags in the upper bits are not part of the position
+        const samePosition = createBackpackItem(2, { inventory: 0x80000002 });
+        const after = createBackpackItem(1, { inventory: 0x80000010 });
+        const diff = diffInventories([before, createBackpackItem(2)], [after, samePosition]);
+        
+        expect(diff.moved).toEqual([{ before, after }]);
+    });
+    
+    it('finds inventory items which moved to a different contextid', () => {
+        const before = { assetid: '1', contextid: '2', amount: '1' };
+        const after = { assetid: '1', contextid: '6', amount: '1' };
+        
+        expect(diffInventories([before], [after]).moved).toEqual([{ before, after }]);
+    });
+    
+    it('finds stacks whose quantity changed', () => {
+        const before = { assetid: '1', contextid: '2', amount: '5' };
+        const after = { assetid: '1', contextid: '2', amount: '3' };
+        const diff = diffInventories([before], [after]);
+        
+        expect(diff.quantityChanged).toEqual([{ before, after }]);
+        expect(diff.moved).toEqual([]);
+    });
+    
+    it('matches items which got a new id using their original_id', () => {
+        const before = createBackpackItem(1);
+        const after = createBackpackItem(5, { original_id: 1 });
+        const diff = diffInventories([before], [after]);
+        
+        expect(diff.idChanged).toEqual([{ before, after }]);
+        expect(diff.added).toEqual([]);
+        expect(diff.removed).toEqual([]);
+    });
+    
+    it('finds no changes between the same items', () => {
+        const items = [createBackpackItem(1), createBackpackItem(2)];
+        const diff = diffInventories(items, items.map(item => ({ ...item })));
+        
+        expect(hasChanges(diff)).toBe(false);
+    });
+});
+
+describe('createInventoryWatcher', () => {
+    it('emits ready, then change when the items differ', async () => {
+        const fetchItems = createFetchItems([
+            [createBackpackItem(1)],
+            [createBackpackItem(1)],
+            [createBackpackItem(1), createBackpackItem(2)]
+        ]);
+        const watcher = createInventoryWatcher(fetchItems, { interval: 1 });
+        
+        try {
+            const [ready] = await once(watcher, 'ready');
+            
+            expect(ready.map(item => item.id)).toEqual([1]);
+            
+            const [diff, items] = await once(watcher, 'change');
+            
+            expect(diff.added.map(item => item.id)).toEqual([2]);
+            expect(items).toBe(watcher.getItems());
+            // the second fetch had no changes
+            expect(fetchItems.mock.calls.length).toBeGreaterThanOrEqual(3);
+        } finally {
+            watcher.stop();
+        }
+    });
+    
+    it('keeps polling after errors', async () => {
+        const fetchItems = jest.fn()
+            .mockRejectedValueOnce(new Error('Failed'))
+            .mockResolvedValue([]);
+        const watcher = createInventoryWatcher(fetchItems, { interval: 1 });
+        
+        try {
+            const [error] = await once(watcher, 'error');
+            
+            expect(error.message).toBe('Failed');
+            
+            await once(watcher, 'ready');
+        } finally {
+            watcher.stop();
+        }
+    });
+    
+    it('keeps polling after errors without an error listener', async () => {
+        const onUnhandledRejection = jest.fn();
+        const fetchItems = jest.fn()
+            .mockRejectedValueOnce(new Error('Failed'))
+            .mockResolvedValue([]);
+        
+        process.on('unhandledRejection', onUnhandledRejection);
+        
+        const watcher = createInventoryWatcher(fetchItems, { interval: 1 });
+        
+        try {
+            // once() would add an error listener
+            await new Promise(resolve => watcher.on('ready', resolve));
+            await new Promise(resolve => setImmediate(resolve));
+            
+            expect(fetchItems).toHaveBeenCalledTimes(2);
+            expect(onUnhandledRejection).not.toHaveBeenCalled();
+        } finally {
+            watcher.stop();
+            process.off('unhandledRejection', onUnhandledRejection);
+        }
+    });
+    
+    it('does not start until started when autoStart is false', async () => {
+        const fetchItems = createFetchItems([[]]);
+        const watcher = createInventoryWatcher(fetchItems, { autoStart: false });
+        
+        await new Promise(resolve => setImmediate(resolve));
+        
+        expect(fetchItems).not.toHaveBeenCalled();
+        
+        watcher.start();
+        await once(watcher, 'ready');
+        watcher.stop();
+    });
+    
+    it('aborts the fetch in progress when stopped', async () => {
+        let fetchSignal;
+        const watcher = createInventoryWatcher((signal) => {
+            fetchSignal = signal;
+            
+            return new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(signal.reason));
+            });
+        });
+        const onError = jest.fn();
+        
+        watcher.on('error', onError);
+        
+        await new Promise(resolve => setImmediate(resolve));
+        
+        watcher.stop();
+        await new Promise(resolve => setImmediate(resolve));
+        
+        expect(fetchSignal.aborted).toBe(true);
+        // the abort is not an error
+        expect(onError).not.toHaveBeenCalled();
+    });
+    
+    it('stops when the signal is aborted', async () => {
+        const controller = new AbortController();
+        const fetchItems = createFetchItems([[]]);
+        const watcher = createInventoryWatcher(fetchItems, {
+            interval: 1,
+            signal: controller.signal
+        });
+        
+        await once(watcher, 'ready');
+        controller.abort();
+        
+        const calls = fetchItems.mock.calls.length;
+        
+        await new Promise(resolve => setTimeout(resolve, 20));
+        
+        expect(fetchItems.mock.calls.length).toBe(calls);
+        expect(fetchItems.mock.calls[0][0].aborted).toBe(true);
+    });
+    
+    it('does not start when the signal is already aborted', async () => {
+        const controller = new AbortController();
+        const fetchItems = createFetchItems([[]]);
+        
+        controller.abort();
+        createInventoryWatcher(fetchItems, { signal: controller.signal });
+        
+        await new Promise(resolve => setImmediate(resolve));
+        
+        expect(fetchItems).not.toHaveBeenCalled();
+    });
+});
+
+describe('watchInventory', () => {
+    it('cancels the request in progress when stopped', async () => {
+        const requests = [];
+        const steam = createSteamAPI('SECRET', {
+            rateLimits: { api: false, community: false },
+            transport: (request) => {
+                requests.push(request);
+                
+                return new Promise((resolve, reject) => {
+                    request.signal.addEventListener('abort', () => reject(request.signal.reason));
+                });
+            }
+        });
+        const watcher = steam.watchInventory('730', '2', STEAMID, {
+            params: { count: 10 }
+        });
+        
+        await new Promise(resolve => setImmediate(resolve));
+        
+        expect(requests).toHaveLength(1);
+        expect(requests[0].url).toContain('count=10');
+        
+        watcher.stop();
+        
+        expect(requests[0].signal.aborted).toBe(true);
+    });
+    
+    it('cancels the request in progress of watchBackpack when the signal is aborted', async () => {
+        const controller = new AbortController();
+        const requests = [];
+        const steam = createSteamAPI('SECRET', {
+            rateLimits: { api: false, community: false },
+            transport: (request) => {
+                requests.push(request);
+                
+                return new Promise(() => {});
+            }
+        });
+        
+        steam.watchBackpack('440', STEAMID, { signal: controller.signal });
+        
+        await new Promise(resolve => setImmediate(resolve));
+        
+        controller.abort();
+        
+        expect(requests[0].signal.aborted).toBe(true);
+    });
+});
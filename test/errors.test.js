@@ -0,0 +1,105 @@
+'use strict';
+
+const {
+    getHTTPError,
+    redactURL,
+    SteamAPIError,
+    SteamHTTPError,
+    SteamRateLimitError,
+    SteamNotFoundError,
+    PrivateInventoryError,
+    InvalidAPIKeyError
+} = require('../errors');
+const createSteamAPI = require('../index');
+
+const API_URL = 'https://api.steampowered.com/IEconItems_440/GetPlayerItems/v0001/?SteamID=76561197960287930&key=SECRET';
+const INVENTORY_URL = 'https://steamcommunity.com/inventory/76561197960287930/730/2?l=english';
+
+describe('redactURL', () => {
+    it('redacts keys and access tokens', () => {
+        expect(redactURL('https://example.com/?key=abc&a=1&access_token=xyz')).toBe('https://example.com/?key=REDACTED&a=1&access_token=REDACTED');
+        expect(redactURL('key=abc&tradeofferid=1')).toBe('key=REDACTED&tradeofferid=1');
+    });
+});
+
+describe('getHTTPError', () => {
+    it('gets a SteamRateLimitError with the Retry-After delay for 429', () => {
+        const error = getHTTPError({
+            statusCode: 429,
+            statusMessage: 'Too Many Requests',
+            headers: { 'retry-after': '5' }
+        }, API_URL, '');
+        
+        expect(error).toBeInstanceOf(SteamRateLimitError);
+        expect(error).toBeInstanceOf(SteamHTTPError);
+        expect(error.retryAfter).toBe(5000);
+        expect(error.message).toBe('Too Many Requests');
+    });
+    
+    it('gets a PrivateInventoryError for 403 from a community inventory', () => {
+        const error = getHTTPError({ statusCode: 403, headers: {} }, INVENTORY_URL, 'null');
+        
+        expect(error).toBeInstanceOf(PrivateInventoryError);
+        expect(error.body).toBe('null');
+    });
+    
+    it('gets an InvalidAPIKeyError for 401 and 403 from the web api', () => {
+        expect(getHTTPError({ statusCode: 401, headers: {} }, API_URL, '')).toBeInstanceOf(InvalidAPIKeyError);
+        expect(getHTTPError({ statusCode: 403, headers: {} }, API_URL, '')).toBeInstanceOf(InvalidAPIKeyError);
+    });
+    
+    it('gets a SteamNotFoundError for 404', () => {
+        expect(getHTTPError({ statusCode: 404, headers: {} }, API_URL, '')).toBeInstanceOf(SteamNotFoundError);
+    });
+    
+    it('gets a SteamHTTPError for anything else', () => {
+        const error = getHTTPError({ statusCode: 500, statusMessage: 'Internal Server Error', headers: {} }, API_URL, 'oops');
+        
+        expect(error.constructor).toBe(SteamHTTPError);
+        expect(error).toBeInstanceOf(SteamAPIError);
+        expect(error).toMatchObject({
+            name: 'SteamHTTPError',
+            statusCode: 500,
+            endpoint: '/IEconItems_440/GetPlayerItems/v0001/',
+            body: 'oops'
+        });
+        expect(error.url).toContain('key=REDACTED');
+        expect(error.url).not.toContain('SECRET');
+    });
+});
+
+describe('errors from a stub server', () => {
+    let server;
+    let steam;
+    
+    beforeAll(async () => {
+        server = await createSteamAPI.createStubServer({
+            routes: {
+                '/IEconItems_440/GetPlayerItems/v0001/': () => ({ statusCode: 403, body: 'Forbidden' }),
+                '/inventory/': () => ({ statusCode: 403, json: null }),
+                '/ISteamUser/GetPlayerSummaries/v0002/': () => ({ statusCode: 200, body: '<html></html>' })
+            }
+        });
+        steam = createSteamAPI('SECRET', {
+            ...server.apiOptions,
+            retry: { maxAttempts: 1 }
+        });
+    });
+    
+    afterAll(async () => {
+        await server.close();
+    });
+    
+    it('rejects with the error for the status code', async () => {
+        await expect(steam.getBackpack('440', '76561197960287930')).rejects.toThrow(InvalidAPIKeyError);
+        await expect(steam.getInventory('730', '2', '76561197960287930')).rejects.toThrow(PrivateInventoryError);
+    });
+    
+    it('rejects with a SteamHTTPError for responses which are not JSON', async () => {
+        await expect(steam.getPlayerSummaries(['76561197960287930'])).rejects.toMatchObject({
+            name: 'SteamHTTPError',
+            statusCode: 200,
+            body: '<html></html>'
+        });
+    });
+});
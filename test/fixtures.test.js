@@ -0,0 +1,165 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createSteamAPI = require('../index');
+const { getFixtureName } = require('../fixtures');
+
+const {
+    createRecordingTransport,
+    createReplayTransport,
+    createStubServer,
+    FixtureNotFoundError,
+    PrivateInventoryError
+} = createSteamAPI;
+const FIXTURES = path.join(__dirname, 'fixtures');
+const STEAMID = '76561197960287930';
+
+describe('getFixtureName', () => {
+    it('is the same whichever API key is used', () => {
+        const a = getFixtureName({ method: 'GET', url: 'https://api.steampowered.com/ISteamUser/GetFriendList/v1/?key=AAA&steamid=1' });
+        const b = getFixtureName({ method: 'GET', url: 'https://api.steampowered.com/ISteamUser/GetFriendList/v1/?key=BBB&steamid=1' });
+        
+        expect(a).toBe(b);
+        expect(a).toMatch(/^GET_api\.steampowered\.com_ISteamUser_GetFriendList_v1_[0-9a-f]{12}\.json$/);
+    });
+    
+    it('differs by query string and body', () => {
+        const url = 'https://api.steampowered.com/IEconService/CancelTradeOffer/v1/';
+        
+        expect(getFixtureName({ method: 'GET', url: `${url}?a=1` })).not.toBe(getFixtureName({ method: 'GET', url: `${url}?a=2` }));
+        expect(getFixtureName({ method: 'POST', url, body: 'tradeofferid=1' })).not.toBe(getFixtureName({ method: 'POST', url, body: 'tradeofferid=2' }));
+    });
+});
+
+describe('createReplayTransport', () => {
+    const steam = createSteamAPI('any key', {
+        transport: createReplayTransport(FIXTURES)
+    });
+    
+    it('responds with committed fixtures', async () => {
+        const { players, missing } = await steam.getPlayerSummaries([STEAMID]);
+        
+        expect(players[STEAMID].personaname).toBe('Rabscuttle');
+        expect(missing).toEqual([]);
+    });
+    
+    it('streams fixtures when asked to', async () => {
+        const backpack = await steam.getBackpack('440', STEAMID, { stream: true });
+        
+        expect(backpack.items.map(item => item.defindex)).toEqual([5021, 200]);
+    });
+    
+    it('rejects without retrying when there is no fixture', async () => {
+        const started = Date.now();
+        
+        await expect(steam.getBackpack('440', '76561197960287931')).rejects.toThrow(FixtureNotFoundError);
+        // the default retry policy would wait at least a second
+        expect(Date.now() - started).toBeLessThan(1000);
+    });
+});
+
+describe('createRecordingTransport', () => {
+    let dir;
+    
+    beforeEach(async () => {
+        dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'steam-fixtures-'));
+    });
+    
+    afterEach(async () => {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    });
+    
+    it('saves responses which can be replayed, without the key or cookies', async () => {
+        const transport = jest.fn(async () => {
+            return {
+                statusCode: 200,
+                headers: {
+                    'content-type': 'application/json',
+                    'set-cookie': 'sessionid=1'
+                },
+                body: JSON.stringify({ response: { success: 1, steamid: STEAMID } })
+            };
+        });
+        const recorder = createSteamAPI('SECRET', {
+            transport: createRecordingTransport(dir, { transport })
+        });
+        const replayer = createSteamAPI('OTHER', {
+            transport: createReplayTransport(dir)
+        });
+        
+        expect(await recorder.resolveVanityURL('rabscuttle')).toBe(STEAMID);
+        expect(await replayer.resolveVanityURL('rabscuttle')).toBe(STEAMID);
+        expect(transport).toHaveBeenCalledTimes(1);
+        
+        const [filename] = await fs.promises.readdir(dir);
+        const saved = await fs.promises.readFile(path.join(dir, filename), 'utf8');
+        
+        expect(saved).not.toContain('SECRET');
+        expect(saved).not.toContain('sessionid');
+        expect(JSON.parse(saved).response.json.response.steamid).toBe(STEAMID);
+    });
+});
+
+describe('createStubServer', () => {
+    let server;
+    
+    afterEach(async () => {
+        await server.close();
+    });
+    
+    it('responds with routes, then fixtures, then 404', async () => {
+        server = await createStubServer({
+            fixtures: FIXTURES,
+            routes: {
+                '/IEconItems_730/GetPlayerItems/v0001/': { result: { status: 15 } },
+                '/inventory/': (request) => {
+                    return {
+                        statusCode: 403,
+                        body: request.query.l
+                    };
+                }
+            }
+        });
+        
+        const steam = createSteamAPI('any key', {
+            ...server.apiOptions,
+            retry: { maxAttempts: 1 }
+        });
+        
+        await expect(steam.getBackpack('730', STEAMID)).rejects.toThrow(PrivateInventoryError);
+        await expect(steam.getInventory('730', '2', STEAMID)).rejects.toThrow(PrivateInventoryError);
+        expect((await steam.getBackpack('440', STEAMID)).items).toHaveLength(2);
+        await expect(steam.getSchemaURL('440')).rejects.toMatchObject({
+            statusCode: 404,
+            message: 'No stub for GET /IEconItems_440/GetSchemaURL/v1/'
+        });
+        expect(server.requests.map(request => request.url.hostname)).toEqual([
+            'api.steampowered.com',
+            'steamcommunity.com',
+            'api.steampowered.com',
+            'api.steampowered.com'
+        ]);
+        expect(server.requests[1].query).toMatchObject({ l: 'english', count: '5000' });
+    });
+    
+    it('turns rate limits off', async () => {
+        server = await createStubServer({
+            routes: {
+                '/inventory/': { success: 1, assets: [], descriptions: [] }
+            }
+        });
+        
+        const steam = createSteamAPI('any key', server.apiOptions);
+        const started = Date.now();
+        
+        // the default community rate limit is 1 request every 3 seconds
+        for (let i = 0; i < 5; i++) {
+            await steam.getInventory('730', '2', STEAMID);
+        }
+        
+        expect(Date.now() - started).toBeLessThan(3000);
+        expect(steam.getQueueLength()).toEqual({ api: 0, community: 0 });
+    });
+});
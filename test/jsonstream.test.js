@@ -0,0 +1,163 @@
+'use strict';
+
+const { createArrayStreamParser } = require('../jsonstream');
+
+/**
+ * Parses a document written in the given chunks.
+ * @param {string[]} chunks - Chunks of the document.
+ * @param {string[]} paths - Paths of arrays to stream.
+ * @returns {object} The document and the streamed elements for each path.
+ */
+function parse(chunks, paths) {
+    const elements = {};
+    const parser = createArrayStreamParser(paths, (path, element) => {
+        (elements[path] = elements[path] || []).push(element);
+    });
+    
+    chunks.forEach(chunk => parser.write(chunk));
+    
+    return {
+        json: parser.end(),
+        elements
+    };
+}
+
+/**
+ * Gets every way of splitting a text into two chunks.
+ * @param {string} text - Text.
+ * @returns {Array.<string[]>} Pairs of chunks.
+ */
+function getSplits(text) {
+    return Array.from({ length: text.length + 1 }, (value, i) => [text.slice(0, i), text.slice(i)]);
+}
+
+describe('createArrayStreamParser', () => {
+    it('streams the elements of an array and leaves it empty in the document', () => {
+        const { json, elements } = parse(['{"assets":[{"assetid":"1"},{"assetid":"2"}],"success":1}'], ['assets']);
+        
+        expect(json).toEqual({ assets: [], success: 1 });
+        expect(elements).toEqual({
+            assets: [{ assetid: '1' }, { assetid: '2' }]
+        });
+    });
+    
+    it('streams nested paths and leaves other arrays in the document', () => {
+        const text = JSON.stringify({
+            result: {
+                status: 1,
+                items: [{ id: 1, attributes: [{ defindex: 142 }] }, { id: 2, attributes: [] }],
+                other: [[1, 2], [3]]
+            },
+            items: [{ id: 3 }]
+        });
+        const { json, elements } = parse([text], ['result.items']);
+        
+        expect(json).toEqual({
+            result: {
+                status: 1,
+                items: [],
+                other: [[1, 2], [3]]
+            },
+            items: [{ id: 3 }]
+        });
+        expect(elements).toEqual({
+            'result.items': [{ id: 1, attributes: [{ defindex: 142 }] }, { id: 2, attributes: [] }]
+        });
+    });
+    
+    it('streams elements which are themselves arrays', () => {
+        const { json, elements } = parse(['{"rows":[[1,[2,3]],[],[{"a":[4]}]]}'], ['rows']);
+        
+        expect(json).toEqual({ rows: [] });
+        expect(elements.rows).toEqual([[1, [2, 3]], [], [{ a: [4] }]]);
+    });
+    
+    it('does not stream arrays within arrays with a matching key', () => {
+        const { json, elements } = parse(['{"pages":[{"assets":[1,2]}],"assets":[3]}'], ['assets']);
+        
+        expect(json).toEqual({ pages: [{ assets: [1, 2] }], assets: [] });
+        expect(elements).toEqual({ assets: [3] });
+    });
+    
+    it('streams several paths and empty arrays', () => {
+        const { json, elements } = parse(['{"assets":[],"descriptions":[{"classid":"1"}]}'], ['assets', 'descriptions']);
+        
+        expect(json).toEqual({ assets: [], descriptions: [] });
+        expect(elements).toEqual({ descriptions: [{ classid: '1' }] });
+    });
+    
+    it('ignores escaped quotes and brackets within strings', () => {
+        const value = {
+            name: 'A "quoted" [name], with {braces} and a \\',
+            ']': '}',
+            'key with "quotes"': ['[', '"', ',']
+        };
+        const text = JSON.stringify({
+            'items"': [1],
+            items: [value, 'a string ], with a bracket'],
+            after: '"items":[2]'
+        });
+        const { json, elements } = parse([text], ['items']);
+        
+        expect(json).toEqual({
+            'items"': [1],
+            items: [],
+            after: '"items":[2]'
+        });
+        expect(elements.items).toEqual([value, 'a string ], with a bracket']);
+    });
+    
+    it('parses the same when keys and strings are split between writes', () => {
+        const document = {
+            result: {
+                'status\\"': 1,
+                items: [{ name: 'Team "Captain"', tags: ['[', ']'] }, { name: '\\' }]
+            },
+            more: true
+        };
+        const text = JSON.stringify(document);
+        
+        getSplits(text).forEach((chunks) => {
+            const { json, elements } = parse(chunks, ['result.items']);
+            
+            expect(json).toEqual({
+                result: {
+                    ...document.result,
+                    items: []
+                },
+                more: true
+            });
+            expect(elements['result.items']).toEqual(document.result.items);
+        });
+    });
+    
+    it('parses the same when written one character at a time', () => {
+        const text = '{ "assets" : [ {"assetid" : "1"} , {"assetid":"2"} ] , "total_inventory_count" : 2 }';
+        const { json, elements } = parse(text.split(''), ['assets']);
+        
+        expect(json).toEqual({ assets: [], total_inventory_count: 2 });
+        expect(elements.assets).toEqual([{ assetid: '1' }, { assetid: '2' }]);
+    });
+    
+    it('keeps multibyte characters split between writes', () => {
+        const document = {
+            'clé €': 'Ünïcödé',
+            descriptions: [{ name: '€ 😀 Ünïcödé' }, { name: '日本語' }]
+        };
+        const text = JSON.stringify(document);
+        
+        // splitting by code unit splits the surrogate pair of the emoji
+        getSplits(text).forEach((chunks) => {
+            const { json, elements } = parse(chunks, ['descriptions']);
+            
+            expect(json).toEqual({ 'clé €': 'Ünïcödé', descriptions: [] });
+            expect(elements.descriptions).toEqual(document.descriptions);
+        });
+    });
+    
+    it('throws for invalid elements', () => {
+        const parser = createArrayStreamParser(['assets'], () => {});
+        
+        expect(() => parser.write('{"assets":[{"assetid":}]}')).toThrow(SyntaxError);
+    });
+});
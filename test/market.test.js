@@ -0,0 +1,52 @@
+'use strict';
+
+const { parsePrice, parseVolume, parseHistoryDate } = require('../market');
+
+describe('parsePrice', () => {
+    it.each([
+        ['$1.23', 123],
+        ['$0.03', 3],
+        ['$1,234.56', 123456],
+        ['1.234,56€', 123456],
+        ['1,23€', 123],
+        ['1,5€', 150],
+        ['£10', 1000],
+        ['R$ 1,23', 123],
+        ['1 234,56 pуб.', 123456],
+        ['CDN$ 12.00', 1200],
+        ['¥ 1,234', 123400],
+        ['1.234 zł', 123400],
+        ['12,-€', 1200]
+    ])('parses "%s" as %i', (value, expected) => {
+        expect(parsePrice(value)).toBe(expected);
+    });
+    
+    it.each([
+        [undefined],
+        [null],
+        [''],
+        ['--'],
+        [123]
+    ])('gives null for %p', (value) => {
+        expect(parsePrice(value)).toBeNull();
+    });
+});
+
+describe('parseVolume', () => {
+    it('parses volumes with thousands separators', () => {
+        expect(parseVolume('1,234')).toBe(1234);
+        expect(parseVolume('12')).toBe(12);
+        expect(parseVolume(7)).toBe(7);
+    });
+    
+    it('gives 0 for missing volumes', () => {
+        expect(parseVolume(undefined)).toBe(0);
+        expect(parseVolume('')).toBe(0);
+    });
+});
+
+describe('parseHistoryDate', () => {
+    it('parses dates from the price history as UTC', () => {
+        expect(parseHistoryDate('Nov 27 2013 01: +0').toISOString()).toBe('2013-11-27T01:00:00.000Z');
+    });
+});
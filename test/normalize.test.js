@@ -0,0 +1,145 @@
+'use strict';
+
+const { normalizeBackpackItem, normalizeInventoryItem } = require('../normalize');
+
+describe('normalizeBackpackItem', () => {
+    const ITEM = {
+        id: 10151297047,
+        original_id: 9834451921,
+        defindex: 200,
+        level: 1,
+        quality: 11,
+        inventory: 2147483650,
+        quantity: 1,
+        origin: 1,
+        attributes: [
+            { defindex: 214, value: 1582, float_value: 2.2169e-42 },
+            { defindex: 500, value: 'A custom string' }
+        ]
+    };
+    
+    it('converts an item', () => {
+        expect(normalizeBackpackItem(ITEM, 440)).toEqual({
+            id: '10151297047',
+            original_id: '9834451921',
+            appid: 440,
+            defindex: 200,
+            name: null,
+            market_hash_name: null,
+            quality: 'Strange',
+            craftable: true,
+            tradable: true,
+            marketable: false,
+            quantity: 1,
+            tags: { Quality: 'Strange' },
+            attributes: { 214: 2.2169e-42, 500: 'A custom string' },
+            icon_url: null
+        });
+    });
+    
+    it('reads flags, custom names and missing quantities', () => {
+        const item = normalizeBackpackItem({
+            ...ITEM,
+            custom_name: 'Boomstick',
+            flag_cannot_craft: true,
+            flag_cannot_trade: true,
+            quantity: undefined
+        }, 440);
+        
+        expect(item.name).toBe('Boomstick');
+        expect(item.craftable).toBe(false);
+        expect(item.tradable).toBe(false);
+        expect(item.quantity).toBe(1);
+    });
+    
+    it('has no quality or tags for an unknown quality', () => {
+        const item = normalizeBackpackItem({ ...ITEM, quality: 99, attributes: undefined }, 440);
+        
+        expect(item.quality).toBeNull();
+        expect(item.tags).toEqual({});
+        expect(item.attributes).toEqual({});
+    });
+});
+
+describe('normalizeInventoryItem', () => {
+    const ITEM = {
+        appid: 440,
+        contextid: '2',
+        assetid: '11532118470',
+        classid: '101785959',
+        instanceid: '11040578',
+        amount: '1',
+        name: 'Mann Co. Supply Crate Key',
+        market_hash_name: 'Mann Co. Supply Crate Key',
+        icon_url: 'fWFc82js0fmoRAP-qOIPu5THSWqfSmTELLqcUywGkijVjZULUrsm1j-9xgEAaR4uURrwvz0N252yVaDVWrRTno9m4ccG2GNqxlQoZrC2aG9hcVGUWflbX_drrVu5UGki5sAij6tOtQ',
+        tradable: 1,
+        marketable: 1,
+        tags: [
+            { category: 'Quality', internal_name: 'Unique', localized_tag_name: 'Unique' },
+            { category: 'Type', internal_name: 'TF_T', localized_tag_name: 'Tool' }
+        ],
+        app_data: { def_index: '5021', quality: '6' }
+    };
+    
+    it('converts an item', () => {
+        expect(normalizeInventoryItem(ITEM)).toEqual({
+            id: '11532118470',
+            appid: 440,
+            contextid: '2',
+            classid: '101785959',
+            instanceid: '11040578',
+            defindex: 5021,
+            name: 'Mann Co. Supply Crate Key',
+            market_hash_name: 'Mann Co. Supply Crate Key',
+            quality: 'Unique',
+            craftable: true,
+            tradable: true,
+            marketable: true,
+            quantity: 1,
+            tags: { Quality: 'Unique', Type: 'Tool' },
+            attributes: {},
+            icon_url: `https://community.cloudflare.steamstatic.com/economy/image/${ITEM.icon_url}`
+        });
+    });
+    
+    it('reads flags and amounts', () => {
+        const item = normalizeInventoryItem({
+            ...ITEM,
+            tradable: 0,
+            marketable: 0,
+            amount: '25',
+            descriptions: [
+                { type: 'text', value: '( Not Usable in Crafting )' }
+            ]
+        });
+        
+        expect(item.craftable).toBe(false);
+        expect(item.tradable).toBe(false);
+        expect(item.marketable).toBe(false);
+        expect(item.quantity).toBe(25);
+    });
+    
+    it('uses tag names when there are no localized names', () => {
+        const item = normalizeInventoryItem({
+            ...ITEM,
+            tags: [{ category: 'Quality', name: 'Strange' }]
+        });
+        
+        expect(item.quality).toBe('Strange');
+        expect(item.tags).toEqual({ Quality: 'Strange' });
+    });
+    
+    it('has no quality, defindex or icon when they are missing', () => {
+        const item = normalizeInventoryItem({
+            ...ITEM,
+            tags: undefined,
+            app_data: undefined,
+            icon_url: undefined
+        });
+        
+        expect(item.quality).toBeNull();
+        expect(item.tags).toEqual({});
+        expect(item.defindex).toBeUndefined();
+        expect(item.icon_url).toBeNull();
+    });
+});
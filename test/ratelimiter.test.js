@@ -0,0 +1,92 @@
+'use strict';
+
+const { createRateLimiter } = require('../ratelimiter');
+
+describe('createRateLimiter', () => {
+    it('lets a burst of bucketSize through, then one token for each interval', async () => {
+        const limiter = createRateLimiter({ tokensPerInterval: 1, interval: 50, bucketSize: 2 });
+        const started = Date.now();
+        const times = [];
+        
+        await Promise.all([0, 1, 2, 3].map(async () => {
+            await limiter.removeToken();
+            times.push(Date.now() - started);
+        }));
+        
+        expect(times[0]).toBeLessThan(25);
+        expect(times[1]).toBeLessThan(25);
+        expect(times[2]).toBeGreaterThanOrEqual(45);
+        expect(times[3]).toBeGreaterThanOrEqual(95);
+    });
+    
+    it('serves callers in the order they asked', async () => {
+        const limiter = createRateLimiter({ tokensPerInterval: 1, interval: 10 });
+        const order = [];
+        
+        await Promise.all([0, 1, 2, 3, 4].map((i) => {
+            return limiter.schedule(() => order.push(i));
+        }));
+        
+        expect(order).toEqual([0, 1, 2, 3, 4]);
+    });
+    
+    it('counts the callers waiting for a token', async () => {
+        const limiter = createRateLimiter({ tokensPerInterval: 1, interval: 20 });
+        const first = limiter.removeToken();
+        const rest = [limiter.removeToken(), limiter.removeToken()];
+        
+        await first;
+        
+        expect(limiter.getQueueLength()).toBe(2);
+        
+        await rest[0];
+        
+        expect(limiter.getQueueLength()).toBe(1);
+        
+        await rest[1];
+        
+        expect(limiter.getQueueLength()).toBe(0);
+    });
+    
+    it('gives up the place in the queue of an aborted caller', async () => {
+        const limiter = createRateLimiter({ tokensPerInterval: 1, interval: 50 });
+        const controller = new AbortController();
+        const order = [];
+        
+        await limiter.removeToken();
+        
+        const aborted = limiter.schedule(() => order.push('aborted'), controller.signal);
+        const next = limiter.schedule(() => order.push('next'));
+        
+        expect(limiter.getQueueLength()).toBe(2);
+        
+        controller.abort(new Error('Stopped'));
+        
+        await expect(aborted).rejects.toThrow('Stopped');
+        expect(limiter.getQueueLength()).toBe(1);
+        
+        const started = Date.now();
+        
+        await next;
+        
+        expect(order).toEqual(['next']);
+        // the aborted caller did not take the token
+        expect(Date.now() - started).toBeLessThan(75);
+    });
+    
+    it('rejects straight away with an aborted signal without taking a token', async () => {
+        const limiter = createRateLimiter({ tokensPerInterval: 1, interval: 1000 });
+        const controller = new AbortController();
+        
+        controller.abort(new Error('Stopped'));
+        
+        await expect(limiter.removeToken(controller.signal)).rejects.toThrow('Stopped');
+        expect(limiter.getQueueLength()).toBe(0);
+        
+        const started = Date.now();
+        
+        await limiter.removeToken();
+        
+        expect(Date.now() - started).toBeLessThan(25);
+    });
+});
@@ -0,0 +1,28 @@
+'use strict';
+
+/**
+ * Preloaded with --require when the tests run the command line interface, so that its responses
+ * are replayed from the committed fixtures. Every API created by the command gets the replay
+ * transport, without the command knowing about it.
+ */
+
+const path = require('path');
+
+const INDEX = require.resolve('../index');
+const createSteamAPI = require(INDEX);
+const transport = createSteamAPI.createReplayTransport(path.join(__dirname, 'fixtures'));
+
+/**
+ * Creates an API which replays the fixtures.
+ * @param {string} apiKey - API key.
+ * @param {object} [apiOptions={}] - Options.
+ * @returns {object} API.
+ */
+function createReplayingSteamAPI(apiKey, apiOptions = {}) {
+    return createSteamAPI(apiKey, {
+        ...apiOptions,
+        transport
+    });
+}
+
+require.cache[INDEX].exports = Object.assign(createReplayingSteamAPI, createSteamAPI);
@@ -0,0 +1,134 @@
+'use strict';
+
+const SteamID = require('../steamid');
+const { InvalidSteamIDError } = require('../errors');
+
+// Rabscuttle, account id 22202
+const STEAMID64 = '76561197960287930';
+
+describe('SteamID', () => {
+    describe('parse', () => {
+        it.each([
+            ['a 64-bit SteamID', STEAMID64],
+            ['a 64-bit SteamID with whitespace', ` ${STEAMID64}\n`],
+            ['a 64-bit SteamID as a BigInt', BigInt(STEAMID64)],
+            ['a Steam2 ID', 'STEAM_0:0:11101'],
+            ['a Steam2 ID in the newer format', 'STEAM_1:0:11101'],
+            ['a Steam3 ID', '[U:1:22202]'],
+            ['a Steam3 ID without brackets', 'U:1:22202'],
+            ['an account id', 22202],
+            ['a profile URL', `https://steamcommunity.com/profiles/${STEAMID64}/`],
+            ['a profile URL without a protocol', `steamcommunity.com/profiles/${STEAMID64}?l=english`],
+            ['a parsed SteamID', { accountid: 22202 }]
+        ])('parses %s', (description, input) => {
+            expect(SteamID.parse(input)).toEqual({
+                universe: 1,
+                type: SteamID.TYPE.INDIVIDUAL,
+                instance: 1,
+                accountid: 22202
+            });
+        });
+        
+        it('parses Steam3 IDs of other account types', () => {
+            expect(SteamID.parse('[g:1:4]')).toEqual({
+                universe: 1,
+                type: SteamID.TYPE.CLAN,
+                instance: 0,
+                accountid: 4
+            });
+            expect(SteamID.parse('[A:1:123:456]').instance).toBe(456);
+        });
+        
+        it.each([
+            ['an account id as a string', '22202'],
+            ['an account id as a BigInt', 22202n],
+            ['a profile URL with an account id', 'https://steamcommunity.com/profiles/22202'],
+            ['a number larger than an account id', Number.MAX_SAFE_INTEGER],
+            ['a negative number', -1],
+            ['a number which is not an integer', 1.5],
+            ['a 64-bit SteamID as a number', 76561197960287930],
+            ['a numeric string larger than 64 bits', '18446744073709551616'],
+            ['a 64-bit SteamID with an invalid universe', '4503599627392634'],
+            ['an individual account without an account id', '76561197960265728'],
+            ['a Steam2 ID with an invalid universe', 'STEAM_6:0:11101'],
+            ['a Steam3 ID with an unknown letter', '[X:1:22202]'],
+            ['a vanity URL', 'https://steamcommunity.com/id/rabscuttle'],
+            ['a vanity URL name', 'rabscuttle'],
+            ['an empty string', ''],
+            ['null', null],
+            ['undefined', undefined],
+            ['an object without an account id', {}]
+        ])('rejects %s', (description, input) => {
+            expect(() => SteamID.parse(input)).toThrow(InvalidSteamIDError);
+        });
+        
+        it('gives the input and a reason with the error', () => {
+            let error;
+            
+            try {
+                SteamID.parse('22202');
+            } catch (e) {
+                error = e;
+            }
+            
+            expect(error.input).toBe('22202');
+            expect(error.message).toBe('Numeric strings are read as 64-bit SteamIDs, pass account ids as numbers. Got "22202".');
+        });
+        
+        it('asks for vanity URLs to be resolved', () => {
+            expect(() => SteamID.parse('https://steamcommunity.com/id/rabscuttle')).toThrow('Vanity URLs must be resolved, e.g. using resolveVanityURL.');
+        });
+    });
+    
+    describe('isValid', () => {
+        it('checks whether the input can be parsed', () => {
+            expect(SteamID.isValid(STEAMID64)).toBe(true);
+            expect(SteamID.isValid(22202)).toBe(true);
+            expect(SteamID.isValid('22202')).toBe(false);
+            expect(SteamID.isValid('rabscuttle')).toBe(false);
+        });
+    });
+    
+    describe('toSteamID64', () => {
+        it.each([
+            [STEAMID64],
+            ['STEAM_0:0:11101'],
+            ['[U:1:22202]'],
+            [22202]
+        ])('converts %p', (input) => {
+            expect(SteamID.toSteamID64(input)).toBe(STEAMID64);
+        });
+        
+        it('converts group SteamIDs', () => {
+            expect(SteamID.toSteamID64('[g:1:4]')).toBe('103582791429521412');
+            expect(SteamID.parse('103582791429521412').type).toBe(SteamID.TYPE.CLAN);
+        });
+    });
+    
+    describe('toSteam2', () => {
+        it('converts to a Steam2 ID', () => {
+            expect(SteamID.toSteam2(STEAMID64)).toBe('STEAM_0:0:11101');
+            expect(SteamID.toSteam2(STEAMID64, true)).toBe('STEAM_1:0:11101');
+            expect(SteamID.toSteam2(22203)).toBe('STEAM_0:1:11101');
+        });
+        
+        it('rejects accounts which are not individual accounts', () => {
+            expect(() => SteamID.toSteam2('[g:1:4]')).toThrow(InvalidSteamIDError);
+        });
+    });
+    
+    describe('toSteam3', () => {
+        it('converts to a Steam3 ID', () => {
+            expect(SteamID.toSteam3(STEAMID64)).toBe('[U:1:22202]');
+            expect(SteamID.toSteam3('103582791429521412')).toBe('[g:1:4]');
+            expect(SteamID.toSteam3('[U:1:22202:2]')).toBe('[U:1:22202:2]');
+        });
+    });
+    
+    describe('toAccountID', () => {
+        it('gets the account id', () => {
+            expect(SteamID.toAccountID(STEAMID64)).toBe(22202);
+            expect(SteamID.toAccountID('STEAM_0:1:11101')).toBe(22203);
+        });
+    });
+});
@@ -0,0 +1,115 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const createSteamAPI = require('../index');
+
+const {
+    createReplayTransport,
+    createTF2Decoder,
+    loadSchema,
+    saveSchema
+} = createSteamAPI;
+const FIXTURES = path.join(__dirname, 'fixtures');
+const STEAMID = '76561197960435530';
+
+describe('createTF2Decoder', () => {
+    const steam = createSteamAPI('any key', {
+        transport: createReplayTransport(FIXTURES)
+    });
+    let items;
+    
+    beforeAll(async () => {
+        const decode = createTF2Decoder(await steam.getSchema('440'));
+        const backpack = await steam.getBackpack('440', STEAMID);
+        
+        items = backpack.items.map(decode);
+    });
+    
+    it('decodes unusual effects', () => {
+        const [hat] = items;
+        
+        expect(hat.name).toBe('Team Captain');
+        expect(hat.quality).toEqual({ id: 5, name: 'Unusual' });
+        expect(hat.effect).toEqual({ id: 13, name: 'Burning Flames' });
+    });
+    
+    it('decodes paint with the name of its paint can', () => {
+        expect(items[0].paint).toEqual({ color: '7D4071', name: 'A Deep Commitment to Purple' });
+    });
+    
+    it('decodes craft numbers', () => {
+        expect(items[0].craft_number).toBe(77);
+        expect(items[1].craft_number).toBeNull();
+    });
+    
+    it('decodes killstreaks', () => {
+        expect(items[1].killstreak).toEqual({
+            tier: 3,
+            tier_name: 'Professional Killstreak',
+            sheen: 'Agonizing Emerald',
+            killstreaker: 'Tornado'
+        });
+        expect(items[0].killstreak).toBeNull();
+    });
+    
+    it('decodes strange counters and parts', () => {
+        expect(items[1].quality).toEqual({ id: 11, name: 'Strange' });
+        expect(items[1].strange_parts).toEqual([
+            { type: 0, name: 'Kills', count: 1582 },
+            { type: 17, name: 'Engineers Killed', count: 31 }
+        ]);
+    });
+    
+    it('decodes items without attributes', () => {
+        expect(items[2]).toMatchObject({
+            name: 'Mann Co. Supply Crate Key',
+            quality: { id: 6, name: 'Unique' },
+            tradable: true,
+            craft_number: null,
+            effect: null,
+            paint: null,
+            killstreak: null,
+            strange_parts: [],
+            spells: []
+        });
+        expect(items[1].tradable).toBe(false);
+    });
+    
+    it('decodes the same with a saved schema', async () => {
+        const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'steam-schema-'));
+        const filepath = path.join(dir, 'schema-440.json');
+        
+        try {
+            await saveSchema(filepath, await steam.getSchema('440'));
+            
+            const decode = createTF2Decoder(await loadSchema(filepath));
+            const backpack = await steam.getBackpack('440', STEAMID);
+            
+            expect(backpack.items.map(decode)).toEqual(items);
+        } finally {
+            await fs.promises.rm(dir, { recursive: true, force: true });
+        }
+    });
+    
+    it('decodes without names when there is no schema', () => {
+        const decode = createTF2Decoder();
+        const [hat] = items;
+        const item = decode({
+            id: hat.id,
+            original_id: hat.original_id,
+            defindex: 378,
+            quality: 5,
+            attributes: [
+                { defindex: 134, value: 1095761920, float_value: 13 },
+                { defindex: 142, value: 1258424049, float_value: 8208497 }
+            ]
+        });
+        
+        expect(item.name).toBeNull();
+        expect(item.quality).toEqual({ id: 5, name: 'Unusual' });
+        expect(item.effect).toEqual({ id: 13, name: null });
+        expect(item.paint).toEqual({ color: '7D4071', name: null });
+    });
+});
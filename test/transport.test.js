@@ -0,0 +1,342 @@
+'use strict';
+
+const http = require('http');
+const zlib = require('zlib');
+const { createHTTPTransport } = require('../transport');
+const { getJSON } = require('../requests');
+const { SteamTimeoutError } = require('../errors');
+
+/**
+ * Starts a local server.
+ * @param {function(http.IncomingMessage, http.ServerResponse)} handler - Request handler.
+ * @returns {Promise.<object>} Resolves with the server, its url, the number of connections it accepted and a function which closes it.
+ */
+async function listen(handler) {
+    const server = http.createServer(handler);
+    const result = {
+        server,
+        connections: 0,
+        close() {
+            // stalled responses would keep the server open
+            server.closeAllConnections();
+            
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+    
+    server.on('connection', () => {
+        result.connections += 1;
+    });
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    
+    result.url = `http://127.0.0.1:${server.address().port}`;
+    
+    return result;
+}
+
+/**
+ * Sends a GET request with a transport.
+ * @param {Transport} transport - Transport.
+ * @param {string} url - URL.
+ * @returns {Promise.<TransportResponse>} Resolves with the response.
+ */
+function get(transport, url) {
+    return transport({
+        method: 'GET',
+        url,
+        headers: {}
+    });
+}
+
+describe('createHTTPTransport', () => {
+    const servers = [];
+    
+    async function start(handler) {
+        const server = await listen(handler);
+        
+        servers.push(server);
+        
+        return server;
+    }
+    
+    afterEach(async () => {
+        await Promise.all(servers.splice(0).map(server => server.close()));
+    });
+    
+    describe('timeouts', () => {
+        it('fails when the socket is idle for socketTimeout', async () => {
+            // never responds
+            const { url } = await start(() => {});
+            const transport = createHTTPTransport({ socketTimeout: 50 });
+            const started = Date.now();
+            
+            await expect(get(transport, `${url}/stall`)).rejects.toThrow(SteamTimeoutError);
+            await expect(get(transport, `${url}/stall`)).rejects.toThrow('Socket was idle for 50ms.');
+            expect(Date.now() - started).toBeLessThan(1000);
+        });
+        
+        it('fails when the whole response takes longer than responseTimeout', async () => {
+            // sends a little of the body often enough that the socket is never idle
+            const { url } = await start((request, response) => {
+                const timer = setInterval(() => response.write(' '), 10);
+                
+                response.writeHead(200, { 'content-type': 'application/json' });
+                response.on('close', () => clearInterval(timer));
+            });
+            const transport = createHTTPTransport({ socketTimeout: 1000, responseTimeout: 100 });
+            const error = await get(transport, `${url}/trickle`).catch(error => error);
+            
+            expect(error).toBeInstanceOf(SteamTimeoutError);
+            expect(error.message).toBe('Response took longer than 100ms.');
+            expect(error.url).toBe(`${url}/trickle`);
+        });
+        
+        it('applies responseTimeout while a streamed body is read', async () => {
+            const { url } = await start((request, response) => {
+                const timer = setInterval(() => response.write(' '), 10);
+                
+                response.writeHead(200);
+                response.on('close', () => clearInterval(timer));
+            });
+            const transport = createHTTPTransport({ responseTimeout: 100 });
+            const { body } = await transport({
+                method: 'GET',
+                url: `${url}/trickle`,
+                headers: {},
+                stream: true
+            });
+            
+            await expect(new Promise((resolve, reject) => {
+                body.on('data', () => {});
+                body.on('end', resolve);
+                body.on('error', reject);
+            })).rejects.toThrow('Response took longer than 100ms.');
+        });
+    });
+    
+    describe('compression', () => {
+        const JSON_BODY = JSON.stringify({
+            assets: Array.from({ length: 200 }, (value, i) => ({ assetid: String(i), name: 'Ünïcödé €' })),
+            success: 1
+        });
+        const COMPRESSORS = {
+            gzip: zlib.gzipSync,
+            deflate: zlib.deflateSync,
+            br: zlib.brotliCompressSync
+        };
+        let server;
+        
+        beforeEach(async () => {
+            server = await start((request, response) => {
+                const encoding = request.url.slice(1);
+                
+                server.acceptEncoding = request.headers['accept-encoding'];
+                response.writeHead(200, {
+                    'content-type': 'application/json; charset=utf-8',
+                    'content-encoding': encoding
+                });
+                response.end(COMPRESSORS[encoding](JSON_BODY));
+            });
+        });
+        
+        it('asks for compressed responses', async () => {
+            await get(createHTTPTransport(), `${server.url}/gzip`);
+            
+            expect(server.acceptEncoding).toBe('gzip, deflate, br');
+            
+            await get(createHTTPTransport({ compress: false }), `${server.url}/gzip`);
+            
+            expect(server.acceptEncoding).toBeUndefined();
+        });
+        
+        it.each(Object.keys(COMPRESSORS))('decompresses %s bodies', async (encoding) => {
+            const response = await get(createHTTPTransport(), `${server.url}/${encoding}`);
+            
+            expect(response.body).toBe(JSON_BODY);
+            expect(response.headers['content-encoding']).toBeUndefined();
+            expect(response.headers['content-length']).toBeUndefined();
+        });
+        
+        it.each(Object.keys(COMPRESSORS))('decompresses streamed %s bodies', async (encoding) => {
+            const response = await createHTTPTransport()({
+                method: 'GET',
+                url: `${server.url}/${encoding}`,
+                headers: {},
+                stream: true
+            });
+            const chunks = [];
+            
+            for await (const chunk of response.body) {
+                chunks.push(chunk);
+            }
+            
+            expect(Buffer.concat(chunks).toString('utf8')).toBe(JSON_BODY);
+        });
+        
+        it.each(Object.keys(COMPRESSORS))('parses %s bodies with streamed arrays', async (encoding) => {
+            const json = await getJSON({
+                uri: `${server.url}/${encoding}`,
+                transport: createHTTPTransport(),
+                streamArrays: ['assets']
+            });
+            
+            expect(json).toEqual(JSON.parse(JSON_BODY));
+        });
+        
+        it('keeps multibyte characters split between chunks of a streamed body', async () => {
+            const body = Buffer.from(JSON.stringify({ assets: [{ name: '€' }], success: 1 }));
+            // the middle of the three bytes of the euro sign
+            const middle = body.indexOf(Buffer.from('€')) + 1;
+            
+            server = await start((request, response) => {
+                response.writeHead(200, { 'content-type': 'application/json' });
+                response.write(body.slice(0, middle));
+                setTimeout(() => response.end(body.slice(middle)), 20);
+            });
+            
+            const json = await getJSON({
+                uri: `${server.url}/`,
+                transport: createHTTPTransport(),
+                streamArrays: ['assets']
+            });
+            
+            expect(json).toEqual({ assets: [{ name: '€' }], success: 1 });
+        });
+    });
+    
+    describe('keepAlive', () => {
+        function respond(request, response) {
+            response.end('{}');
+        }
+        
+        it('reuses a socket for requests one after another', async () => {
+            const server = await start(respond);
+            const transport = createHTTPTransport();
+            
+            await get(transport, `${server.url}/1`);
+            await get(transport, `${server.url}/2`);
+            await get(transport, `${server.url}/3`);
+            
+            expect(server.connections).toBe(1);
+        });
+        
+        it('opens a socket for each request when it is off', async () => {
+            const server = await start(respond);
+            const transport = createHTTPTransport({ keepAlive: false });
+            
+            await get(transport, `${server.url}/1`);
+            await get(transport, `${server.url}/2`);
+            
+            expect(server.connections).toBe(2);
+        });
+    });
+    
+    describe('proxies', () => {
+        /**
+         * Starts a proxy which records each request, responds to plain http requests itself and
+         * refuses to open tunnels.
+         * @param {string} name - Name which is sent back in responses.
+         * @returns {Promise.<object>} Resolves with the proxy and the requests it was sent.
+         */
+        async function startProxy(name) {
+            const requests = [];
+            const proxy = await start((request, response) => {
+                requests.push({
+                    method: request.method,
+                    url: request.url,
+                    headers: request.headers
+                });
+                response.end(JSON.stringify({ proxy: name }));
+            });
+            
+            proxy.server.on('connect', (request, socket) => {
+                requests.push({
+                    method: request.method,
+                    url: request.url,
+                    headers: request.headers
+                });
+                socket.end('HTTP/1.1 407 Proxy Authentication Required\r\n\r\n');
+            });
+            
+            return {
+                ...proxy,
+                requests
+            };
+        }
+        
+        function withCredentials(url) {
+            return url.replace('http://', 'http://steam%20user:p%40ss@');
+        }
+        
+        it('sends plain http requests to the proxy with the full url and credentials', async () => {
+            const proxy = await startProxy('proxy');
+            const transport = createHTTPTransport({ proxy: withCredentials(proxy.url) });
+            const response = await get(transport, 'http://api.steampowered.com/ISteamUser/GetPlayerSummaries/v2/?steamids=1');
+            
+            expect(JSON.parse(response.body)).toEqual({ proxy: 'proxy' });
+            expect(proxy.requests).toHaveLength(1);
+            expect(proxy.requests[0]).toMatchObject({
+                method: 'GET',
+                url: 'http://api.steampowered.com/ISteamUser/GetPlayerSummaries/v2/?steamids=1',
+                headers: {
+                    host: 'api.steampowered.com',
+                    'proxy-authorization': `Basic ${Buffer.from('steam user:p@ss').toString('base64')}`
+                }
+            });
+        });
+        
+        it('opens a CONNECT tunnel with credentials for https requests', async () => {
+            const proxy = await startProxy('proxy');
+            const transport = createHTTPTransport({ proxy: withCredentials(proxy.url) });
+            
+            await expect(get(transport, 'https://api.steampowered.com/ISteamUser/GetPlayerSummaries/v2/'))
+                .rejects.toThrow('Proxy responded with 407 to CONNECT.');
+            expect(proxy.requests).toHaveLength(1);
+            expect(proxy.requests[0]).toMatchObject({
+                method: 'CONNECT',
+                url: 'api.steampowered.com:443',
+                headers: {
+                    host: 'api.steampowered.com:443',
+                    'proxy-authorization': `Basic ${Buffer.from('steam user:p@ss').toString('base64')}`
+                }
+            });
+        });
+        
+        it('sends no credentials to a proxy without them', async () => {
+            const proxy = await startProxy('proxy');
+            const transport = createHTTPTransport({ proxy: proxy.url });
+            
+            await get(transport, 'http://api.steampowered.com/');
+            await get(transport, 'https://api.steampowered.com/').catch(() => {});
+            
+            expect(proxy.requests.map(request => request.method)).toEqual(['GET', 'CONNECT']);
+            expect(proxy.requests.map(request => request.headers['proxy-authorization'])).toEqual([undefined, undefined]);
+        });
+        
+        it('rotates through communityProxies for steamcommunity.com only', async () => {
+            const proxies = await Promise.all(['a', 'b', 'c'].map(startProxy));
+            const proxy = await startProxy('default');
+            const transport = createHTTPTransport({
+                proxy: proxy.url,
+                communityProxies: proxies.map(communityProxy => communityProxy.url)
+            });
+            const names = [];
+            
+            for (let i = 0; i < 4; i++) {
+                const response = await get(transport, `http://steamcommunity.com/inventory/${i}/440/2`);
+                
+                names.push(JSON.parse(response.body).proxy);
+            }
+            
+            const response = await get(transport, 'http://api.steampowered.com/');
+            
+            expect(names).toEqual(['a', 'b', 'c', 'a']);
+            expect(JSON.parse(response.body).proxy).toBe('default');
+            expect(proxies[0].requests.map(request => request.url)).toEqual([
+                'http://steamcommunity.com/inventory/0/440/2',
+                'http://steamcommunity.com/inventory/3/440/2'
+            ]);
+        });
+    });
+});
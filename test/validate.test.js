@@ -0,0 +1,155 @@
+'use strict';
+
+const { findMismatch, getValueAtPath } = require('../validate');
+const { RESPONSE_SCHEMAS } = require('../schemas');
+
+describe('findMismatch', () => {
+    const SCHEMA = {
+        type: 'object',
+        required: ['result'],
+        properties: {
+            result: {
+                type: 'object',
+                required: ['status', 'items'],
+                properties: {
+                    status: { type: 'number' },
+                    items: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            required: ['id'],
+                            properties: {
+                                id: { type: 'number' },
+                                name: { type: ['string', 'null'] }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+    
+    it('gives null for a value which matches', () => {
+        expect(findMismatch(SCHEMA, {
+            result: {
+                status: 1,
+                items: [{ id: 1, name: 'Key' }, { id: 2, name: null }],
+                // properties which are not in the schema are allowed
+                num_backpack_slots: 300
+            }
+        })).toBeNull();
+    });
+    
+    it('gives an empty path for the value itself', () => {
+        expect(findMismatch(SCHEMA, [])).toEqual({
+            path: '',
+            message: 'Expected object, got array.'
+        });
+        expect(findMismatch(SCHEMA, null)).toEqual({
+            path: '',
+            message: 'Expected object, got null.'
+        });
+    });
+    
+    it('gives the path of a missing required property', () => {
+        expect(findMismatch(SCHEMA, {})).toEqual({
+            path: 'result',
+            message: 'Missing required property.'
+        });
+        expect(findMismatch(SCHEMA, { result: { items: [] } })).toEqual({
+            path: 'result.status',
+            message: 'Missing required property.'
+        });
+    });
+    
+    it('gives the path of an element of an array', () => {
+        const value = {
+            result: {
+                status: 1,
+                items: [{ id: 1 }, { id: 2 }, { name: 'Crate' }]
+            }
+        };
+        
+        expect(findMismatch(SCHEMA, value)).toEqual({
+            path: 'result.items[2].id',
+            message: 'Missing required property.'
+        });
+        
+        value.result.items[2].id = 3;
+        value.result.items[1].name = 1;
+        
+        expect(findMismatch(SCHEMA, value)).toEqual({
+            path: 'result.items[1].name',
+            message: 'Expected string or null, got number.'
+        });
+    });
+    
+    it('gives the path within nested arrays', () => {
+        const schema = {
+            type: 'array',
+            items: {
+                type: 'array',
+                items: { type: 'number' }
+            }
+        };
+        
+        expect(findMismatch(schema, [[1, 2], [3, '4']])).toEqual({
+            path: '[1][1]',
+            message: 'Expected number, got string.'
+        });
+        expect(findMismatch(schema, [[1, 2], [3, '4']], 'prices')).toMatchObject({
+            path: 'prices[1][1]'
+        });
+    });
+    
+    it('checks properties which are not in properties against additionalProperties', () => {
+        const schema = {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean' }
+            },
+            additionalProperties: {
+                type: 'object',
+                required: ['classid']
+            }
+        };
+        
+        expect(findMismatch(schema, { success: true, 1: { classid: '1' } })).toBeNull();
+        expect(findMismatch(schema, { success: true, 1: { classid: '1' }, 2: {} })).toEqual({
+            path: '2.classid',
+            message: 'Missing required property.'
+        });
+        expect(findMismatch(schema, { success: true, error: 'Invalid classid' })).toEqual({
+            path: 'error',
+            message: 'Expected object, got string.'
+        });
+    });
+    
+    it('allows any type without a type', () => {
+        const schema = {
+            properties: {
+                value: {}
+            }
+        };
+        
+        expect(findMismatch(schema, { value: 1 })).toBeNull();
+        expect(findMismatch(schema, { value: [null] })).toBeNull();
+        expect(findMismatch(schema, 'a string')).toBeNull();
+    });
+    
+    it('accepts a null inventory from a private profile', () => {
+        expect(findMismatch(RESPONSE_SCHEMAS.Inventory, null)).toBeNull();
+    });
+});
+
+describe('getValueAtPath', () => {
+    it('gets a nested value', () => {
+        expect(getValueAtPath({ result: { status: 15 } }, 'result.status')).toBe(15);
+    });
+    
+    it('gives undefined when part of the path is missing', () => {
+        expect(getValueAtPath({ result: null }, 'result.status')).toBeUndefined();
+        expect(getValueAtPath({}, 'result.status')).toBeUndefined();
+        expect(getValueAtPath(null, 'result')).toBeUndefined();
+    });
+});
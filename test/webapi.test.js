@@ -0,0 +1,268 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const createSteamAPI = require('../index');
+const { getMethodParams, createWebAPIInterfaces } = require('../webapi');
+const { generateDeclarations } = require('../scripts/webapi-declarations');
+const SUPPORTED_API_LIST = require('../supported-api-list.json');
+
+const { createStubServer, MissingParameterError } = createSteamAPI;
+const GET_COLLECTION_DETAILS = {
+    name: 'GetCollectionDetails',
+    version: 1,
+    httpmethod: 'POST',
+    parameters: [
+        { name: 'collectioncount', type: 'uint32', optional: false },
+        { name: 'publishedfileids[0]', type: 'uint64', optional: false }
+    ]
+};
+const GET_FRIEND_LIST = {
+    name: 'GetFriendList',
+    version: 1,
+    httpmethod: 'GET',
+    parameters: [
+        { name: 'key', type: 'string', optional: false },
+        { name: 'steamid', type: 'uint64', optional: false },
+        { name: 'relationship', type: 'string', optional: true }
+    ]
+};
+
+describe('getMethodParams', () => {
+    it('gives the parameters which were set', () => {
+        const params = getMethodParams('ISteamUser', GET_FRIEND_LIST, {
+            key: 'SECRET',
+            steamid: '76561197960287930',
+            relationship: undefined,
+            format: 'json'
+        });
+        
+        expect(params).toEqual({
+            key: 'SECRET',
+            steamid: '76561197960287930',
+            format: 'json'
+        });
+    });
+    
+    it('expands arrays given for array parameters', () => {
+        const params = getMethodParams('ISteamRemoteStorage', GET_COLLECTION_DETAILS, {
+            collectioncount: 2,
+            publishedfileids: ['1', '2']
+        });
+        
+        expect(params).toEqual({
+            collectioncount: 2,
+            'publishedfileids[0]': '1',
+            'publishedfileids[1]': '2'
+        });
+    });
+    
+    it('accepts array parameters given by index', () => {
+        const params = getMethodParams('ISteamRemoteStorage', GET_COLLECTION_DETAILS, {
+            collectioncount: 1,
+            'publishedfileids[0]': '1'
+        });
+        
+        expect(params['publishedfileids[0]']).toBe('1');
+    });
+    
+    it('does not expand arrays given for other parameters', () => {
+        const params = getMethodParams('ISteamUser', GET_FRIEND_LIST, {
+            key: 'SECRET',
+            steamid: ['1', '2']
+        });
+        
+        expect(params.steamid).toEqual(['1', '2']);
+    });
+    
+    it('throws a MissingParameterError naming each missing parameter', () => {
+        let error;
+        
+        try {
+            getMethodParams('ISteamRemoteStorage', GET_COLLECTION_DETAILS, {
+                collectioncount: 1,
+                publishedfileids: []
+            });
+        } catch (e) {
+            error = e;
+        }
+        
+        expect(error).toBeInstanceOf(MissingParameterError);
+        expect(error.parameters).toEqual(['publishedfileids']);
+        expect(error.message).toBe('ISteamRemoteStorage/GetCollectionDetails/v1 requires publishedfileids.');
+    });
+});
+
+describe('createWebAPIInterfaces', () => {
+    const apiList = {
+        apilist: {
+            interfaces: [
+                {
+                    name: 'ISteamUser',
+                    methods: [
+                        { ...GET_FRIEND_LIST, name: 'GetPlayerSummaries', version: 2 },
+                        { ...GET_FRIEND_LIST, name: 'GetPlayerSummaries', version: 1 },
+                        GET_FRIEND_LIST
+                    ]
+                }
+            ]
+        }
+    };
+    
+    it('calls the latest version of each method by default', async () => {
+        const callMethod = jest.fn(async () => ({ response: {} }));
+        const interfaces = createWebAPIInterfaces(apiList, callMethod);
+        
+        expect(await interfaces.ISteamUser.GetPlayerSummaries({ steamids: '1' })).toEqual({ response: {} });
+        expect(callMethod).toHaveBeenCalledWith('ISteamUser', apiList.apilist.interfaces[0].methods[0], { steamids: '1' });
+    });
+    
+    it('calls each version by number', async () => {
+        const callMethod = jest.fn(async () => ({}));
+        const interfaces = createWebAPIInterfaces(apiList, callMethod);
+        
+        await interfaces.ISteamUser.GetPlayerSummaries.v1();
+        await interfaces.ISteamUser.GetPlayerSummaries.v2();
+        
+        expect(callMethod.mock.calls.map(([, method, params]) => [method.version, params])).toEqual([
+            [1, {}],
+            [2, {}]
+        ]);
+        expect(interfaces.ISteamUser.GetFriendList.v2).toBeUndefined();
+    });
+});
+
+describe('Web API interfaces', () => {
+    let server;
+    
+    beforeAll(async () => {
+        server = await createStubServer({
+            routes: {
+                '/ISteamUser/GetFriendList/v1/': { friendslist: { friends: [] } },
+                '/ISteamRemoteStorage/GetCollectionDetails/v1/': { response: { resultcount: 2 } },
+                // the first request fails and any after succeed
+                '/IEconService/': () => {
+                    if (server.requests.length === 1) {
+                        return { statusCode: 503, json: {} };
+                    }
+                    
+                    return { json: { response: {} } };
+                }
+            }
+        });
+    });
+    
+    beforeEach(() => {
+        server.requests.length = 0;
+    });
+    
+    afterAll(async () => {
+        await server.close();
+    });
+    
+    it('sends GET methods with a query string', async () => {
+        const steam = createSteamAPI('SECRET', server.apiOptions);
+        const response = await steam.ISteamUser.GetFriendList({ steamid: '76561197960287930' });
+        
+        expect(response).toEqual({ friendslist: { friends: [] } });
+        expect(server.requests[0].method).toBe('GET');
+        expect(server.requests[0].query).toEqual({ key: 'SECRET', steamid: '76561197960287930' });
+    });
+    
+    it('sends POST methods as a form', async () => {
+        const steam = createSteamAPI('SECRET', server.apiOptions);
+        
+        await steam.ISteamRemoteStorage.GetCollectionDetails({
+            collectioncount: 2,
+            publishedfileids: ['1', '2']
+        });
+        
+        expect(server.requests[0].method).toBe('POST');
+        expect(server.requests[0].headers['content-type']).toBe('application/x-www-form-urlencoded');
+        expect(new URLSearchParams(server.requests[0].body).getAll('publishedfileids[1]')).toEqual(['2']);
+    });
+    
+    describe('retries', () => {
+        let steam;
+        
+        beforeEach(() => {
+            steam = createSteamAPI('SECRET', {
+                ...server.apiOptions,
+                retry: { minDelay: 1, maxDelay: 1 }
+            });
+        });
+        
+        it('sends POST methods once', async () => {
+            await expect(steam.IEconService.DeclineTradeOffer({ tradeofferid: '1' })).rejects.toMatchObject({
+                statusCode: 503
+            });
+            expect(server.requests).toHaveLength(1);
+            expect(server.requests[0].method).toBe('POST');
+        });
+        
+        it('retries POST methods when asked to', async () => {
+            await expect(steam.IEconService.DeclineTradeOffer({ tradeofferid: '1', retry: true })).resolves.toEqual({ response: {} });
+            expect(server.requests).toHaveLength(2);
+            // the option is not sent to Steam
+            expect(new URLSearchParams(server.requests[0].body).has('retry')).toBe(false);
+        });
+        
+        it('retries POST methods with the given policy', async () => {
+            const retryOn = jest.fn(statusCode => statusCode === 503);
+            
+            await steam.IEconService.CancelTradeOffer({
+                tradeofferid: '1',
+                retry: { minDelay: 1, retryOn }
+            });
+            expect(retryOn).toHaveBeenCalledWith(503, 1);
+            expect(server.requests).toHaveLength(2);
+        });
+        
+        it('retries GET methods', async () => {
+            await expect(steam.IEconService.GetTradeOffersSummary()).resolves.toEqual({ response: {} });
+            expect(server.requests.map(request => request.method)).toEqual(['GET', 'GET']);
+            expect(server.requests[1].query).not.toHaveProperty('retry');
+        });
+        
+        it('sends GET methods once when asked to', async () => {
+            await expect(steam.IEconService.GetTradeOffersSummary({ retry: false })).rejects.toMatchObject({
+                statusCode: 503
+            });
+            expect(server.requests).toHaveLength(1);
+        });
+    });
+    
+    it('rejects without sending a request when a parameter is missing', async () => {
+        const steam = createSteamAPI('SECRET', server.apiOptions);
+        
+        await expect(steam.ISteamUser.GetFriendList()).rejects.toBeInstanceOf(MissingParameterError);
+        expect(server.requests).toHaveLength(0);
+    });
+});
+
+describe('webapi-interfaces.d.ts', () => {
+    it('is generated from the bundled list of supported APIs', () => {
+        const declarations = fs.readFileSync(path.join(__dirname, '..', 'webapi-interfaces.d.ts'), 'utf8');
+        
+        // run "npm run update-api-list" to update both
+        expect(declarations).toBe(generateDeclarations(SUPPORTED_API_LIST));
+    });
+    
+    it('declares array parameters as arrays', () => {
+        const declarations = generateDeclarations({
+            apilist: {
+                interfaces: [
+                    {
+                        name: 'ISteamRemoteStorage',
+                        methods: [
+                            GET_COLLECTION_DETAILS,
+                            { ...GET_COLLECTION_DETAILS, version: 2, parameters: [{ name: 'appids[0]', type: 'uint32', optional: true }] }
+                        ]
+                    }
+                ]
+            }
+        });
+        
+        expect(declarations).toContain('GetCollectionDetails: WebAPIMethodFunction<{ v1: { collectioncount: number | string; publishedfileids: string[] }; v2: { appids?: Array<number | string> } }, \'v2\'>;');
+    });
+});
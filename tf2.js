@@ -0,0 +1,335 @@
+'use strict';
+
+const { QUALITY_NAMES } = require('./normalize');
+
+/**
+ * Defindexes of TF2 attributes which are decoded.
+ * @private
+ * @enum {number}
+ */
+const ATTRIBUTE = {
+    PARTICLE_EFFECT: 134,
+    PAINT_COLOR: 142,
+    CRAFT_NUMBER: 229,
+    KILLSTREAKER: 2013,
+    KILLSTREAK_SHEEN: 2014,
+    KILLSTREAK_TIER: 2025
+};
+
+/**
+ * Pairs of attribute defindexes for each strange counter. The first pair is the item's own counter,
+ * the rest are for strange parts.
+ * @private
+ * @type {object[]}
+ */
+const KILL_EATER_ATTRIBUTES = [
+    { count: 214, type: 292 },
+    { count: 294, type: 293 },
+    { count: 379, type: 380 },
+    { count: 381, type: 382 },
+    { count: 383, type: 384 }
+];
+
+/**
+ * Names of killstreak tiers.
+ * @type {object.<number, string>}
+ */
+const KILLSTREAK_TIERS = {
+    1: 'Killstreak',
+    2: 'Specialized Killstreak',
+    3: 'Professional Killstreak'
+};
+
+/**
+ * Names of killstreak sheens.
+ * @type {object.<number, string>}
+ */
+const KILLSTREAK_SHEENS = {
+    1: 'Team Shine',
+    2: 'Deadly Daffodil',
+    3: 'Manndarin',
+    4: 'Mean Green',
+    5: 'Agonizing Emerald',
+    6: 'Villainous Violet',
+    7: 'Hot Rod'
+};
+
+/**
+ * Names of killstreakers.
+ * @type {object.<number, string>}
+ */
+const KILLSTREAKERS = {
+    2002: 'Fire Horns',
+    2003: 'Cerebral Discharge',
+    2004: 'Tornado',
+    2005: 'Flames',
+    2006: 'Singularity',
+    2007: 'Incinerator',
+    2008: 'Hypno-Beam'
+};
+
+/**
+ * Halloween spells by attribute defindex. Spells with values have a name for each value.
+ * @type {object.<number, object>}
+ */
+const SPELLS = {
+    1004: {
+        type: 'Paint',
+        values: {
+            0: 'Die Job',
+            1: 'Chromatic Corruption',
+            2: 'Putrescent Pigmentation',
+            3: 'Spectral Spectrum',
+            4: 'Sinister Staining'
+        }
+    },
+    1005: {
+        type: 'Footprints',
+        values: {
+            1: 'Team Spirit Footprints',
+            2: 'Headless Horseshoes',
+            3100495: 'Corpse Gray Footprints',
+            5322826: 'Violent Violet Footprints',
+            8208497: 'Bruised Purple Footprints',
+            8421376: 'Gangreen Footprints',
+            13595446: 'Rotten Orange Footprints'
+        }
+    },
+    1006: {
+        type: 'Voices',
+        name: 'Voices From Below'
+    },
+    1007: {
+        type: 'Pumpkin Bombs',
+        name: 'Pumpkin Bombs'
+    },
+    1008: {
+        type: 'Halloween Fire',
+        name: 'Halloween Fire'
+    },
+    1009: {
+        type: 'Exorcism',
+        name: 'Exorcism'
+    }
+};
+
+/**
+ * Item schema data used for decoding. This is the result of GetSchemaOverview combined with the
+ * items from GetSchemaItems. Every property is optional, and anything missing is decoded without
+ * names.
+ * @typedef {object} TF2Schema
+ * @property {object.<string, number>} [qualities] - Quality ids keyed by internal name.
+ * @property {object.<string, string>} [qualityNames] - Quality names keyed by internal name.
+ * @property {object[]} [attribute_controlled_attached_particles] - Particle effects.
+ * @property {object[]} [kill_eater_score_types] - Strange counter types.
+ * @property {object[]} [items] - Schema items.
+ */
+
+/**
+ * A decoded TF2 item.
+ * @typedef {object} TF2Item
+ * @property {string} id - Item id.
+ * @property {string} original_id - Original id.
+ * @property {number} defindex - Defindex.
+ * @property {(string|null)} name - Name of the item from the schema.
+ * @property {(string|null)} custom_name - Custom name.
+ * @property {(string|null)} custom_desc - Custom description.
+ * @property {object} quality - Quality.
+ * @property {number} quality.id - Quality id.
+ * @property {(string|null)} quality.name - Quality name.
+ * @property {number} level - Level.
+ * @property {boolean} craftable - Whether the item can be crafted.
+ * @property {boolean} tradable - Whether the item can be traded.
+ * @property {(number|null)} craft_number - Craft number.
+ * @property {(object|null)} effect - Unusual effect, with id and name.
+ * @property {(object|null)} paint - Paint, with color as a hex string and name.
+ * @property {(object|null)} killstreak - Killstreak, with tier, tier_name, sheen and killstreaker.
+ * @property {object[]} strange_parts - Strange counters, with type, name and count. The first counter is the item's own.
+ * @property {object[]} spells - Halloween spells, with type and name.
+ */
+
+/**
+ * Gets an attribute's value from a backpack item.
+ * @private
+ * @param {object.<number, BackpackItemAttribute>} attributes - Attributes keyed by defindex.
+ * @param {number} defindex - Attribute defindex.
+ * @param {string} [key='float_value'] - Key of value.
+ * @returns {(number|undefined)} Value, if the item has the attribute.
+ */
+function getAttributeValue(attributes, defindex, key = 'float_value') {
+    const attribute = attributes[defindex];
+    
+    if (attribute === undefined) {
+        return undefined;
+    }
+    
+    return attribute[key];
+}
+
+/**
+ * Converts a color number to a hex string.
+ * @private
+ * @param {number} color - Color.
+ * @returns {string} Hex string, e.g. "7D4071".
+ */
+function toHex(color) {
+    return color.toString(16).toUpperCase().padStart(6, '0');
+}
+
+/**
+ * Creates look-up tables from a schema.
+ * @private
+ * @param {TF2Schema} schema - Schema.
+ * @returns {object} Look-up tables.
+ */
+function createTables(schema) {
+    const {
+        qualities = {},
+        qualityNames = {},
+        attribute_controlled_attached_particles = [],
+        kill_eater_score_types = [],
+        items = []
+    } = schema;
+    const tables = {
+        qualities: Object.assign({}, QUALITY_NAMES),
+        particles: {},
+        scoreTypes: {},
+        items: {},
+        paints: {}
+    };
+    
+    Object.entries(qualities).forEach(([key, id]) => {
+        tables.qualities[id] = qualityNames[key] || key;
+    });
+    
+    attribute_controlled_attached_particles.forEach((particle) => {
+        tables.particles[particle.id] = particle.name;
+    });
+    
+    kill_eater_score_types.forEach((scoreType) => {
+        tables.scoreTypes[scoreType.type] = scoreType.type_name;
+    });
+    
+    items.forEach((item) => {
+        tables.items[item.defindex] = item;
+        
+        (item.attributes || []).forEach((attribute) => {
+            // paint cans set the tint of the items they are used on
+            if (attribute.name === 'set item tint RGB') {
+                tables.paints[attribute.value] = item.item_name;
+            }
+        });
+    });
+    
+    return tables;
+}
+
+/**
+ * Creates a decoder for TF2 items from GetPlayerItems.
+ * @param {TF2Schema} [schema={}] - Schema used for names. Use loadSchema to read one from a file.
+ * @returns {function(BackpackItem): TF2Item} Function which decodes an item.
+ *
+ * @example
+ * const decode = createTF2Decoder(await loadSchema('./schema-440.json'));
+ * const { items } = await getBackpack('440', steamid);
+ * const strangeItems = items.map(decode).filter(item => item.quality.name === 'Strange');
+ */
+function createTF2Decoder(schema = {}) {
+    const tables = createTables(schema);
+    
+    return function decode(item) {
+        const attributes = (item.attributes || []).reduce((attributes, attribute) => {
+            attributes[attribute.defindex] = attribute;
+            
+            return attributes;
+        }, {});
+        const schemaItem = tables.items[item.defindex];
+        const effectid = getAttributeValue(attributes, ATTRIBUTE.PARTICLE_EFFECT);
+        const paintColor = getAttributeValue(attributes, ATTRIBUTE.PAINT_COLOR);
+        const killstreakTier = getAttributeValue(attributes, ATTRIBUTE.KILLSTREAK_TIER);
+        const craftNumber = getAttributeValue(attributes, ATTRIBUTE.CRAFT_NUMBER, 'value');
+        let effect = null;
+        let paint = null;
+        let killstreak = null;
+        
+        if (effectid !== undefined) {
+            effect = {
+                id: effectid,
+                name: tables.particles[effectid] || null
+            };
+        }
+        
+        if (paintColor !== undefined) {
+            paint = {
+                color: toHex(paintColor),
+                name: tables.paints[paintColor] || null
+            };
+        }
+        
+        if (killstreakTier !== undefined) {
+            const sheen = getAttributeValue(attributes, ATTRIBUTE.KILLSTREAK_SHEEN);
+            const killstreaker = getAttributeValue(attributes, ATTRIBUTE.KILLSTREAKER);
+            
+            killstreak = {
+                tier: killstreakTier,
+                tier_name: KILLSTREAK_TIERS[killstreakTier] || null,
+                sheen: sheen === undefined ? null : KILLSTREAK_SHEENS[sheen] || null,
+                killstreaker: killstreaker === undefined ? null : KILLSTREAKERS[killstreaker] || null
+            };
+        }
+        
+        const strangeParts = KILL_EATER_ATTRIBUTES
+            .filter(pair => attributes[pair.count] !== undefined)
+            .map((pair) => {
+                const scoreType = getAttributeValue(attributes, pair.type);
+                // the item's own counter counts kills when it has no score type
+                const type = scoreType === undefined ? 0 : scoreType;
+                
+                return {
+                    type,
+                    name: tables.scoreTypes[type] || null,
+                    count: getAttributeValue(attributes, pair.count, 'value')
+                };
+            });
+        const spells = Object.entries(SPELLS)
+            .filter(([defindex]) => attributes[defindex] !== undefined)
+            .map(([defindex, spell]) => {
+                const value = getAttributeValue(attributes, defindex);
+                
+                return {
+                    type: spell.type,
+                    name: spell.values ? spell.values[value] || null : spell.name
+                };
+            });
+        
+        return {
+            id: String(item.id),
+            original_id: String(item.original_id),
+            defindex: item.defindex,
+            name: schemaItem ? schemaItem.item_name : null,
+            custom_name: item.custom_name || null,
+            custom_desc: item.custom_desc || null,
+            quality: {
+                id: item.quality,
+                name: tables.qualities[item.quality] || null
+            },
+            level: item.level,
+            craftable: !item.flag_cannot_craft,
+            tradable: !item.flag_cannot_trade,
+            craft_number: craftNumber === undefined ? null : craftNumber,
+            effect,
+            paint,
+            killstreak,
+            strange_parts: strangeParts,
+            spells
+        };
+    };
+}
+
+module.exports = {
+    KILLSTREAK_TIERS,
+    KILLSTREAK_SHEENS,
+    KILLSTREAKERS,
+    SPELLS,
+    createTF2Decoder
+};
@@ -38,6 +38,37 @@ function promiseSeries(funcs) {
     return funcs.reduce(promiseReduce, Promise.resolve([]));
 }
 
+/**
+ * Executes Promises with a limit on how many run at the same time.
+ * @param {Array} funcs - An array of functions where each function returns a Promise.
+ * @param {number} [concurrency=1] - Maximum number of Promises to run at the same time.
+ * @returns {Promise<Array>} Promise that resolves with an array containing results from each resolved Promise, in the same order as the functions.
+ */
+async function promisePool(funcs, concurrency = 1) {
+    const results = new Array(funcs.length);
+    let nextIndex = 0;
+    
+    // each worker takes the next function until there are none left
+    async function worker() {
+        while (nextIndex < funcs.length) {
+            const index = nextIndex;
+            
+            nextIndex += 1;
+            results[index] = await funcs[index]();
+        }
+    }
+    
+    const workers = [];
+    
+    for (let i = 0; i < Math.min(concurrency, funcs.length); i++) {
+        workers.push(worker());
+    }
+    
+    await Promise.all(workers);
+    
+    return results;
+}
+
 /**
  * Gets unique values from array.
  * @param {Array} arr - Array of items.
@@ -147,18 +178,105 @@ function indexBy(arr, key) {
 /**
  * Sleeps for a set amount of time.
  * @param {number} time - Time in milliseconds to sleep.
+ * @param {AbortSignal} [signal] - Signal which stops the sleep early. The promise then rejects with the signal's reason.
  */
-async function sleep(time) {
-    return new Promise((resolve) => {
-        setTimeout(resolve, time);
+async function sleep(time, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            
+            resolve();
+        }, time);
+        
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
     });
 }
 
+/**
+ * Builds a form-encoded query string.
+ * @param {object} qs - An object containing values to pass as a querystring.
+ * @returns {string} Query string, without the leading "?".
+ */
+function buildQueryString(qs) {
+    // get url params as a list
+    const params = Object.entries(qs).map(([key, value]) => {
+        return [
+            key,
+            value
+        ].map(encodeURIComponent).join('=');
+    });
+    // tie params together
+    return params.join('&');
+}
+
+/**
+ * Builds a URL with a query string.
+ * @param {string} uri - The URL.
+ * @param {object} [qs] - An object containing values to pass as a querystring.
+ * @returns {string} URL with query string.
+ */
+function buildURL(uri, qs) {
+    if (typeof qs !== 'object' || qs === null) {
+        return uri;
+    }
+    
+    const query = buildQueryString(qs);
+    
+    if (query.length === 0) {
+        return uri;
+    }
+    
+    // add the query string to the end of the URL
+    return uri + '?' + query;
+}
+
+/**
+ * Gets the number of milliseconds to wait from a "Retry-After" header.
+ * @param {string} [value] - Value of header.
+ * @returns {(number|null)} Milliseconds to wait, or null if the header is not present or invalid.
+ */
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+    
+    // the value can either be a number of seconds...
+    if (/^\d+$/.test(value)) {
+        return parseInt(value) * 1000;
+    }
+    
+    // ...or a date
+    const date = Date.parse(value);
+    
+    if (isNaN(date)) {
+        return null;
+    }
+    
+    return Math.max(date - Date.now(), 0);
+}
+
 module.exports = {
     promiseSeries,
+    promisePool,
     uniq,
     reduceChunk,
     groupBy,
     indexBy,
-    sleep
+    sleep,
+    buildQueryString,
+    buildURL,
+    parseRetryAfter
 };
@@ -0,0 +1,133 @@
+'use strict';
+
+/**
+ * A schema describing the shape of a response. This is a small subset of JSON Schema.
+ * @typedef {object} ResponseSchema
+ * @property {(string|string[])} [type] - Type or types the value can be: "object", "array", "string", "number", "boolean" or "null".
+ * @property {object.<string, ResponseSchema>} [properties] - Schemas for the properties of an object.
+ * @property {string[]} [required] - Properties an object must have.
+ * @property {ResponseSchema} [additionalProperties] - Schema for the properties of an object which are not in properties.
+ * @property {ResponseSchema} [items] - Schema for each element of an array.
+ */
+
+/**
+ * The first part of a value which does not match a schema.
+ * @typedef {object} SchemaMismatch
+ * @property {string} path - Path to the value, e.g. "result.items[3].defindex". This is an empty string for the value itself.
+ * @property {string} message - What was wrong with the value.
+ */
+
+/**
+ * Gets the type of a value as used in schemas.
+ * @private
+ * @param {*} value - Value.
+ * @returns {string} Type.
+ */
+function getType(value) {
+    if (value === null) {
+        return 'null';
+    }
+    
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    
+    return typeof value;
+}
+
+/**
+ * Gets the path to a property of an object.
+ * @private
+ * @param {string} path - Path to the object.
+ * @param {string} key - Key of property.
+ * @returns {string} Path.
+ */
+function getPropertyPath(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Finds the first part of a value which does not match a schema. Objects can have properties which
+ * are not in the schema unless additionalProperties is given.
+ * @param {ResponseSchema} schema - Schema.
+ * @param {*} value - Value.
+ * @param {string} [path=''] - Path to the value.
+ * @returns {(SchemaMismatch|null)} The mismatch, or null if the value matches.
+ *
+ * @example
+ * findMismatch({
+ *     type: 'object',
+ *     properties: { status: { type: 'number' } }
+ * }, { status: '1' });
+ * // { path: 'status', message: 'Expected number, got string.' }
+ */
+function findMismatch(schema, value, path = '') {
+    const type = getType(value);
+    const types = [].concat(schema.type || []);
+    
+    if (types.length > 0 && !types.includes(type)) {
+        return {
+            path,
+            message: `Expected ${types.join(' or ')}, got ${type}.`
+        };
+    }
+    
+    if (type === 'object') {
+        const { properties = {}, required = [], additionalProperties } = schema;
+        const missing = required.find(key => value[key] === undefined);
+        
+        if (missing !== undefined) {
+            return {
+                path: getPropertyPath(path, missing),
+                message: 'Missing required property.'
+            };
+        }
+        
+        for (const [key, propertyValue] of Object.entries(value)) {
+            const propertySchema = properties[key] || additionalProperties;
+            
+            if (!propertySchema) {
+                continue;
+            }
+            
+            const mismatch = findMismatch(propertySchema, propertyValue, getPropertyPath(path, key));
+            
+            if (mismatch) {
+                return mismatch;
+            }
+        }
+    }
+    
+    if (type === 'array' && schema.items) {
+        for (let i = 0; i < value.length; i++) {
+            const mismatch = findMismatch(schema.items, value[i], `${path}[${i}]`);
+            
+            if (mismatch) {
+                return mismatch;
+            }
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Gets the value at a path within an object.
+ * @param {*} value - Value.
+ * @param {string} path - Dot-separated path, e.g. "result.status".
+ * @returns {*} The value, or undefined if any part of the path is missing.
+ */
+function getValueAtPath(value, path) {
+    return path.split('.').reduce((value, key) => {
+        if (value === null || typeof value !== 'object') {
+            return undefined;
+        }
+        
+        return value[key];
+    }, value);
+}
+
+module.exports = {
+    findMismatch,
+    getValueAtPath
+};
@@ -0,0 +1,69 @@
+// Generated from supported-api-list.json by scripts/update-supported-api-list.js. Do not edit.
+import { WebAPIMethodFunction } from './index';
+
+/** Interfaces from the bundled list of supported APIs, with the parameters of each method. */
+export interface WebAPIInterfaces {
+    IEconItems_440: {
+        GetPlayerItems: WebAPIMethodFunction<{ v1: { steamid: string } }, 'v1'>;
+        GetSchemaItems: WebAPIMethodFunction<{ v1: { language?: string; start?: number | string } }, 'v1'>;
+        GetSchemaOverview: WebAPIMethodFunction<{ v1: { language?: string } }, 'v1'>;
+        GetSchemaURL: WebAPIMethodFunction<{ v1: {} }, 'v1'>;
+        GetStoreMetaData: WebAPIMethodFunction<{ v1: { language?: string } }, 'v1'>;
+        GetStoreStatus: WebAPIMethodFunction<{ v1: {} }, 'v1'>;
+    };
+    IEconItems_730: {
+        GetPlayerItems: WebAPIMethodFunction<{ v1: { steamid: string } }, 'v1'>;
+        GetSchemaURL: WebAPIMethodFunction<{ v2: {} }, 'v2'>;
+    };
+    IEconService: {
+        GetTradeHistory: WebAPIMethodFunction<{ v1: { max_trades: number | string; start_after_time?: number | string; start_after_tradeid?: string; navigating_back?: boolean; get_descriptions?: boolean; language?: string; include_failed?: boolean; include_total?: boolean } }, 'v1'>;
+        GetTradeStatus: WebAPIMethodFunction<{ v1: { tradeid: string; get_descriptions?: boolean; language?: string } }, 'v1'>;
+        GetTradeOffers: WebAPIMethodFunction<{ v1: { get_sent_offers?: boolean; get_received_offers?: boolean; get_descriptions?: boolean; language?: string; active_only?: boolean; historical_only?: boolean; time_historical_cutoff?: number | string; cursor?: number | string } }, 'v1'>;
+        GetTradeOffer: WebAPIMethodFunction<{ v1: { tradeofferid: string; language?: string; get_descriptions?: boolean } }, 'v1'>;
+        GetTradeOffersSummary: WebAPIMethodFunction<{ v1: { time_last_visit?: number | string } }, 'v1'>;
+        DeclineTradeOffer: WebAPIMethodFunction<{ v1: { tradeofferid: string } }, 'v1'>;
+        CancelTradeOffer: WebAPIMethodFunction<{ v1: { tradeofferid: string } }, 'v1'>;
+    };
+    IPlayerService: {
+        GetRecentlyPlayedGames: WebAPIMethodFunction<{ v1: { steamid: string; count?: number | string } }, 'v1'>;
+        GetOwnedGames: WebAPIMethodFunction<{ v1: { steamid: string; include_appinfo?: boolean; include_played_free_games?: boolean; appids_filter?: number | string; include_free_sub?: boolean; skip_unvetted_apps?: boolean; language?: string; include_extended_appinfo?: boolean } }, 'v1'>;
+        GetSteamLevel: WebAPIMethodFunction<{ v1: { steamid: string } }, 'v1'>;
+        GetBadges: WebAPIMethodFunction<{ v1: { steamid: string } }, 'v1'>;
+        GetCommunityBadgeProgress: WebAPIMethodFunction<{ v1: { steamid: string; badgeid?: number | string } }, 'v1'>;
+    };
+    ISteamApps: {
+        GetAppList: WebAPIMethodFunction<{ v2: {} }, 'v2'>;
+        GetServersAtAddress: WebAPIMethodFunction<{ v1: { addr: string } }, 'v1'>;
+        UpToDateCheck: WebAPIMethodFunction<{ v1: { appid: number | string; version: number | string } }, 'v1'>;
+    };
+    ISteamEconomy: {
+        GetAssetClassInfo: WebAPIMethodFunction<{ v1: { appid: number | string; language?: string; class_count: number | string; classid0: string; instanceid0?: string } }, 'v1'>;
+        GetAssetPrices: WebAPIMethodFunction<{ v1: { appid: number | string; currency?: string; language?: string } }, 'v1'>;
+    };
+    ISteamNews: {
+        GetNewsForApp: WebAPIMethodFunction<{ v1: { appid: number | string; maxlength?: number | string; enddate?: number | string; count?: number | string }; v2: { appid: number | string; maxlength?: number | string; enddate?: number | string; count?: number | string; feeds?: string; tags?: string } }, 'v2'>;
+    };
+    ISteamRemoteStorage: {
+        GetCollectionDetails: WebAPIMethodFunction<{ v1: { collectioncount: number | string; publishedfileids: string[] } }, 'v1'>;
+        GetPublishedFileDetails: WebAPIMethodFunction<{ v1: { itemcount: number | string; publishedfileids: string[] } }, 'v1'>;
+        GetUGCFileDetails: WebAPIMethodFunction<{ v1: { steamid?: string; ugcid: string; appid: number | string } }, 'v1'>;
+    };
+    ISteamUser: {
+        GetFriendList: WebAPIMethodFunction<{ v1: { steamid: string; relationship?: string } }, 'v1'>;
+        GetPlayerBans: WebAPIMethodFunction<{ v1: { steamids: string } }, 'v1'>;
+        GetPlayerSummaries: WebAPIMethodFunction<{ v1: { steamids: string }; v2: { steamids: string } }, 'v2'>;
+        GetUserGroupList: WebAPIMethodFunction<{ v1: { steamid: string } }, 'v1'>;
+        ResolveVanityURL: WebAPIMethodFunction<{ v1: { vanityurl: string; url_type?: number | string } }, 'v1'>;
+    };
+    ISteamUserStats: {
+        GetGlobalAchievementPercentagesForApp: WebAPIMethodFunction<{ v1: { gameid: string }; v2: { gameid: string } }, 'v2'>;
+        GetNumberOfCurrentPlayers: WebAPIMethodFunction<{ v1: { appid: number | string } }, 'v1'>;
+        GetPlayerAchievements: WebAPIMethodFunction<{ v1: { steamid: string; appid: number | string; l?: string } }, 'v1'>;
+        GetSchemaForGame: WebAPIMethodFunction<{ v2: { appid: number | string; l?: string } }, 'v2'>;
+        GetUserStatsForGame: WebAPIMethodFunction<{ v1: { steamid: string; appid: number | string }; v2: { steamid: string; appid: number | string } }, 'v2'>;
+    };
+    ISteamWebAPIUtil: {
+        GetServerInfo: WebAPIMethodFunction<{ v1: {} }, 'v1'>;
+        GetSupportedAPIList: WebAPIMethodFunction<{ v1: {} }, 'v1'>;
+    };
+}
@@ -0,0 +1,130 @@
+'use strict';
+
+const { MissingParameterError } = require('./errors');
+
+/**
+ * A parameter of a Web API method.
+ * @typedef {object} WebAPIParameter
+ * @property {string} name - Name, e.g. "steamid". Array parameters are named with their first index, e.g. "publishedfileids[0]".
+ * @property {string} type - Type, e.g. "uint64", "string" or "bool".
+ * @property {boolean} optional - Whether the parameter can be left out.
+ * @property {string} [description] - Description.
+ */
+
+/**
+ * A version of a Web API method.
+ * @typedef {object} WebAPIMethod
+ * @property {string} name - Name, e.g. "GetFriendList".
+ * @property {number} version - Version.
+ * @property {string} httpmethod - HTTP method, "GET" or "POST".
+ * @property {WebAPIParameter[]} parameters - Parameters.
+ */
+
+/**
+ * The response from ISteamWebAPIUtil/GetSupportedAPIList.
+ * @typedef {object} SupportedAPIList
+ * @property {object} apilist - List of interfaces.
+ * @property {object[]} apilist.interfaces - Interfaces, each with a "name", e.g. "ISteamUser", and a list of WebAPIMethod as "methods".
+ */
+
+/**
+ * Calls a version of a Web API method.
+ * @typedef {function(string, WebAPIMethod, object): Promise.<object>} WebAPIMethodCaller
+ */
+
+/**
+ * Pattern for the names of array parameters, e.g. "publishedfileids[0]".
+ * @private
+ * @type {RegExp}
+ */
+const ARRAY_PARAMETER_PATTERN = /^(.+)\[0\]$/;
+
+/**
+ * Gets the parameters to send for a call to a Web API method. Arrays given for array parameters
+ * are sent as one parameter for each element, e.g. "publishedfileids[0]", "publishedfileids[1]".
+ * @param {string} interfaceName - Name of interface, e.g. "ISteamUser".
+ * @param {WebAPIMethod} method - Method.
+ * @param {object} params - Parameters.
+ * @returns {object} Parameters to send.
+ * @throws {MissingParameterError} If any required parameter is missing.
+ */
+function getMethodParams(interfaceName, method, params) {
+    const values = {};
+    
+    Object.entries(params).forEach(([name, value]) => {
+        if (value === undefined) {
+            return;
+        }
+        
+        const isArrayParameter = Boolean(
+            Array.isArray(value) &&
+            method.parameters.some(parameter => parameter.name === `${name}[0]`)
+        );
+        
+        if (!isArrayParameter) {
+            values[name] = value;
+            return;
+        }
+        
+        value.forEach((element, index) => {
+            values[`${name}[${index}]`] = element;
+        });
+    });
+    
+    const missing = method.parameters
+        .filter(parameter => !parameter.optional && values[parameter.name] === undefined)
+        // the same base name is shown for array parameters as they are given
+        .map(parameter => parameter.name.replace(ARRAY_PARAMETER_PATTERN, '$1'));
+    
+    if (missing.length > 0) {
+        throw new MissingParameterError(`${interfaceName}/${method.name}/v${method.version} requires ${missing.join(', ')}.`, missing);
+    }
+    
+    return values;
+}
+
+/**
+ * Creates a function for each method of an interface. Each function calls the latest version of
+ * its method, and has a function for each version as "v1", "v2" and so on.
+ * @private
+ * @param {object} apiInterface - Interface from the list of supported APIs.
+ * @param {WebAPIMethodCaller} callMethod - Function which calls a method.
+ * @returns {object.<string, function(object): Promise.<object>>} Functions keyed by method name.
+ */
+function createWebAPIInterface(apiInterface, callMethod) {
+    const { name: interfaceName, methods } = apiInterface;
+    // oldest first, so the last version of each method is its latest
+    const sortedMethods = methods.slice().sort((a, b) => a.version - b.version);
+    
+    return sortedMethods.reduce((functions, method) => {
+        const call = (params = {}) => callMethod(interfaceName, method, params);
+        const versions = functions[method.name] || {};
+        
+        // the latest version is called by default
+        functions[method.name] = Object.assign(call, versions, {
+            [`v${method.version}`]: call
+        });
+        
+        return functions;
+    }, {});
+}
+
+/**
+ * Creates an object for each interface in a list of supported APIs, with a function for each of
+ * its methods.
+ * @param {SupportedAPIList} apiList - The list of supported APIs.
+ * @param {WebAPIMethodCaller} callMethod - Function which calls a method.
+ * @returns {object.<string, object>} Interfaces keyed by name, e.g. "ISteamUser".
+ */
+function createWebAPIInterfaces(apiList, callMethod) {
+    return apiList.apilist.interfaces.reduce((interfaces, apiInterface) => {
+        interfaces[apiInterface.name] = createWebAPIInterface(apiInterface, callMethod);
+        
+        return interfaces;
+    }, {});
+}
+
+module.exports = {
+    getMethodParams,
+    createWebAPIInterfaces
+};